@@ -0,0 +1,176 @@
+/**
+ * Game Data Store
+ * Single shared copy of the static game data, loaded once by the service worker
+ * and indexed for the lookups content scripts and the popup ask for
+ */
+
+// Data sets generated by the fetch scripts that may not be bundled; the
+// features built on them stay off without them, so readiness doesn't wait on them
+const OPTIONAL_DATA_SETS = ['champions', 'items'];
+
+// reload() path options and the CONFIG.DATA entries they set
+const DATA_PATH_SETTINGS = {
+  augments: 'AUGMENTS_PATH',
+  traits: 'TRAITS_PATH',
+  traitActivations: 'TRAIT_ACTIVATIONS_PATH',
+  champions: 'CHAMPIONS_PATH',
+  items: 'ITEMS_PATH'
+};
+
+class GameDataStore {
+  constructor() {
+    this.augmentsManager = new AugmentsDataManager({ viaBackground: false });
+    this.traitsManager = new TraitsDataManager({ viaBackground: false });
+    this.championsManager = new ChampionsDataManager({ viaBackground: false });
+    this.itemsManager = new ItemsDataManager({ viaBackground: false });
+    this.augmentsByTier = new Map();
+    this.traitsByType = new Map();
+    this.loadPromise = null;
+  }
+
+  /**
+   * Load and index all data sets (only runs once until reload)
+   * @returns {Promise<boolean>} Whether every required data set loaded (see OPTIONAL_DATA_SETS)
+   */
+  async ready() {
+    if (!this.loadPromise) {
+      this.loadPromise = this._loadInternal();
+    }
+
+    return this.loadPromise;
+  }
+
+  /**
+   * Internal loading implementation
+   * @private
+   */
+  async _loadInternal() {
+    const [augmentsLoaded, traitsLoaded, championsLoaded, itemsLoaded] = await Promise.all([
+      this.augmentsManager.reload(),
+      this.traitsManager.reload(),
+      this.championsManager.reload(),
+      this.itemsManager.reload()
+    ]);
+    const loaded = { augments: augmentsLoaded, traits: traitsLoaded, champions: championsLoaded, items: itemsLoaded };
+
+    this.buildIndexes();
+
+    logger.info('Background game data ready', {
+      loaded,
+      augments: this.augmentsManager.getStats(),
+      traits: this.traitsManager.getStats(),
+      champions: this.championsManager.getStats(),
+      items: this.itemsManager.getStats()
+    });
+
+    return Object.entries(loaded).every(([dataType, isLoaded]) => isLoaded || OPTIONAL_DATA_SETS.includes(dataType));
+  }
+
+  /**
+   * Swap to other bundled data files and reload everything
+   * Only files listed in CONFIG.DATA.BUNDLED_PATHS are accepted
+   * @param {object} paths - Optional overrides {augments, traits, traitActivations, champions, items}
+   * @returns {Promise<boolean>} Whether the new data loaded
+   * @throws {Error} If a path is not a bundled file of its data set; nothing is changed then
+   */
+  async reload(paths = {}) {
+    const overrides = Object.entries(paths || {}).filter(([, path]) => path);
+
+    overrides.forEach(([dataType, path]) => {
+      if (!DATA_PATH_SETTINGS[dataType]) {
+        throw new Error(`Unknown data set: ${dataType}`);
+      }
+      if (!CONFIG.DATA.BUNDLED_PATHS[dataType].includes(path)) {
+        throw new Error(`Not a bundled ${dataType} data file: ${path}`);
+      }
+    });
+
+    overrides.forEach(([dataType, path]) => {
+      CONFIG.DATA[DATA_PATH_SETTINGS[dataType]] = path;
+    });
+
+    this.loadPromise = null;
+    return this.ready();
+  }
+
+  /**
+   * Group augments by tier and traits by type for constant-time filtering
+   */
+  buildIndexes() {
+    this.augmentsByTier = this.groupBy(this.augmentsManager.getAllAugments(), 'tier');
+    this.traitsByType = this.groupBy(this.traitsManager.getAllTraits(), 'type');
+  }
+
+  /**
+   * Group items into a Map keyed by a property
+   * @param {Array} items - Items to group
+   * @param {string} property - Property name to group by
+   * @returns {Map} Groups
+   */
+  groupBy(items, property) {
+    const groups = new Map();
+
+    items.forEach(item => {
+      if (!groups.has(item[property])) {
+        groups.set(item[property], []);
+      }
+      groups.get(item[property]).push(item);
+    });
+
+    return groups;
+  }
+
+  /**
+   * Get the raw JSON of a data set, as the managers in each tab expect it
+   * @param {string} dataType - 'augments', 'traits', 'traitActivations', 'champions' or 'items'
+   * @returns {object|null} Raw data set
+   */
+  getDataSet(dataType) {
+    switch (dataType) {
+      case 'augments':
+        return this.augmentsManager.augmentsData;
+      case 'traits':
+        return this.traitsManager.traitsData;
+      case 'traitActivations':
+        return this.traitsManager.activationData;
+      case 'champions':
+        return this.championsManager.championsData;
+      case 'items':
+        return this.itemsManager.itemsData;
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Get augments of a tier from the index
+   * @param {string} tier - Tier name
+   * @returns {Array} Augments
+   */
+  getAugmentsByTier(tier) {
+    return this.augmentsByTier.get(tier) || [];
+  }
+
+  /**
+   * Get traits of a type from the index
+   * @param {string} type - Trait type
+   * @returns {Array} Traits
+   */
+  getTraitsByType(type) {
+    return this.traitsByType.get(type) || [];
+  }
+
+  /**
+   * Get statistics for all data sets
+   * @returns {object} Stats per data set
+   */
+  getStats() {
+    return {
+      augments: this.augmentsManager.getStats(),
+      traits: this.traitsManager.getStats(),
+      champions: this.championsManager.getStats(),
+      items: this.itemsManager.getStats(),
+      paths: { ...CONFIG.DATA }
+    };
+  }
+}
@@ -0,0 +1,124 @@
+/**
+ * TFT Chrome Extension - Background Service Worker
+ * Owns the static game data and answers lookup/search messages
+ * from content scripts and the popup
+ */
+
+importScripts(
+  '/content-scripts/config.js',
+  '/content-scripts/logger.js',
+  '/content-scripts/game-data-source.js',
+  '/content-scripts/augments-data-manager.js',
+  '/content-scripts/traits-data-manager.js',
+  '/content-scripts/champions-data-manager.js',
+  '/content-scripts/items-data-manager.js',
+  '/background/game-data-store.js'
+);
+
+const gameDataStore = new GameDataStore();
+
+// Pages the content script runs on (the manifest's matches)
+const STREAM_SITE_URLS = [CONFIG.TWITCH, CONFIG.YOUTUBE, CONFIG.KICK]
+  .flatMap(site => site.HOSTS.map(host => `https://${host}/*`));
+
+// Start loading immediately so the first tab does not wait for it
+gameDataStore.ready();
+
+/**
+ * Answer a data request once the store is loaded
+ * @param {object} request - Message from a content script or the popup
+ * @returns {Promise<object>} Response payload
+ */
+async function handleDataRequest(request) {
+  await gameDataStore.ready();
+
+  const augments = gameDataStore.augmentsManager;
+  const traits = gameDataStore.traitsManager;
+  const champions = gameDataStore.championsManager;
+  const items = gameDataStore.itemsManager;
+
+  switch (request.action) {
+    case 'getDataSet': {
+      const data = gameDataStore.getDataSet(request.dataType);
+      return data
+        ? { success: true, data }
+        : { success: false, error: `Data set not available: ${request.dataType}` };
+    }
+    case 'getAugment':
+      return { success: true, augment: augments.getAugment(request.key) };
+    case 'searchAugments':
+      return { success: true, results: augments.searchAugments(request.query || '', request.limit) };
+    case 'getAugmentsByTier':
+      return { success: true, results: gameDataStore.getAugmentsByTier(request.tier) };
+    case 'getTrait':
+      return { success: true, trait: traits.getTrait(request.key) };
+    case 'searchTraits':
+      return { success: true, results: traits.searchTraits(request.query || '', request.limit) };
+    case 'getTraitsByType':
+      return { success: true, results: gameDataStore.getTraitsByType(request.type) };
+    case 'getTraitEffect':
+      return { success: true, effect: traits.getTraitEffect(request.key, request.level) };
+    case 'getActivationProgress':
+      return { success: true, progress: traits.getActivationProgress(request.key, request.level) };
+    case 'getChampion':
+      return { success: true, champion: champions.getChampion(request.key) };
+    case 'searchChampions':
+      return { success: true, results: champions.searchChampions(request.query || '', request.limit) };
+    case 'getChampionsByTrait':
+      return { success: true, results: champions.getChampionsByTrait(request.trait) };
+    case 'getChampionsByCost':
+      return { success: true, results: champions.getChampionsByCost(request.cost) };
+    case 'getItem':
+      return { success: true, item: items.getItem(request.key) };
+    case 'searchItems':
+      return { success: true, results: items.searchItems(request.query || '', request.limit) };
+    case 'getItemsByCategory':
+      return { success: true, results: items.getItemsByCategory(request.category) };
+    case 'getItemRecipe':
+      return { success: true, components: items.getRecipe(request.key) };
+    case 'combineItems': {
+      const [first, second] = request.components || [];
+      return { success: true, item: items.combine(first, second) };
+    }
+    case 'getBuildableItems':
+      return { success: true, results: items.getBuildableItems(request.components || []) };
+    case 'getDataStats':
+      return { success: true, stats: gameDataStore.getStats() };
+    default:
+      return null;
+  }
+}
+
+/**
+ * Reload data (optionally from other bundled files) and tell open tabs to refresh
+ * @param {object} paths - Optional data file overrides
+ * @returns {Promise<object>} Response payload
+ */
+async function reloadGameData(paths) {
+  const success = await gameDataStore.reload(paths);
+  const tabs = await chrome.tabs.query({ url: STREAM_SITE_URLS });
+
+  tabs.forEach(tab => {
+    // Tabs without the content script reject the message; nothing to refresh there
+    chrome.tabs.sendMessage(tab.id, { action: 'gameDataUpdated' }).catch(() => {});
+  });
+
+  return { success, stats: gameDataStore.getStats() };
+}
+
+chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+  const responsePromise = request.action === 'reloadGameData'
+    ? reloadGameData(request.paths)
+    : handleDataRequest(request);
+
+  responsePromise
+    .then(response => {
+      sendResponse(response || { success: false, error: 'Unknown action' });
+    })
+    .catch(error => {
+      logger.error('Error handling background message', error);
+      sendResponse({ success: false, error: error.message });
+    });
+
+  return true; // Keep message channel open for async response
+});
@@ -0,0 +1,128 @@
+/**
+ * Augment Advisor
+ * Recognizes the three-card augment choice screen and compares the offered
+ * augments by tier, tier priority and power level
+ */
+
+// Stages at which the game offers augments
+const AUGMENT_CHOICE_STAGES = ['2-1', '3-2', '4-2'];
+
+const AUGMENT_CHOICE_CARDS = 3;
+
+class AugmentAdvisor {
+  constructor(augmentsManager) {
+    this.augmentsManager = augmentsManager;
+  }
+
+  /**
+   * Find the augment choice screen in a frame's detections:
+   * three recognized augments side by side at even spacing
+   * @param {Array} elements - Detected elements
+   * @param {object|null} stage - Current stage {label}, if known
+   * @returns {Array|null} Offered augment keys left to right, or null
+   */
+  findChoice(elements, stage) {
+    if (stage && !AUGMENT_CHOICE_STAGES.includes(stage.label)) {
+      return null;
+    }
+
+    const byKey = new Map();
+    elements
+      .filter(element => element.type === 'augment' && element.key)
+      .forEach(element => {
+        const existing = byKey.get(element.key);
+        if (!existing || element.matchConfidence > existing.matchConfidence) {
+          byKey.set(element.key, element);
+        }
+      });
+
+    const cards = [...byKey.values()].sort((a, b) => a.x - b.x);
+    if (cards.length !== AUGMENT_CHOICE_CARDS || !this.isCardRow(cards)) {
+      return null;
+    }
+
+    return cards.map(card => card.key);
+  }
+
+  /**
+   * Check that cards share a row and are evenly spaced without overlapping
+   * @param {Array} cards - Augment elements sorted by x
+   * @returns {boolean} Whether the cards look like the choice screen
+   * @private
+   */
+  isCardRow(cards) {
+    const centers = cards.map(card => ({ x: card.x + card.width / 2, y: card.y + card.height / 2 }));
+    const cardWidth = cards.reduce((sum, card) => sum + card.width, 0) / cards.length;
+    const cardHeight = cards.reduce((sum, card) => sum + card.height, 0) / cards.length;
+
+    const sameRow = centers.every(center => Math.abs(center.y - centers[0].y) < cardHeight / 2);
+    const gaps = centers.slice(1).map((center, index) => center.x - centers[index].x);
+    const separated = gaps.every(gap => gap >= cardWidth * 0.8);
+    const evenlySpaced = Math.max(...gaps) - Math.min(...gaps) <= Math.max(...gaps) * 0.25;
+
+    return sameRow && separated && evenlySpaced;
+  }
+
+  /**
+   * Compare augments for a pick, best first
+   * Higher tier wins, then higher power level; augments tied on both share the recommendation
+   * @param {Array} augmentKeys - Offered augment keys
+   * @returns {Array} Comparison entries {key, title, description, tier, tierPriority, powerLevel,
+   *   image, tierColor, screenIndex, rank, isRecommended, reason}
+   */
+  compare(augmentKeys) {
+    const entries = augmentKeys
+      .map((key, screenIndex) => ({ augment: this.augmentsManager.getAugment(key), screenIndex }))
+      .filter(({ augment }) => augment)
+      .map(({ augment, screenIndex }) => ({
+        key: augment.key,
+        title: augment.title,
+        description: augment.description,
+        tier: augment.tier,
+        tierPriority: augment.tierPriority,
+        powerLevel: augment.powerLevel,
+        image: this.augmentsManager.getAugmentImageUrl(augment),
+        tierColor: this.augmentsManager.getTierColor(augment.tier),
+        screenIndex
+      }));
+
+    entries.sort((a, b) => b.tierPriority - a.tierPriority || b.powerLevel - a.powerLevel);
+
+    const best = entries[0];
+    return entries.map((entry, index) => {
+      const isRecommended = entry.tierPriority === best.tierPriority && entry.powerLevel === best.powerLevel;
+
+      return {
+        ...entry,
+        rank: index + 1,
+        isRecommended,
+        reason: this.explain(entry, best, entries)
+      };
+    });
+  }
+
+  /**
+   * Explain an entry's place in the comparison
+   * @private
+   */
+  explain(entry, best, entries) {
+    const tiedWithBest = entries.filter(other =>
+      other.tierPriority === best.tierPriority && other.powerLevel === best.powerLevel
+    );
+
+    if (tiedWithBest.includes(entry)) {
+      if (tiedWithBest.length > 1) {
+        return 'Tied on tier and power level - pick for your comp';
+      }
+      if (entries.length > 1 && entries[1].tierPriority < entry.tierPriority) {
+        return `Highest tier (${entry.tier})`;
+      }
+      return `Highest power level (${entry.powerLevel})`;
+    }
+
+    if (entry.tierPriority < best.tierPriority) {
+      return `Lower tier than ${best.title}`;
+    }
+    return `${best.powerLevel - entry.powerLevel} less power than ${best.title}`;
+  }
+}
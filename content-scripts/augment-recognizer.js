@@ -0,0 +1,135 @@
+/**
+ * Augment Recognizer
+ * Identifies which augment is shown in a detected slot by matching it
+ * against the bundled augment icons
+ */
+
+class AugmentRecognizer {
+  constructor(augmentsManager) {
+    this.augmentsManager = augmentsManager;
+    this.matcher = new TemplateMatcher();
+    this.isLoaded = false;
+    this.loadPromise = null;
+  }
+
+  /**
+   * Load augment icon templates (only runs once)
+   * @returns {Promise<boolean>} Whether templates are available
+   */
+  async loadTemplates() {
+    if (this.loadPromise) {
+      return this.loadPromise;
+    }
+
+    this.loadPromise = this._loadTemplatesInternal();
+    return this.loadPromise;
+  }
+
+  /**
+   * Internal template loading implementation
+   * @private
+   */
+  async _loadTemplatesInternal() {
+    const dataLoaded = await this.augmentsManager.loadData();
+    if (!dataLoaded) {
+      logger.warn('Augment templates skipped - augments data unavailable');
+      return false;
+    }
+
+    const augments = this.augmentsManager.getAllAugments().filter(augment => augment.image);
+    const results = await Promise.all(augments.map(augment =>
+      this.matcher.loadTemplate(augment.key, this.augmentsManager.getAugmentImageUrl(augment))
+    ));
+
+    this.isLoaded = this.matcher.getTemplateCount() > 0;
+
+    logger.info('Augment templates loaded', {
+      loaded: results.filter(Boolean).length,
+      missing: results.filter(loaded => !loaded).length
+    });
+
+    return this.isLoaded;
+  }
+
+  /**
+   * Drop loaded templates and load them again from the current data set
+   * @returns {Promise<boolean>} Whether templates are available
+   */
+  async reloadTemplates() {
+    this.matcher.clear();
+    this.isLoaded = false;
+    this.loadPromise = null;
+    return this.loadTemplates();
+  }
+
+  /**
+   * Check if templates are ready for matching
+   * @returns {boolean} Whether recognition can run
+   */
+  isReady() {
+    return this.isLoaded;
+  }
+
+  /**
+   * Recognize the augment inside a candidate region
+   * @param {Uint8Array} grayData - Grayscale frame data
+   * @param {number} width - Frame width
+   * @param {number} height - Frame height
+   * @param {object} region - Candidate region {x, y, width, height}
+   * @returns {object|null} Match {key, confidence} or null below threshold
+   */
+  recognize(grayData, width, height, region) {
+    if (!this.isLoaded) {
+      return null;
+    }
+
+    const match = this.matcher.match(grayData, width, height, region);
+
+    // Below the threshold the best template is usually a coincidental
+    // correlation with the background, not a real augment
+    if (!match || match.confidence < CONFIG.CV.AUGMENT_MATCH_THRESHOLD) {
+      return null;
+    }
+
+    return match;
+  }
+
+  /**
+   * Recognize augments in a list of candidates, keeping the best match per augment
+   * @param {Uint8Array} grayData - Grayscale frame data
+   * @param {number} width - Frame width
+   * @param {number} height - Frame height
+   * @param {Array} candidates - Candidate regions
+   * @returns {Array} Candidates annotated with key and matchConfidence
+   */
+  recognizeCandidates(grayData, width, height, candidates) {
+    const bestByKey = new Map();
+
+    candidates.forEach(candidate => {
+      const match = this.recognize(grayData, width, height, candidate);
+      if (!match) return;
+
+      const existing = bestByKey.get(match.key);
+      if (!existing || match.confidence > existing.matchConfidence) {
+        bestByKey.set(match.key, {
+          ...candidate,
+          key: match.key,
+          matchConfidence: match.confidence
+        });
+      }
+    });
+
+    return Array.from(bestByKey.values());
+  }
+
+  /**
+   * Get recognizer stats
+   * @returns {object} Template statistics
+   */
+  getStats() {
+    return {
+      isReady: this.isLoaded,
+      templates: this.matcher.getTemplateCount()
+    };
+  }
+}
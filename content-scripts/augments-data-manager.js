@@ -4,7 +4,12 @@
  */
 
 class AugmentsDataManager {
-  constructor() {
+  /**
+   * @param {object} options - Loading options
+   * @param {boolean} options.viaBackground - Ask the service worker for data (false inside it)
+   */
+  constructor(options = {}) {
+    this.viaBackground = options.viaBackground !== false;
     this.augmentsData = null;
     this.augmentMap = new Map();
     this.isLoaded = false;
@@ -32,16 +37,7 @@ class AugmentsDataManager {
     try {
       logger.info('Loading TFT Set 14 augments data...');
 
-      // Get the data file URL from the extension
-      const dataUrl = chrome.runtime.getURL('assets/augments/tft-set14-augments.json');
-      
-      // Fetch the data
-      const response = await fetch(dataUrl);
-      if (!response.ok) {
-        throw new Error(`Failed to load augments data: ${response.status}`);
-      }
-
-      this.augmentsData = await response.json();
+      this.augmentsData = await GameDataSource.load('augments', this.viaBackground);
       
       // Create lookup map for faster access
       this.augmentMap.clear();
@@ -66,6 +62,16 @@ class AugmentsDataManager {
     }
   }
 
+  /**
+   * Discard loaded data and load it again (e.g. after the data set was swapped)
+   * @returns {Promise<boolean>} Whether data was loaded successfully
+   */
+  async reload() {
+    this.loadPromise = null;
+    this.isLoaded = false;
+    return this.loadData();
+  }
+
   /**
    * Get augment by key
    * @param {string} key - Augment key
@@ -0,0 +1,357 @@
+/**
+ * TFT Champions Data Manager
+ * Handles loading and accessing TFT Set 14 champion data: cost, traits,
+ * ability, base stats and portraits
+ */
+
+class ChampionsDataManager {
+  /**
+   * @param {object} options - Loading options
+   * @param {boolean} options.viaBackground - Ask the service worker for data (false inside it)
+   */
+  constructor(options = {}) {
+    this.viaBackground = options.viaBackground !== false;
+    this.championsData = null;
+    this.championMap = new Map();
+    this.championsByTrait = new Map();
+    this.championsByCost = new Map();
+    this.isLoaded = false;
+    this.loadError = null; // Why the last load failed, e.g. the data set isn't bundled
+    this.loadPromise = null;
+  }
+
+  /**
+   * Load champions data from the extension assets
+   * @returns {Promise<boolean>} Whether data was loaded successfully
+   */
+  async loadData() {
+    if (this.loadPromise) {
+      return this.loadPromise;
+    }
+
+    this.loadPromise = this._loadDataInternal();
+    return this.loadPromise;
+  }
+
+  /**
+   * Internal data loading implementation
+   * @private
+   */
+  async _loadDataInternal() {
+    try {
+      logger.info('Loading TFT Set 14 champions data...');
+
+      this.championsData = await GameDataSource.load('champions', this.viaBackground);
+      this.buildIndexes();
+
+      this.isLoaded = true;
+
+      logger.info('Champions data loaded successfully', {
+        version: this.championsData.version,
+        totalChampions: this.championsData.totalChampions,
+        costBreakdown: this.championsData.costBreakdown
+      });
+
+      return true;
+
+    } catch (error) {
+      // The data set is generated by scripts/fetch-champions.js and may not be bundled;
+      // everything champion-based then stays off instead of failing on each lookup
+      this.isLoaded = false;
+      this.loadError = error.message;
+      logger.warn('Champions data unavailable - champion tooltips, shop and board recognition are off', {
+        path: GameDataSource.getPath('champions'),
+        error: error.message
+      });
+      return false;
+    }
+  }
+
+  /**
+   * Index champions by key, trait and cost
+   * @private
+   */
+  buildIndexes() {
+    this.championMap.clear();
+    this.championsByTrait.clear();
+    this.championsByCost.clear();
+
+    this.championsData.champions.forEach(champion => {
+      this.championMap.set(champion.key, champion);
+
+      champion.traits.forEach(traitKey => {
+        if (!this.championsByTrait.has(traitKey)) {
+          this.championsByTrait.set(traitKey, []);
+        }
+        this.championsByTrait.get(traitKey).push(champion);
+      });
+
+      if (!this.championsByCost.has(champion.cost)) {
+        this.championsByCost.set(champion.cost, []);
+      }
+      this.championsByCost.get(champion.cost).push(champion);
+    });
+  }
+
+  /**
+   * Discard loaded data and load it again (e.g. after the data set was swapped)
+   * @returns {Promise<boolean>} Whether data was loaded successfully
+   */
+  async reload() {
+    this.loadPromise = null;
+    this.isLoaded = false;
+    this.loadError = null;
+    return this.loadData();
+  }
+
+  /**
+   * Get champion by key
+   * @param {string} key - Champion key (e.g. 'TFT14_Jax')
+   * @returns {object|null} Champion data or null if not found
+   */
+  getChampion(key) {
+    if (!this.isLoaded) {
+      this.warnNotLoaded();
+      return null;
+    }
+
+    return this.championMap.get(key) || null;
+  }
+
+  /**
+   * Get a champion's shop cost
+   * @param {string} key - Champion key
+   * @returns {number|null} Cost 1-5 or null if not found
+   */
+  getChampionCost(key) {
+    const champion = this.getChampion(key);
+    return champion ? champion.cost : null;
+  }
+
+  /**
+   * Get a champion's trait keys
+   * @param {string} key - Champion key
+   * @returns {Array} Trait keys (empty if not found)
+   */
+  getChampionTraits(key) {
+    const champion = this.getChampion(key);
+    return champion ? champion.traits : [];
+  }
+
+  /**
+   * Get a champion's ability with its values at a star level
+   * @param {string} key - Champion key
+   * @param {number} starLevel - Star level 1-3
+   * @returns {object|null} Ability {name, description, values}
+   */
+  getChampionAbility(key, starLevel = 1) {
+    const champion = this.getChampion(key);
+    if (!champion || !champion.ability) {
+      return null;
+    }
+
+    const starIndex = Math.min(Math.max(starLevel, 1), 3) - 1;
+    const values = {};
+    Object.entries(champion.ability.variables || {}).forEach(([name, perStar]) => {
+      values[name] = perStar[starIndex];
+    });
+
+    return {
+      name: champion.ability.name,
+      description: champion.ability.description,
+      values: values
+    };
+  }
+
+  /**
+   * Get a champion's base stats
+   * @param {string} key - Champion key
+   * @returns {object|null} Stats {hp, mana, damage, armor, ...}
+   */
+  getChampionStats(key) {
+    const champion = this.getChampion(key);
+    return champion ? champion.stats : null;
+  }
+
+  /**
+   * Get champions that have a trait
+   * @param {string} traitKey - Trait key (e.g. 'TFT14_Bruiser')
+   * @returns {Array} Champions sorted by cost
+   */
+  getChampionsByTrait(traitKey) {
+    if (!this.isLoaded) {
+      this.warnNotLoaded();
+      return [];
+    }
+
+    return [...(this.championsByTrait.get(traitKey) || [])].sort((a, b) => a.cost - b.cost);
+  }
+
+  /**
+   * Get champions of a shop cost
+   * @param {number} cost - Cost 1-5
+   * @returns {Array} Champions
+   */
+  getChampionsByCost(cost) {
+    if (!this.isLoaded) {
+      this.warnNotLoaded();
+      return [];
+    }
+
+    return this.championsByCost.get(Number(cost)) || [];
+  }
+
+  /**
+   * Search champions by name, trait or ability name
+   * @param {string} query - Search query
+   * @param {number} limit - Maximum results to return
+   * @returns {Array} Array of matching champions
+   */
+  searchChampions(query, limit = 10) {
+    if (!this.isLoaded) {
+      this.warnNotLoaded();
+      return [];
+    }
+
+    const searchTerm = query.toLowerCase().trim();
+    if (!searchTerm) {
+      return [];
+    }
+
+    const matches = this.championsData.champions.filter(champion =>
+      champion.searchText.includes(searchTerm)
+    );
+
+    // Name matches first, then cheaper champions
+    matches.sort((a, b) => {
+      const aNameMatch = a.name.toLowerCase().includes(searchTerm);
+      const bNameMatch = b.name.toLowerCase().includes(searchTerm);
+
+      if (aNameMatch && !bNameMatch) return -1;
+      if (!aNameMatch && bNameMatch) return 1;
+
+      return a.cost - b.cost || a.name.localeCompare(b.name);
+    });
+
+    return matches.slice(0, limit);
+  }
+
+  /**
+   * Get all champions
+   * @returns {Array} Array of all champions
+   */
+  getAllChampions() {
+    if (!this.isLoaded) {
+      this.warnNotLoaded();
+      return [];
+    }
+
+    return this.championsData.champions;
+  }
+
+  /**
+   * Get champion portrait URL
+   * @param {object} champion - Champion object
+   * @returns {string} Full URL to the champion portrait
+   */
+  getChampionImageUrl(champion) {
+    if (!champion || !champion.image) {
+      return '';
+    }
+
+    return chrome.runtime.getURL(`assets/champions/images/${champion.image}`);
+  }
+
+  /**
+   * Get data statistics
+   * @returns {object} Data statistics
+   */
+  getStats() {
+    if (!this.isLoaded) {
+      return null;
+    }
+
+    return {
+      version: this.championsData.version,
+      setNumber: this.championsData.setNumber,
+      setName: this.championsData.setName,
+      totalChampions: this.championsData.totalChampions,
+      lastUpdated: this.championsData.lastUpdated,
+      costBreakdown: this.championsData.costBreakdown
+    };
+  }
+
+  /**
+   * Check if data is loaded
+   * @returns {boolean} Whether data is loaded
+   */
+  isDataLoaded() {
+    return this.isLoaded;
+  }
+
+  /**
+   * Get why the data couldn't be loaded
+   * @returns {string|null} Error message, or null if it loaded or is still loading
+   */
+  getLoadError() {
+    return this.loadError;
+  }
+
+  /**
+   * Warn about a lookup before the data has loaded; once loading failed that was already reported
+   * @private
+   */
+  warnNotLoaded() {
+    if (!this.loadError) {
+      logger.warn('Champions data not loaded yet');
+    }
+  }
+
+  /**
+   * Create tooltip data for a champion
+   * @param {object} champion - Champion object
+   * @param {number} starLevel - Star level for ability values
+   * @returns {object} Tooltip data
+   */
+  createTooltipData(champion, starLevel = 1) {
+    if (!champion) {
+      return null;
+    }
+
+    return {
+      name: champion.name,
+      cost: champion.cost,
+      traits: champion.traitNames || champion.traits,
+      image: this.getChampionImageUrl(champion),
+      ability: this.getChampionAbility(champion.key, starLevel),
+      stats: champion.stats
+    };
+  }
+
+  /**
+   * Get cost color for styling (matches the shop card borders)
+   * @param {number} cost - Cost 1-5
+   * @returns {string} CSS color value
+   */
+  getCostColor(cost) {
+    switch (cost) {
+      case 1:
+        return '#8C8C8C'; // Gray
+      case 2:
+        return '#11B288'; // Green
+      case 3:
+        return '#207AC7'; // Blue
+      case 4:
+        return '#C440DA'; // Purple
+      case 5:
+        return '#FFB93B'; // Gold
+      default:
+        return '#FFFFFF'; // White fallback
+    }
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ChampionsDataManager;
+}
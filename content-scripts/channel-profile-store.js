@@ -0,0 +1,252 @@
+/**
+ * Channel Profile Store
+ * Persists per-channel layout profiles in chrome.storage.local:
+ * calibrated regions, enabled detectors and the overlay panel layout
+ * Regions are stored normalized (0-1) so they apply at any stream resolution
+ */
+
+const CHANNEL_PROFILES_STORAGE_KEY = 'tftChannelProfiles';
+
+// Region groups the calibration editor lets users adjust
+const CALIBRATION_GROUPS = ['AUGMENTS', 'CHAMPIONS', 'SHOP', 'GOLD', 'HUD'];
+
+// Calibrated regions are normalized, so they must fit inside a 1x1 frame
+const NORMALIZED_FRAME = { width: 1, height: 1 };
+
+const OVERLAY_CORNERS = ['top-left', 'top-right', 'bottom-left', 'bottom-right'];
+
+const OVERLAY_DOCK_SIDES = ['left', 'right'];
+
+const DEFAULT_CHANNEL_PROFILE = {
+  regions: null, // null = built-in search areas
+  detectors: {
+    augments: true,
+    champions: true,
+    shop: true,
+    gold: true,
+    hud: true,
+    traits: true
+  },
+  overlay: {
+    opacity: 1,
+    panels: {} // Panel name -> placement changes from the viewer (see DEFAULT_PANEL_PLACEMENT)
+  }
+};
+
+class ChannelProfileStore {
+  /**
+   * Get a channel's profile, filled in with defaults for anything not customized
+   * @param {string|null} channel - Channel login
+   * @returns {Promise<object>} Profile {regions, detectors, overlay}
+   */
+  async getProfile(channel) {
+    let stored = {};
+
+    if (channel) {
+      try {
+        const profiles = await this.loadAll();
+        stored = profiles[channel] || {};
+      } catch (error) {
+        logger.error('Failed to load channel profile', { channel, error: error.message });
+      }
+    }
+
+    return this.mergeWithDefaults(stored);
+  }
+
+  /**
+   * Update parts of a channel's profile
+   * @param {string} channel - Channel login
+   * @param {object} changes - Partial profile {regions, detectors, overlay}
+   * @returns {Promise<object>} Updated profile
+   * @throws {Error} When a change is invalid
+   */
+  async updateProfile(channel, changes) {
+    if (!channel) {
+      throw new Error('No channel to update');
+    }
+
+    const error = this.validateChanges(changes);
+    if (error) {
+      throw new Error(`Invalid channel profile: ${error}`);
+    }
+
+    const profiles = await this.loadAll();
+    const current = profiles[channel] || {};
+    const updated = {
+      ...current,
+      ...('regions' in changes ? { regions: changes.regions } : {}),
+      detectors: { ...current.detectors, ...changes.detectors },
+      overlay: this.mergeOverlay(current.overlay, changes.overlay)
+    };
+
+    profiles[channel] = updated;
+    await chrome.storage.local.set({ [CHANNEL_PROFILES_STORAGE_KEY]: profiles });
+
+    logger.info('Channel profile saved', { channel, changed: Object.keys(changes) });
+    return this.mergeWithDefaults(updated);
+  }
+
+  /**
+   * Remove a channel's profile, reverting it to the defaults
+   * @param {string} channel - Channel login
+   * @returns {Promise<void>}
+   */
+  async clearProfile(channel) {
+    const profiles = await this.loadAll();
+    delete profiles[channel];
+    await chrome.storage.local.set({ [CHANNEL_PROFILES_STORAGE_KEY]: profiles });
+  }
+
+  /**
+   * Check a partial profile before it is stored
+   * @param {object} changes - Partial profile
+   * @returns {string|null} Error message or null when valid
+   */
+  validateChanges(changes) {
+    const { regions, detectors, overlay } = changes;
+
+    if (regions) {
+      const regionsError = this.validateRegions(regions);
+      if (regionsError) {
+        return regionsError;
+      }
+    }
+    if (detectors && Object.entries(detectors).some(([name, enabled]) =>
+      !(name in DEFAULT_CHANNEL_PROFILE.detectors) || typeof enabled !== 'boolean')) {
+      return 'detectors must map known detector names to true or false';
+    }
+    if (overlay?.opacity !== undefined &&
+      !(typeof overlay.opacity === 'number' && overlay.opacity >= 0.2 && overlay.opacity <= 1)) {
+      return 'overlay opacity must be between 0.2 and 1';
+    }
+    if (overlay?.panels) {
+      for (const [name, placement] of Object.entries(overlay.panels)) {
+        const panelError = this.validatePanelPlacement(placement);
+        if (panelError) {
+          return `overlay panel ${name}: ${panelError}`;
+        }
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Check calibrated regions: known groups, each a list of normalized rectangles
+   * @param {object} regions - Normalized regions keyed by group
+   * @returns {string|null} Error message or null when valid
+   * @private
+   */
+  validateRegions(regions) {
+    if (typeof regions !== 'object' || Array.isArray(regions)) {
+      return 'regions must map region groups to region lists';
+    }
+
+    for (const [group, groupRegions] of Object.entries(regions)) {
+      if (!CALIBRATION_GROUPS.includes(group)) {
+        return `regions: unknown group ${group}, expected one of ${CALIBRATION_GROUPS.join(', ')}`;
+      }
+      if (!Array.isArray(groupRegions) || groupRegions.length === 0) {
+        return `regions ${group}: must be a non-empty list`;
+      }
+      for (const region of groupRegions) {
+        const regionError = validateRegion(region, NORMALIZED_FRAME);
+        if (regionError) {
+          return `regions ${group}: ${regionError}`;
+        }
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Check one panel's placement changes
+   * @param {object} placement - Partial panel placement
+   * @returns {string|null} Error message or null when valid
+   * @private
+   */
+  validatePanelPlacement(placement) {
+    if (!placement || typeof placement !== 'object') {
+      return 'placement must be an object';
+    }
+    if (placement.corner !== undefined && !OVERLAY_CORNERS.includes(placement.corner)) {
+      return `corner must be one of ${OVERLAY_CORNERS.join(', ')}`;
+    }
+    if (placement.position && !['x', 'y'].every(axis =>
+      typeof placement.position[axis] === 'number' && placement.position[axis] >= 0 && placement.position[axis] <= 1)) {
+      return 'position must have x and y between 0 and 1';
+    }
+    if (placement.dock && !OVERLAY_DOCK_SIDES.includes(placement.dock)) {
+      return `dock must be null or one of ${OVERLAY_DOCK_SIDES.join(', ')}`;
+    }
+    if (['width', 'height'].some(dimension =>
+      placement[dimension] !== undefined && placement[dimension] !== null &&
+      !(typeof placement[dimension] === 'number' && placement[dimension] > 0))) {
+      return 'width and height must be positive numbers or null';
+    }
+    if (['collapsed', 'visible'].some(flag => placement[flag] !== undefined && typeof placement[flag] !== 'boolean')) {
+      return 'collapsed and visible must be true or false';
+    }
+
+    return null;
+  }
+
+  /**
+   * Merge overlay changes into the stored overlay settings
+   * Panel changes merge per panel; panels: null resets every panel to its default layout
+   * @private
+   */
+  mergeOverlay(current = {}, changes = {}) {
+    const { panels, ...rest } = changes;
+    const mergedPanels = panels === null ? {} : { ...current.panels };
+
+    Object.entries(panels || {}).forEach(([name, placement]) => {
+      mergedPanels[name] = { ...mergedPanels[name], ...placement };
+    });
+
+    return { ...current, ...rest, panels: mergedPanels };
+  }
+
+  /**
+   * Get the CONFIG.TFT_REGIONS defaults in normalized coordinates
+   * @returns {object} Normalized regions keyed by group
+   */
+  getDefaultRegions() {
+    const reference = CONFIG.CV.REGION_REFERENCE_SIZE;
+    const regions = {};
+
+    CALIBRATION_GROUPS.forEach(group => {
+      regions[group] = CONFIG.TFT_REGIONS[group].map(region =>
+        RegionUtils.normalize(region, reference.width, reference.height)
+      );
+    });
+
+    return regions;
+  }
+
+  /**
+   * Fill in defaults for sections a stored profile does not customize
+   * @private
+   */
+  mergeWithDefaults(stored) {
+    return {
+      regions: stored.regions || DEFAULT_CHANNEL_PROFILE.regions,
+      detectors: { ...DEFAULT_CHANNEL_PROFILE.detectors, ...stored.detectors },
+      overlay: {
+        opacity: stored.overlay?.opacity ?? DEFAULT_CHANNEL_PROFILE.overlay.opacity,
+        panels: { ...DEFAULT_CHANNEL_PROFILE.overlay.panels, ...stored.overlay?.panels }
+      }
+    };
+  }
+
+  /**
+   * Load every channel's profile
+   * @private
+   */
+  async loadAll() {
+    const stored = await chrome.storage.local.get(CHANNEL_PROFILES_STORAGE_KEY);
+    return stored[CHANNEL_PROFILES_STORAGE_KEY] || {};
+  }
+}
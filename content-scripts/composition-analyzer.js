@@ -0,0 +1,115 @@
+/**
+ * Composition Analyzer
+ * Works out the active traits and next trait breakpoints of a board,
+ * from the champions on it or from the game's trait tracker
+ */
+
+class CompositionAnalyzer {
+  constructor(traitsManager, championsManager) {
+    this.traitsManager = traitsManager;
+    this.championsManager = championsManager;
+  }
+
+  /**
+   * Analyze a board from the champions on it
+   * Copies of a champion count once towards its traits, as in the game
+   * @param {Array} championKeys - Keys of the champions on the board (duplicates allowed)
+   * @returns {object} Analysis {champions, traits, summary}; traits are
+   *   {key, name, type, count, effect, progress, isActive}, active first
+   */
+  analyze(championKeys) {
+    if (!this.traitsManager.isDataLoaded() || !this.championsManager.isDataLoaded()) {
+      return { champions: [], traits: [], summary: null };
+    }
+
+    const champions = [...new Set(championKeys)]
+      .map(key => this.championsManager.getChampion(key))
+      .filter(Boolean);
+
+    const traitCounts = new Map();
+    champions.forEach(champion => {
+      champion.traits.forEach(traitKey => {
+        traitCounts.set(traitKey, (traitCounts.get(traitKey) || 0) + 1);
+      });
+    });
+
+    const traits = this.buildTraits(traitCounts);
+    return {
+      champions: champions.map(champion => champion.key),
+      traits,
+      summary: this.summarize(traits, champions.length)
+    };
+  }
+
+  /**
+   * Analyze a board from the unit counts of the game's trait tracker
+   * The tracker already counts each champion once, so no champion data is needed;
+   * which champions make up the counts is unknown
+   * @param {Array} traitCounts - Tracked traits {key, count}
+   * @returns {object} Analysis {champions, traits, summary} like analyze, with no champions
+   */
+  analyzeTraits(traitCounts) {
+    if (!this.traitsManager.isDataLoaded()) {
+      return { champions: [], traits: [], summary: null };
+    }
+
+    const traits = this.buildTraits(new Map(traitCounts.map(({ key, count }) => [key, count])));
+    return {
+      champions: [],
+      traits,
+      summary: this.summarize(traits, null)
+    };
+  }
+
+  /**
+   * Work out the effect and next breakpoint of each counted trait
+   * Unknown trait keys are left out
+   * @private
+   * @param {Map} traitCounts - Trait key -> unit count
+   * @returns {Array} Traits, active first, then the ones with most units
+   */
+  buildTraits(traitCounts) {
+    const traits = [];
+    traitCounts.forEach((count, key) => {
+      const trait = this.traitsManager.getTrait(key);
+      if (!trait) return;
+
+      const effect = this.traitsManager.getTraitEffect(key, count);
+      traits.push({
+        key,
+        name: trait.name,
+        type: trait.type,
+        count,
+        effect,
+        progress: this.traitsManager.getActivationProgress(key, count),
+        isActive: effect !== null
+      });
+    });
+
+    // Active traits first, then the ones closest to their next breakpoint
+    return traits.sort((a, b) =>
+      Number(b.isActive) - Number(a.isActive) ||
+      b.count - a.count ||
+      a.name.localeCompare(b.name)
+    );
+  }
+
+  /**
+   * Summarize an analysis
+   * @private
+   * @param {Array} traits - Analyzed traits
+   * @param {number|null} totalChampions - Champions on the board, null if unknown
+   */
+  summarize(traits, totalChampions) {
+    return {
+      totalChampions,
+      activeTraits: traits.filter(trait => trait.isActive).length,
+      inactiveTraits: traits.filter(trait => !trait.isActive).length,
+      maxTierTraits: traits.filter(trait => trait.effect?.isMaxLevel).length,
+      // Traits one more unit would activate or upgrade
+      oneAway: traits
+        .filter(trait => trait.progress && !trait.progress.isMaxed && trait.progress.needed === 1)
+        .map(trait => trait.key)
+    };
+  }
+}
@@ -5,7 +5,10 @@
 
 const CONFIG = {
   // Twitch Integration Settings
+  // Per-site selectors and URL rules, read through SiteAdapter (site-adapters.js)
   TWITCH: {
+    NAME: 'Twitch',
+    HOSTS: ['www.twitch.tv', 'clips.twitch.tv'],
     // Multiple selectors to try for video element
     VIDEO_SELECTORS: [
       'video[data-a-target="video-player"]',
@@ -17,8 +20,62 @@ const CONFIG = {
     ],
     CHAT_SELECTOR: '[data-a-target="chat-scroller"]',
     STREAM_TITLE_SELECTOR: '[data-a-target="stream-title"]',
-    // Check for TFT in title/category
-    TFT_KEYWORDS: ['teamfight tactics', 'tft', 'team fight tactics'],
+    // Present while Twitch plays an ad over the stream
+    AD_SELECTORS: ['[data-a-target="video-ad-label"]', '[data-a-target="video-ad-countdown"]'],
+    GAME_LINK_SELECTOR: '[data-a-target="stream-game-link"]',
+    CHANNEL_LINK_SELECTOR: '.channel-info-content a[href^="/"]',
+    // First path segments that are Twitch pages rather than channels
+    RESERVED_PATHS: ['videos', 'directory', 'settings', 'search', 'downloads', 'subscriptions', 'inventory', 'wallet'],
+    CLIPS_HOST: 'clips.twitch.tv', // Clip pages whose first path segment is the clip, not the channel
+    // Player wrappers the overlay is placed in, most specific first
+    PLAYER_CONTAINER_SELECTORS: ['[data-a-target="video-player"]', '.video-player', '.player-video'],
+  },
+
+  YOUTUBE: {
+    NAME: 'YouTube',
+    HOSTS: ['www.youtube.com'],
+    VIDEO_SELECTORS: ['#movie_player video.html5-main-video', '#movie_player video', 'video'],
+    STREAM_TITLE_SELECTOR: 'ytd-watch-metadata h1',
+    // The player gets the ad-showing class while an ad plays
+    AD_SELECTORS: ['#movie_player.ad-showing'],
+    // Game card under the description; a title rather than a link
+    GAME_LINK_SELECTOR: 'ytd-rich-metadata-renderer #title',
+    CHANNEL_LINK_SELECTOR: 'ytd-video-owner-renderer a[href^="/@"]',
+    // Time display of a live broadcast; absent on finished streams and uploads
+    LIVE_BADGE_SELECTOR: '.ytp-time-display.ytp-live',
+    PLAYER_CONTAINER_SELECTORS: ['#movie_player', '.html5-video-player']
+  },
+
+  KICK: {
+    NAME: 'Kick',
+    HOSTS: ['kick.com'],
+    VIDEO_SELECTORS: ['#video-player', 'video'],
+    STREAM_TITLE_SELECTOR: '[data-testid="livestream-title"]',
+    AD_SELECTORS: [], // Kick doesn't play ads over streams
+    GAME_LINK_SELECTOR: 'a[href^="/category/"]',
+    CHANNEL_LINK_SELECTOR: '[data-testid="channel-name"] a[href^="/"]',
+    // First path segments that are Kick pages rather than channels
+    RESERVED_PATHS: ['video', 'category', 'categories', 'browse', 'following', 'search', 'dashboard', 'settings'],
+    PLAYER_CONTAINER_SELECTORS: ['#injected-channel-player']
+  },
+
+  // Static Game Data (bundled JSON, served to tabs by the background service worker)
+  DATA: {
+    AUGMENTS_PATH: 'assets/augments/tft-set14-augments.json',
+    TRAITS_PATH: 'assets/traits/tft-set14-traits.json',
+    TRAIT_ACTIVATIONS_PATH: 'assets/traits/traits-activation-levels.json',
+    CHAMPIONS_PATH: 'assets/champions/tft-set14-champions.json',
+    ITEMS_PATH: 'assets/items/tft-set14-items.json',
+    // Glyphs captured from real HUD crops by scripts/build-glyph-templates.js (optional)
+    GLYPH_TEMPLATES_PATH: 'assets/hud/glyph-templates.json',
+    // Files each data set can be switched to (GameDataStore.reload); nothing else is loaded
+    BUNDLED_PATHS: {
+      augments: ['assets/augments/tft-set14-augments.json'],
+      traits: ['assets/traits/tft-set14-traits.json'],
+      traitActivations: ['assets/traits/traits-activation-levels.json'],
+      champions: ['assets/champions/tft-set14-champions.json'],
+      items: ['assets/items/tft-set14-items.json']
+    }
   },
 
   // Overlay Settings  
@@ -28,8 +85,13 @@ const CONFIG = {
     FADE_DURATION: 200,
     POSITION_OFFSET: { x: 20, y: 20 },
     MAX_WIDTH: 350,
+    MIN_SIZE: { width: 160, height: 60 }, // Smallest size the overlay can be resized to
+    SNAP_DISTANCE: 40, // Drops this close to a corner position snap to that corner (px)
+    DOCK_GAP: 8, // Space between the player and a docked overlay (px)
+    PANEL_GAP: 8, // Space between panels stacked in the same corner (px)
     BACKGROUND_COLOR: 'rgba(0, 0, 0, 0.8)',
     BORDER_RADIUS: '8px',
+    HOVER_DELAY: 150, // Delay before showing a hotspot tooltip (ms)
   },
 
   // Video Processing Settings
@@ -41,9 +103,16 @@ const CONFIG = {
 
   // Stream Monitoring Settings
   STREAM_MONITORING: {
-    TFT_CHECK_INTERVAL: 5000, // Check TFT status every 5 seconds
+    TFT_KEYWORDS: ['teamfight tactics', 'tft', 'team fight tactics'], // Check for TFT in title/category on every site
+    TFT_CHECK_INTERVAL: 30000, // Fallback TFT status check for changes the observers miss
+    MUTATION_DEBOUNCE: 250, // Wait for category/title edits to settle before rechecking
+    NAVIGATION_EVENT: 'tft-extension:navigation', // Fired by history-hook.js on pushState/replaceState
+    VISUAL_HISTORY_FRAMES: 5, // Recent frames whose HUD layout scores vote on the TFT status
+    TFT_CONFIDENCE_THRESHOLD: 0.5, // Combined metadata and visual confidence needed to treat a stream as TFT
     TITLE_CHECK_INTERVAL: 3000, // Check stream title changes every 3 seconds
-    AD_DETECTION_DELAY: 2000, // Wait 2 seconds after video change (for ads)
+    AD_DETECTION_DELAY: 2000, // Keep processing paused this long after an ad ends, while the stream comes back
+    HUD_VISIBLE_SCORE: 0.5, // HUD layout score at which the game counts as on screen
+    INTERMISSION_FRAMES: 3, // Frames without the HUD (after it was seen) before processing pauses
   },
 
   // Performance Settings
@@ -57,7 +126,33 @@ const CONFIG = {
   CV: {
     PROCESSING_INTERVAL: 2000, // Process frames every 2 seconds
     MAX_PROCESSING_TIME: 100, // Maximum time per frame (ms)
-    ENABLE_VISUALIZATION: false, // Show detection boxes (for debugging)
+    ENABLE_VISUALIZATION: false, // Draw search areas and detection boxes over the video (for debugging)
+    TEMPLATE_SAMPLE_SIZE: 24, // Icons and frame regions are compared at 24x24 pixels
+    TEMPLATE_SCALES: [0.8, 1.0, 1.2], // Region scales tried per candidate
+    AUGMENT_MATCH_THRESHOLD: 0.6, // Minimum NCC score to accept an augment match
+    MAX_AUGMENT_CANDIDATES: 6, // Candidates matched per frame after overlap suppression
+    TRAIT_ROW_HEIGHT: 0.05, // Trait tracker row height as a fraction of frame height
+    TRAIT_MATCH_THRESHOLD: 0.55, // Minimum NCC score to accept a trait icon match
+    MAX_TRAIT_ROWS: 10, // The tracker never lists more traits than this
+    TEXT_BRIGHTNESS_THRESHOLD: 160, // Minimum gray value treated as HUD text
+    DIGIT_MATCH_THRESHOLD: 0.75, // Minimum glyph template agreement for a digit
+    REGION_REFERENCE_SIZE: { width: 640, height: 360 }, // Resolution TFT_REGIONS are authored for
+    SHOP_SLOT_COUNT: 5, // Champion cards in the shop
+    SHOP_PORTRAIT_HEIGHT: 0.75, // Portrait share of a card's height; the rest is the name bar
+    SHOP_COST_COLOR_DISTANCE: 90, // Maximum RGB distance between a card border and its cost color
+    CHAMPION_MATCH_THRESHOLD: 0.55, // Minimum NCC score to accept a champion portrait match
+  },
+
+  // VOD and Clip Playback
+  PLAYBACK: {
+    TIMELINE_MERGE_WINDOW: 30, // Seconds within which a re-detected event (e.g. after seeking back) is the same event
+    TIMELINE_MAX_ENTRIES: 50, // Timeline entries kept per video
+  },
+
+  // Game State Tracking (values must agree across frames before they are accepted)
+  GAME_STATE: {
+    HISTORY_FRAMES: 5, // Recent frames each tracked value votes over
+    CONFIRM_FRAMES: 3, // Frames a new value must be read in before it replaces the old one
   },
 
   // TFT Element Regions (typical positions for 640x360 streams)
@@ -71,10 +166,21 @@ const CONFIG = {
       { x: 50, y: 320, width: 550, height: 40, name: 'bench' }
     ],
     SHOP: [
-      { x: 50, y: 270, width: 550, height: 50, name: 'shop_area' }
+      // Covers exactly the five champion cards; slots are split evenly across it
+      { x: 160, y: 309, width: 320, height: 49, name: 'shop_area' }
     ],
     GOLD: [
-      { x: 500, y: 10, width: 100, height: 30, name: 'gold_display' }
+      // Just the digits right of the coin icon above the shop
+      { x: 311, y: 289, width: 22, height: 11, name: 'gold_display' }
+    ],
+    HUD: [
+      // Read by region name; a 'health' region (the player's scoreboard row) can be added when calibrating
+      { x: 226, y: 3, width: 24, height: 10, name: 'stage' },
+      { x: 122, y: 289, width: 12, height: 11, name: 'level' },
+      { x: 137, y: 289, width: 26, height: 11, name: 'xp' }
+    ],
+    TRAITS: [
+      { x: 0, y: 80, width: 110, height: 190, name: 'trait_tracker' }
     ]
   },
 
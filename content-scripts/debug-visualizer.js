@@ -0,0 +1,149 @@
+/**
+ * Debug Visualizer
+ * Canvas over the video that draws each frame's search areas and detected
+ * elements, to show why detection misfires on a given stream
+ */
+
+const DEBUG_COLORS = {
+  augment: '#a29bfe',
+  champion: '#00d4aa',
+  shop: '#ffa500',
+  gold: '#ffd700',
+  hud: '#fd79a8',
+  trait: '#74b9ff',
+  searchArea: 'rgba(255, 255, 255, 0.6)'
+};
+
+class DebugVisualizer {
+  constructor() {
+    this.canvas = null;
+    this.container = null;
+    this.videoElement = null;
+    this.lastResults = null;
+  }
+
+  /**
+   * Add the debug canvas to the video container
+   * @param {HTMLElement} container - Positioned container holding the video
+   * @param {HTMLVideoElement} videoElement - Video the frames come from
+   */
+  attach(container, videoElement) {
+    this.detach();
+
+    this.container = container;
+    this.videoElement = videoElement;
+    this.canvas = document.createElement('canvas');
+    this.canvas.className = 'tft-debug-canvas';
+    this.canvas.style.zIndex = CONFIG.OVERLAY.Z_INDEX;
+    container.appendChild(this.canvas);
+  }
+
+  /**
+   * Draw one frame's processing results
+   * @param {object} results - Results from SimpleCvProcessor.processFrame
+   */
+  draw(results) {
+    if (!this.canvas || !results || !results.frameWidth) {
+      return;
+    }
+
+    this.lastResults = results;
+    const context = this.fitCanvas();
+    const scaleX = this.canvas.width / results.frameWidth;
+    const scaleY = this.canvas.height / results.frameHeight;
+
+    context.clearRect(0, 0, this.canvas.width, this.canvas.height);
+    context.font = `${Math.round(11 * window.devicePixelRatio)}px monospace`;
+    context.lineWidth = window.devicePixelRatio;
+
+    context.setLineDash([6, 4]);
+    (results.searchAreas || []).forEach(area => {
+      const label = `${area.group.toLowerCase()}${area.name ? `: ${area.name}` : ''}`;
+      this.drawBox(context, area, scaleX, scaleY, DEBUG_COLORS.searchArea, label, 'bottom');
+    });
+
+    context.setLineDash([]);
+    results.elements.forEach(element => {
+      const confidence = typeof element.confidence === 'number' ? element.confidence.toFixed(2) : '?';
+      const label = `${element.type} ${element.id} ${confidence}`;
+      this.drawBox(context, element, scaleX, scaleY, DEBUG_COLORS[element.type] || '#ffffff', label, 'top');
+    });
+  }
+
+  /**
+   * Draw a labelled rectangle given in frame pixels
+   * @param {string} labelPosition - 'top' (above the box) or 'bottom' (inside its bottom edge)
+   */
+  drawBox(context, region, scaleX, scaleY, color, label, labelPosition) {
+    const x = region.x * scaleX;
+    const y = region.y * scaleY;
+    const width = region.width * scaleX;
+    const height = region.height * scaleY;
+
+    context.strokeStyle = color;
+    context.strokeRect(x, y, width, height);
+
+    const textHeight = parseInt(context.font, 10);
+    const textWidth = context.measureText(label).width;
+    const labelY = labelPosition === 'top' ? Math.max(0, y - textHeight - 2) : y + height - textHeight - 2;
+
+    context.fillStyle = 'rgba(0, 0, 0, 0.7)';
+    context.fillRect(x, labelY, textWidth + 4, textHeight + 2);
+    context.fillStyle = color;
+    context.fillText(label, x + 2, labelY + textHeight - 1);
+  }
+
+  /**
+   * Cover the rendered video picture with the canvas at device resolution
+   * @returns {CanvasRenderingContext2D} Drawing context
+   */
+  fitCanvas() {
+    const contentRect = VideoGeometry.getContentRect(this.videoElement);
+    const containerRect = this.container.getBoundingClientRect();
+    const pixelRatio = window.devicePixelRatio;
+
+    Object.assign(this.canvas.style, {
+      left: `${contentRect.left - containerRect.left}px`,
+      top: `${contentRect.top - containerRect.top}px`,
+      width: `${contentRect.width}px`,
+      height: `${contentRect.height}px`
+    });
+
+    this.canvas.width = Math.round(contentRect.width * pixelRatio);
+    this.canvas.height = Math.round(contentRect.height * pixelRatio);
+
+    return this.canvas.getContext('2d');
+  }
+
+  /**
+   * Redraw the last results after the video was resized or moved
+   */
+  reposition() {
+    if (this.lastResults) {
+      this.draw(this.lastResults);
+    }
+  }
+
+  /**
+   * Erase the canvas
+   */
+  clear() {
+    this.lastResults = null;
+
+    if (this.canvas) {
+      this.canvas.getContext('2d').clearRect(0, 0, this.canvas.width, this.canvas.height);
+    }
+  }
+
+  /**
+   * Remove the canvas
+   */
+  detach() {
+    this.lastResults = null;
+
+    if (this.canvas) {
+      this.canvas.remove();
+      this.canvas = null;
+    }
+  }
+}
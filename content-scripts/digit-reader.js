@@ -0,0 +1,315 @@
+/**
+ * Digit Reader
+ * Minimal OCR for the bright numeric counters of the TFT HUD
+ * Segments text into glyphs and compares each against GLYPH_TEMPLATES
+ */
+
+class DigitReader {
+  constructor() {
+    this.templates = this.buildTemplates();
+  }
+
+  /**
+   * Switch to the glyphs captured from real HUD crops, where bundled
+   * Characters without a captured glyph keep the built-in shape
+   * @returns {Promise<number>} Number of captured glyphs in use
+   */
+  async loadTemplates() {
+    const captured = await GlyphTemplates.loadCaptured();
+    this.templates = this.buildTemplates({ ...GLYPH_TEMPLATES, ...captured });
+    return Object.keys(captured).length;
+  }
+
+  /**
+   * Convert the string bitmaps into flat 0/1 arrays with their ink column span
+   * @param {object} glyphs - Character -> rows
+   * @returns {Array} Templates {character, cells, inkStart, inkEnd}
+   */
+  buildTemplates(glyphs = GLYPH_TEMPLATES) {
+    return Object.entries(glyphs).map(([character, rows]) => {
+      const inkColumns = [];
+      for (let column = 0; column < GLYPH_TEMPLATE_SIZE.width; column++) {
+        if (rows.some(row => row[column] === '#')) inkColumns.push(column);
+      }
+
+      return {
+        character,
+        cells: rows.join('').split('').map(cell => (cell === '#' ? 1 : 0)),
+        inkStart: Math.min(...inkColumns),
+        inkEnd: Math.max(...inkColumns) + 1
+      };
+    });
+  }
+
+  /**
+   * Read the text inside a region
+   * @param {Uint8Array} grayData - Grayscale frame data
+   * @param {number} width - Frame width
+   * @param {number} height - Frame height
+   * @param {object} region - Region containing one line of text
+   * @returns {object} Result {text, confidence}; text is '' when nothing was read
+   */
+  readText(grayData, width, height, region) {
+    const { mask, maskWidth, glyphs, lineBounds } = this.findGlyphs(grayData, width, height, region);
+
+    if (glyphs.length === 0) {
+      return { text: '', confidence: 0 };
+    }
+
+    const characters = glyphs.map(glyph => this.classifyGlyph(mask, maskWidth, glyph, lineBounds));
+    const confidence = characters.reduce((sum, match) => sum + match.score, 0) / characters.length;
+
+    return {
+      text: characters.map(match => match.character).join(''),
+      confidence
+    };
+  }
+
+  /**
+   * Binarize a region and split it into glyphs
+   * @returns {object} {mask, maskWidth, glyphs, lineBounds}; lineBounds is null without glyphs
+   */
+  findGlyphs(grayData, width, height, region) {
+    const bounds = this.clampRegion(region, width, height);
+    const mask = this.binarize(grayData, width, bounds);
+    const glyphs = this.segmentGlyphs(mask, bounds.width, bounds.height);
+    const lineBounds = glyphs.length > 0 ? this.getLineBounds(mask, bounds.width, glyphs) : null;
+
+    return { mask, maskWidth: bounds.width, glyphs, lineBounds };
+  }
+
+  /**
+   * Measure a glyph on the template grid, to capture it as a template
+   * Its ink spans as many columns as its aspect ratio fills, centered
+   * @returns {Array} Ink coverage 0-1 per cell, row-major
+   */
+  measureGlyph(mask, maskWidth, glyph, lineBounds) {
+    const { width: gridWidth, height: gridHeight } = GLYPH_TEMPLATE_SIZE;
+    const aspect = (glyph.end - glyph.start) / (lineBounds.bottom - lineBounds.top);
+    const inkColumns = Math.min(gridWidth, Math.max(1, Math.round(aspect * gridHeight)));
+    const inkStart = Math.floor((gridWidth - inkColumns) / 2);
+
+    return this.sampleGlyph(mask, maskWidth, glyph, lineBounds, { inkStart, inkEnd: inkStart + inkColumns }, false);
+  }
+
+  /**
+   * Clamp a region to integer frame coordinates
+   */
+  clampRegion(region, width, height) {
+    const x = Math.max(0, Math.round(region.x));
+    const y = Math.max(0, Math.round(region.y));
+
+    return {
+      x,
+      y,
+      width: Math.max(0, Math.min(width - x, Math.round(region.width))),
+      height: Math.max(0, Math.min(height - y, Math.round(region.height)))
+    };
+  }
+
+  /**
+   * Threshold a region into a text mask
+   * HUD text is drawn brighter than its background, so pixels close to the
+   * region's brightest value are treated as text
+   * @returns {Uint8Array} Mask with 1 for text pixels
+   */
+  binarize(grayData, width, bounds) {
+    const mask = new Uint8Array(bounds.width * bounds.height);
+    let maxValue = 0;
+
+    for (let y = 0; y < bounds.height; y++) {
+      for (let x = 0; x < bounds.width; x++) {
+        maxValue = Math.max(maxValue, grayData[(bounds.y + y) * width + bounds.x + x]);
+      }
+    }
+
+    const threshold = Math.max(CONFIG.CV.TEXT_BRIGHTNESS_THRESHOLD, maxValue * 0.75);
+
+    for (let y = 0; y < bounds.height; y++) {
+      for (let x = 0; x < bounds.width; x++) {
+        const value = grayData[(bounds.y + y) * width + bounds.x + x];
+        mask[y * bounds.width + x] = value >= threshold ? 1 : 0;
+      }
+    }
+
+    return mask;
+  }
+
+  /**
+   * Split the mask into glyphs at empty columns
+   * @returns {Array} Glyph column ranges {start, end}
+   */
+  segmentGlyphs(mask, maskWidth, maskHeight) {
+    const glyphs = [];
+    let start = -1;
+
+    for (let x = 0; x <= maskWidth; x++) {
+      let hasText = false;
+      for (let y = 0; x < maskWidth && y < maskHeight; y++) {
+        if (mask[y * maskWidth + x]) {
+          hasText = true;
+          break;
+        }
+      }
+
+      if (hasText && start === -1) {
+        start = x;
+      } else if (!hasText && start !== -1) {
+        glyphs.push({ start, end: x });
+        start = -1;
+      }
+    }
+
+    return glyphs;
+  }
+
+  /**
+   * Find the top and bottom text rows shared by all glyphs
+   * Using the line height (not each glyph's own height) keeps short
+   * glyphs such as '-' distinguishable from tall ones
+   * @returns {object} Line bounds {top, bottom}
+   */
+  getLineBounds(mask, maskWidth, glyphs) {
+    const maskHeight = mask.length / maskWidth;
+    let top = maskHeight;
+    let bottom = -1;
+
+    glyphs.forEach(glyph => {
+      for (let y = 0; y < maskHeight; y++) {
+        for (let x = glyph.start; x < glyph.end; x++) {
+          if (mask[y * maskWidth + x]) {
+            top = Math.min(top, y);
+            bottom = Math.max(bottom, y);
+          }
+        }
+      }
+    });
+
+    return { top, bottom: bottom + 1 };
+  }
+
+  /**
+   * Classify a glyph against the templates
+   * The glyph is stretched onto each template's ink columns, so alignment
+   * does not depend on where a narrow glyph ('1', '/') sits in its cell.
+   * Aspect ratio is compared separately to keep '1' apart from wide glyphs
+   * @returns {object} Best match {character, score}
+   */
+  classifyGlyph(mask, maskWidth, glyph, lineBounds) {
+    const lineHeight = lineBounds.bottom - lineBounds.top;
+    const glyphAspect = (glyph.end - glyph.start) / lineHeight;
+    let best = { character: '?', score: 0 };
+
+    this.templates.forEach(template => {
+      const cells = this.sampleGlyph(mask, maskWidth, glyph, lineBounds, template);
+      let matching = 0;
+      for (let i = 0; i < cells.length; i++) {
+        if (cells[i] === template.cells[i]) matching++;
+      }
+
+      const templateAspect = (template.inkEnd - template.inkStart) / GLYPH_TEMPLATE_SIZE.height;
+      const aspectSimilarity = Math.min(glyphAspect, templateAspect) / Math.max(glyphAspect, templateAspect);
+      // Shape agreement dominates; aspect only breaks near-ties
+      const score = (matching / cells.length) * (0.8 + 0.2 * aspectSimilarity);
+
+      if (score > best.score) {
+        best = { character: template.character, score };
+      }
+    });
+
+    if (best.score < CONFIG.CV.DIGIT_MATCH_THRESHOLD) {
+      return { character: '?', score: best.score };
+    }
+
+    return best;
+  }
+
+  /**
+   * Sample a glyph onto the template grid, stretched across the template's ink columns
+   * @param {boolean} threshold - Return 0/1 cells rather than coverage
+   * @returns {Array} Cells, row-major
+   */
+  sampleGlyph(mask, maskWidth, glyph, lineBounds, template, threshold = true) {
+    const { width: gridWidth, height: gridHeight } = GLYPH_TEMPLATE_SIZE;
+    const cellHeight = (lineBounds.bottom - lineBounds.top) / gridHeight;
+    const cellWidth = (glyph.end - glyph.start) / (template.inkEnd - template.inkStart);
+    const cells = [];
+
+    for (let row = 0; row < gridHeight; row++) {
+      for (let column = 0; column < gridWidth; column++) {
+        if (column < template.inkStart || column >= template.inkEnd) {
+          cells.push(0);
+          continue;
+        }
+
+        const offset = column - template.inkStart;
+        const x0 = Math.floor(glyph.start + offset * cellWidth);
+        const y0 = Math.floor(lineBounds.top + row * cellHeight);
+        const x1 = Math.max(x0 + 1, Math.floor(glyph.start + (offset + 1) * cellWidth));
+        const y1 = Math.max(y0 + 1, Math.floor(lineBounds.top + (row + 1) * cellHeight));
+
+        const coverage = this.cellCoverage(mask, maskWidth, glyph, x0, y0, x1, y1);
+        cells.push(threshold ? (coverage >= 0.4 ? 1 : 0) : coverage);
+      }
+    }
+
+    return cells;
+  }
+
+  /**
+   * Fraction of text pixels in a cell, ignoring pixels outside the glyph
+   * @returns {number} Coverage between 0 and 1
+   */
+  cellCoverage(mask, maskWidth, glyph, x0, y0, x1, y1) {
+    let textPixels = 0;
+    let total = 0;
+
+    for (let y = y0; y < y1; y++) {
+      for (let x = x0; x < x1; x++) {
+        total++;
+        if (x >= glyph.start && x < glyph.end && mask[y * maskWidth + x]) {
+          textPixels++;
+        }
+      }
+    }
+
+    return total > 0 ? textPixels / total : 0;
+  }
+
+  /**
+   * Parse a counter like "3/4" or "3"
+   * @param {string} text - Text returned by readText
+   * @returns {object|null} Parsed counter {current, next}
+   */
+  parseCounter(text) {
+    const match = text.match(/^(\d+)(?:\/(\d+))?$/);
+    if (!match) {
+      return null;
+    }
+
+    return {
+      current: parseInt(match[1], 10),
+      next: match[2] ? parseInt(match[2], 10) : null
+    };
+  }
+
+  /**
+   * Parse a stage readout like "3-2"
+   * @param {string} text - Text returned by readText
+   * @returns {object|null} Parsed stage {stage, round, label}
+   */
+  parseStage(text) {
+    const match = text.match(/^(\d)-(\d)$/);
+    if (!match) {
+      return null;
+    }
+
+    const stage = parseInt(match[1], 10);
+    const round = parseInt(match[2], 10);
+    if (stage < 1 || round < 1) {
+      return null;
+    }
+
+    return { stage, round, label: text };
+  }
+}
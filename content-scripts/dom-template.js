@@ -0,0 +1,209 @@
+/**
+ * DOM Template
+ * Small virtual-node layer for overlay content. Views are described with h(),
+ * data strings only ever become text nodes (never parsed as HTML), and render()
+ * patches the previous DOM in place so frequent redraws only touch what changed
+ */
+
+// Container -> virtual children it was last rendered with
+const renderedTemplates = new WeakMap();
+
+// Props that would let data bypass escaping
+const UNSAFE_TEMPLATE_PROP = /^(on|innerHTML$|outerHTML$)/i;
+
+/**
+ * Describe an element
+ * @param {string} tag - Tag name
+ * @param {object|null} props - className, style object, key (to match list items
+ *   across renders) and plain attributes such as title, src or alt
+ * @param {...*} children - Child nodes; strings and numbers become text,
+ *   arrays are flattened and null, undefined, booleans and '' are skipped
+ * @returns {object} Virtual node
+ */
+function createTemplateNode(tag, props, ...children) {
+  return { tag, props: props || {}, children: normalizeTemplateChildren(children) };
+}
+
+/**
+ * Flatten children into element and text nodes
+ * @private
+ */
+function normalizeTemplateChildren(children) {
+  const nodes = [];
+
+  children.flat(Infinity).forEach(child => {
+    if (child === null || child === undefined || child === '' || typeof child === 'boolean') return;
+    nodes.push(typeof child === 'object' ? child : { text: String(child) });
+  });
+
+  return nodes;
+}
+
+/**
+ * Render content into a container, patching what was rendered there before
+ * @param {HTMLElement} container - Container element
+ * @param {*} content - Virtual node(s) or text
+ */
+function renderTemplate(container, content) {
+  const next = normalizeTemplateChildren([content]);
+  const previous = renderedTemplates.get(container);
+
+  // Drop anything that was not put there by a template
+  if (!previous) {
+    container.replaceChildren();
+  }
+
+  patchTemplateChildren(container, previous || [], next);
+  renderedTemplates.set(container, next);
+}
+
+/**
+ * Remove rendered content from a container
+ * @param {HTMLElement} container - Container element
+ */
+function clearTemplate(container) {
+  container.replaceChildren();
+  renderedTemplates.delete(container);
+}
+
+/**
+ * Check if content would render nothing
+ * @param {*} content - Virtual node(s) or text
+ * @returns {boolean} Whether there is nothing to render
+ */
+function isEmptyTemplate(content) {
+  return normalizeTemplateChildren([content]).length === 0;
+}
+
+/**
+ * Patch a parent's children; keyed children are matched by key, the rest by position
+ * @private
+ */
+function patchTemplateChildren(parent, oldChildren, newChildren) {
+  const oldByKey = new Map();
+  oldChildren.forEach(child => {
+    if (child.props && child.props.key !== undefined) {
+      oldByKey.set(child.props.key, child);
+    }
+  });
+
+  const reused = new Set();
+  newChildren.forEach((child, index) => {
+    const key = child.props ? child.props.key : undefined;
+    const candidate = key !== undefined ? oldByKey.get(key) : oldChildren[index];
+
+    let node;
+    if (candidate && !reused.has(candidate) && isSameTemplateKind(candidate, child)) {
+      reused.add(candidate);
+      node = patchTemplateNode(candidate, child);
+    } else {
+      node = createTemplateDomNode(child);
+    }
+
+    const current = parent.childNodes[index];
+    if (current !== node) {
+      parent.insertBefore(node, current || null);
+    }
+  });
+
+  oldChildren.forEach(child => {
+    if (!reused.has(child)) {
+      child.node.remove();
+    }
+  });
+}
+
+/**
+ * Check if an old node can be patched into a new one
+ * @private
+ */
+function isSameTemplateKind(oldChild, newChild) {
+  if ('text' in oldChild || 'text' in newChild) {
+    return 'text' in oldChild && 'text' in newChild;
+  }
+
+  return oldChild.tag === newChild.tag && oldChild.props.key === newChild.props.key;
+}
+
+/**
+ * Update an existing DOM node to match a new virtual node
+ * @private
+ */
+function patchTemplateNode(oldChild, newChild) {
+  const node = oldChild.node;
+  newChild.node = node;
+
+  if ('text' in newChild) {
+    if (oldChild.text !== newChild.text) {
+      node.nodeValue = newChild.text;
+    }
+    return node;
+  }
+
+  applyTemplateProps(node, oldChild.props, newChild.props);
+  patchTemplateChildren(node, oldChild.children, newChild.children);
+  return node;
+}
+
+/**
+ * Create the DOM node for a virtual node
+ * @private
+ */
+function createTemplateDomNode(child) {
+  if ('text' in child) {
+    child.node = document.createTextNode(child.text);
+    return child.node;
+  }
+
+  const element = document.createElement(child.tag);
+  applyTemplateProps(element, {}, child.props);
+  patchTemplateChildren(element, [], child.children);
+  child.node = element;
+  return element;
+}
+
+/**
+ * Apply changed props to an element
+ * @private
+ */
+function applyTemplateProps(element, oldProps, newProps) {
+  Object.keys({ ...oldProps, ...newProps }).forEach(name => {
+    const before = oldProps[name];
+    const after = newProps[name];
+
+    if (name === 'key') return;
+
+    if (name === 'style') {
+      const oldStyle = before || {};
+      const newStyle = after || {};
+      Object.keys({ ...oldStyle, ...newStyle }).forEach(property => {
+        if (oldStyle[property] !== newStyle[property]) {
+          element.style[property] = newStyle[property] ?? '';
+        }
+      });
+      return;
+    }
+
+    if (before === after) return;
+
+    if (UNSAFE_TEMPLATE_PROP.test(name)) {
+      logger.warn('Template prop ignored', { name });
+      return;
+    }
+
+    if (name === 'className') {
+      element.className = after || '';
+    } else if (after === undefined || after === null || after === false) {
+      element.removeAttribute(name);
+    } else {
+      element.setAttribute(name, after === true ? '' : String(after));
+    }
+  });
+}
+
+const DomTemplate = {
+  h: createTemplateNode,
+  render: renderTemplate,
+  clear: clearTemplate,
+  isEmpty: isEmptyTemplate
+};
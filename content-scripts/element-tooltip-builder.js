@@ -0,0 +1,101 @@
+/**
+ * Element Tooltip Builder
+ * Turns detected elements into tooltip card data using the game data managers
+ */
+
+class ElementTooltipBuilder {
+  constructor(augmentsManager, traitsManager, championsManager) {
+    this.augmentsManager = augmentsManager;
+    this.traitsManager = traitsManager;
+    this.championsManager = championsManager;
+  }
+
+  /**
+   * Build tooltip card data for a detected element
+   * @param {object} element - Detected element
+   * @returns {object|null} Card data {title, subtitle, description, image, accentColor}
+   */
+  build(element) {
+    if (!element.key) {
+      return null;
+    }
+
+    switch (element.type) {
+      case 'augment':
+        return this.buildAugmentTooltip(element);
+      case 'trait':
+        return this.buildTraitTooltip(element);
+      case 'shop_slot':
+        return this.buildChampionTooltip(element);
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Build card data for a recognized augment
+   * @param {object} element - Augment element
+   * @returns {object|null} Card data
+   */
+  buildAugmentTooltip(element) {
+    const augment = this.augmentsManager.getAugment(element.key);
+    const tooltip = this.augmentsManager.createTooltipData(augment);
+    if (!tooltip) {
+      return null;
+    }
+
+    return {
+      title: tooltip.title,
+      subtitle: `${this.augmentsManager.getTierDisplayName(tooltip.tier)} · Power ${tooltip.powerLevel}`,
+      description: tooltip.description,
+      image: tooltip.image,
+      accentColor: this.augmentsManager.getTierColor(tooltip.tier)
+    };
+  }
+
+  /**
+   * Build card data for a trait at its detected unit count
+   * @param {object} element - Trait element
+   * @returns {object|null} Card data
+   */
+  buildTraitTooltip(element) {
+    const trait = this.traitsManager.getTrait(element.key);
+    const tooltip = this.traitsManager.createTooltipData(trait, element.count);
+    if (!tooltip) {
+      return null;
+    }
+
+    const tierName = tooltip.effect ? tooltip.effect.tierName : null;
+
+    return {
+      title: `${tooltip.name} (${tooltip.currentLevel})`,
+      subtitle: `${this.traitsManager.getTypeDisplayName(tooltip.type)} · ${tooltip.activationLevels.join(' / ')}`,
+      description: tooltip.effect ? tooltip.effect.description : 'Inactive',
+      image: tooltip.image,
+      accentColor: this.traitsManager.getTierColor(tierName)
+    };
+  }
+
+  /**
+   * Build card data for a champion recognized in the shop
+   * @param {object} element - Shop slot element
+   * @returns {object|null} Card data
+   */
+  buildChampionTooltip(element) {
+    const champion = this.championsManager.getChampion(element.key);
+    const tooltip = this.championsManager.createTooltipData(champion);
+    if (!tooltip) {
+      return null;
+    }
+
+    const ability = tooltip.ability;
+
+    return {
+      title: `${tooltip.name} (${tooltip.cost}★)`,
+      subtitle: tooltip.traits.join(' · '),
+      description: ability ? `${ability.name}: ${ability.description}` : '',
+      image: tooltip.image,
+      accentColor: this.championsManager.getCostColor(tooltip.cost)
+    };
+  }
+}
@@ -0,0 +1,77 @@
+/**
+ * Event Timeline
+ * Remembers where in a VOD or clip notable game events were detected,
+ * so viewers can jump between them
+ */
+
+// Game state events worth jumping to
+const TIMELINE_EVENT_TYPES = ['augmentChosen', 'stageAdvanced', 'levelUp'];
+
+class EventTimeline {
+  constructor() {
+    this.videoId = null;
+    this.entries = [];
+  }
+
+  /**
+   * Switch to another video; its timeline starts empty
+   * @param {string|null} videoId - VOD id or clip slug; null records nothing (live streams)
+   */
+  setVideo(videoId) {
+    if (videoId === this.videoId) return;
+
+    this.videoId = videoId;
+    this.entries = [];
+  }
+
+  /**
+   * Record an event at its playback position
+   * The first reading after a reset (e.g. a stage seen right after seeking) is not a
+   * change and is skipped; an event seen again near the same position, as after
+   * seeking back, is kept once
+   * @param {object} event - Event from GameStateTracker, with mediaTime
+   * @returns {boolean} Whether an entry was added
+   */
+  record(event) {
+    if (!this.videoId || !TIMELINE_EVENT_TYPES.includes(event.type) || typeof event.mediaTime !== 'number') {
+      return false;
+    }
+    if ('from' in event && event.from === null) {
+      return false;
+    }
+
+    const identity = this.getIdentity(event);
+    const isDuplicate = this.entries.some(entry =>
+      entry.type === event.type &&
+      entry.identity === identity &&
+      Math.abs(entry.time - event.mediaTime) <= CONFIG.PLAYBACK.TIMELINE_MERGE_WINDOW
+    );
+    if (isDuplicate) {
+      return false;
+    }
+
+    this.entries.push({ time: event.mediaTime, type: event.type, identity, event });
+    this.entries.sort((a, b) => a.time - b.time);
+    if (this.entries.length > CONFIG.PLAYBACK.TIMELINE_MAX_ENTRIES) {
+      this.entries.shift();
+    }
+
+    return true;
+  }
+
+  /**
+   * Get the recorded entries in playback order
+   * @returns {Array} Entries {time, type, event}
+   */
+  getEntries() {
+    return this.entries.map(({ time, type, event }) => ({ time, type, event }));
+  }
+
+  /**
+   * What makes two events of a type the same event, e.g. the augment or the stage reached
+   * @private
+   */
+  getIdentity(event) {
+    return JSON.stringify(event.key ?? event.to);
+  }
+}
@@ -0,0 +1,83 @@
+/**
+ * Game Data Source
+ * Loads static game data sets, preferring the background service worker's
+ * shared copy over fetching the bundled JSON in every tab
+ */
+
+/**
+ * Get the bundled asset path for a data set
+ * @param {string} dataType - 'augments', 'traits', 'traitActivations', 'champions' or 'items'
+ * @returns {string|null} Extension-relative path
+ */
+function getGameDataPath(dataType) {
+  const paths = {
+    augments: CONFIG.DATA.AUGMENTS_PATH,
+    traits: CONFIG.DATA.TRAITS_PATH,
+    traitActivations: CONFIG.DATA.TRAIT_ACTIVATIONS_PATH,
+    champions: CONFIG.DATA.CHAMPIONS_PATH,
+    items: CONFIG.DATA.ITEMS_PATH
+  };
+
+  return paths[dataType] || null;
+}
+
+/**
+ * Fetch a data set directly from the extension bundle
+ * @param {string} dataType - Data set name
+ * @returns {Promise<object>} Parsed JSON
+ */
+async function fetchBundledDataSet(dataType) {
+  const path = getGameDataPath(dataType);
+  if (!path) {
+    throw new Error(`Unknown data set: ${dataType}`);
+  }
+
+  const response = await fetch(chrome.runtime.getURL(path));
+  if (!response.ok) {
+    throw new Error(`Failed to load ${dataType} data: ${response.status}`);
+  }
+
+  return response.json();
+}
+
+/**
+ * Ask the background service worker for its loaded copy of a data set
+ * @param {string} dataType - Data set name
+ * @returns {Promise<object>} Parsed JSON
+ */
+async function requestBackgroundDataSet(dataType) {
+  const response = await chrome.runtime.sendMessage({ action: 'getDataSet', dataType });
+
+  if (!response || !response.success) {
+    throw new Error(response?.error || `Background has no ${dataType} data`);
+  }
+
+  return response.data;
+}
+
+/**
+ * Load a data set, falling back to the bundle if the background is unavailable
+ * (e.g. the service worker failed to start or the extension was just reloaded)
+ * @param {string} dataType - Data set name
+ * @param {boolean} viaBackground - Whether to ask the service worker first
+ * @returns {Promise<object>} Parsed JSON
+ */
+async function loadGameDataSet(dataType, viaBackground = true) {
+  if (viaBackground) {
+    try {
+      return await requestBackgroundDataSet(dataType);
+    } catch (error) {
+      logger.warn('Background data unavailable, loading bundled copy', {
+        dataType,
+        error: error.message
+      });
+    }
+  }
+
+  return fetchBundledDataSet(dataType);
+}
+
+const GameDataSource = {
+  load: loadGameDataSet,
+  getPath: getGameDataPath
+};
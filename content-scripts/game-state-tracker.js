@@ -0,0 +1,328 @@
+/**
+ * Game State Tracker
+ * Combines per-frame detections into a stable picture of the game.
+ * Each tracked value only changes once a new reading wins enough votes
+ * over the last few frames, and every accepted change is emitted as an event
+ */
+
+/**
+ * One tracked value with majority voting over recent observations
+ */
+class VotedValue {
+  /**
+   * @param {number} historyFrames - Observations kept for voting
+   * @param {number} confirmFrames - Votes a new value needs before it is accepted
+   */
+  constructor(historyFrames, confirmFrames) {
+    this.historyFrames = historyFrames;
+    this.confirmFrames = confirmFrames;
+    this.history = [];
+    this.value = null;
+    this.valueKey = JSON.stringify(null);
+  }
+
+  /**
+   * Add an observation
+   * @param {*} value - Value read this frame (JSON-serializable)
+   * @returns {boolean} Whether the stable value changed
+   */
+  observe(value) {
+    const key = JSON.stringify(value);
+    this.history.push(key);
+    if (this.history.length > this.historyFrames) {
+      this.history.shift();
+    }
+
+    if (key === this.valueKey) {
+      return false;
+    }
+
+    const votes = this.history.filter(observed => observed === key).length;
+    if (votes < this.confirmFrames) {
+      return false;
+    }
+
+    this.value = value;
+    this.valueKey = key;
+    return true;
+  }
+}
+
+class GameStateTracker {
+  /**
+   * @param {object} options - Optional helpers
+   * @param {AugmentAdvisor} options.augmentAdvisor - Recognizes the augment choice screen
+   */
+  constructor(options = {}) {
+    this.augmentAdvisor = options.augmentAdvisor || null;
+    this.listeners = [];
+    this.reset();
+  }
+
+  /**
+   * Forget everything, e.g. after switching to another channel or seeking
+   */
+  reset() {
+    const voted = () => this.createVotedValue();
+
+    this.augments = voted();
+    this.augmentChoice = voted(); // Offered keys while the choice screen is up, else null
+    this.traits = new Map(); // trait key -> VotedValue of its unit count (0 = gone)
+    this.shopSlots = Array.from({ length: CONFIG.CV.SHOP_SLOT_COUNT }, voted);
+    this.hud = {
+      gold: voted(),
+      level: voted(),
+      xp: voted(),
+      stage: voted(),
+      health: voted()
+    };
+    this.offeredAugments = [];
+    this.chosenAugments = [];
+    this.updatedAt = null;
+    this.mediaTime = null;
+  }
+
+  /**
+   * Create a value voted over CONFIG.GAME_STATE frames
+   * @private
+   */
+  createVotedValue() {
+    return new VotedValue(CONFIG.GAME_STATE.HISTORY_FRAMES, CONFIG.GAME_STATE.CONFIRM_FRAMES);
+  }
+
+  /**
+   * Register a listener for state change events
+   * @param {Function} listener - Called with (event, state)
+   * @returns {Function} Unsubscribe function
+   */
+  onChange(listener) {
+    this.listeners.push(listener);
+    return () => {
+      this.listeners = this.listeners.filter(existing => existing !== listener);
+    };
+  }
+
+  /**
+   * Feed one frame's processing results
+   * @param {object} results - Results from SimpleCvProcessor.processFrame
+   * @returns {Array} Events emitted for this frame
+   */
+  update(results) {
+    const elements = results.elements || [];
+    const timestamp = results.timestamp || Date.now();
+    const mediaTime = typeof results.mediaTime === 'number' ? results.mediaTime : null;
+    // HUD first so the choice screen check sees this frame's stage
+    const events = [
+      ...this.updateHud(results.gameState),
+      ...this.updateAugmentChoice(elements),
+      ...this.updateAugments(elements),
+      ...this.updateTraits(elements),
+      ...this.updateShop(elements)
+    ].map(event => ({ ...event, timestamp, mediaTime }));
+
+    this.updatedAt = timestamp;
+    this.mediaTime = mediaTime;
+    events.forEach(event => this.notifyListeners(event));
+
+    return events;
+  }
+
+  /**
+   * Track the recognized augments on screen
+   * An offered set that narrows to one of its augments means that augment was chosen
+   * @private
+   */
+  updateAugments(elements) {
+    const keys = [...new Set(elements
+      .filter(element => element.type === 'augment' && element.key)
+      .map(element => element.key))].sort();
+
+    const previous = this.augments.value || [];
+    if (!this.augments.observe(keys)) {
+      return [];
+    }
+
+    const events = [];
+    if (keys.length > 1) {
+      this.offeredAugments = keys;
+      events.push({ type: 'augmentsOffered', keys });
+    } else if (keys.length === 1 && previous.length > 1 && previous.includes(keys[0])) {
+      events.push(this.chooseAugment(keys[0]));
+    } else if (keys.length === 0 && previous.length === 1 && this.offeredAugments.includes(previous[0])) {
+      events.push(this.chooseAugment(previous[0]));
+    }
+
+    return events.filter(Boolean);
+  }
+
+  /**
+   * Track whether the augment choice screen is up
+   * @private
+   */
+  updateAugmentChoice(elements) {
+    if (!this.augmentAdvisor) {
+      return [];
+    }
+
+    const previous = this.augmentChoice.value;
+    if (!this.augmentChoice.observe(this.augmentAdvisor.findChoice(elements, this.hud.stage.value))) {
+      return [];
+    }
+
+    const keys = this.augmentChoice.value;
+    return keys
+      ? [{ type: 'augmentChoiceStarted', keys }]
+      : [{ type: 'augmentChoiceEnded', keys: previous }];
+  }
+
+  /**
+   * Record a chosen augment once per offer
+   * @private
+   */
+  chooseAugment(key) {
+    this.offeredAugments = [];
+    if (this.chosenAugments.includes(key)) {
+      return null;
+    }
+
+    this.chosenAugments.push(key);
+    return { type: 'augmentChosen', key };
+  }
+
+  /**
+   * Track unit counts per trait; a trait missing from the tracker counts as 0
+   * @private
+   */
+  updateTraits(elements) {
+    const counts = new Map();
+    elements
+      .filter(element => element.type === 'trait' && element.key)
+      .forEach(element => counts.set(element.key, element.count || 0));
+
+    counts.forEach((count, key) => {
+      if (!this.traits.has(key)) {
+        this.traits.set(key, this.createVotedValue());
+      }
+    });
+
+    const events = [];
+    this.traits.forEach((voted, key) => {
+      const from = voted.value;
+      if (voted.observe(counts.get(key) || 0)) {
+        events.push({ type: 'traitChanged', key, from: from || 0, to: voted.value });
+      }
+    });
+
+    return events;
+  }
+
+  /**
+   * Track the shop cards; frames without any card (shop hidden or not read) are skipped
+   * @private
+   */
+  updateShop(elements) {
+    const slots = elements.filter(element => element.type === 'shop_slot');
+    if (slots.length === 0) {
+      return [];
+    }
+
+    let changed = false;
+    this.shopSlots.forEach((voted, index) => {
+      const card = slots.find(slot => slot.slot === index);
+      changed = voted.observe(card ? { cost: card.cost, key: card.key } : null) || changed;
+    });
+
+    return changed ? [{ type: 'shopChanged', slots: this.getShop() }] : [];
+  }
+
+  /**
+   * Track the HUD readouts; fields not read this frame keep their value
+   * @private
+   */
+  updateHud(gameState) {
+    if (!gameState) {
+      return [];
+    }
+
+    const events = [];
+    Object.entries(this.hud).forEach(([field, voted]) => {
+      const value = gameState[field];
+      if (value === null || value === undefined) return;
+
+      const from = voted.value;
+      if (voted.observe(value)) {
+        events.push(this.createHudEvent(field, from, voted.value));
+      }
+    });
+
+    return events;
+  }
+
+  /**
+   * Describe an accepted HUD change
+   * @private
+   */
+  createHudEvent(field, from, to) {
+    switch (field) {
+      case 'stage':
+        return { type: 'stageAdvanced', from, to };
+      case 'level':
+        return { type: from !== null && to > from ? 'levelUp' : 'levelChanged', from, to };
+      default:
+        return { type: `${field}Changed`, from, to };
+    }
+  }
+
+  /**
+   * Get the stable shop cards
+   * @returns {Array} Cards {slot, cost, key}, empty slots left out
+   */
+  getShop() {
+    return this.shopSlots
+      .map((voted, slot) => (voted.value ? { slot, ...voted.value } : null))
+      .filter(Boolean);
+  }
+
+  /**
+   * Get the stable game state
+   * @returns {object} State {augments, augmentChoice, chosenAugments, traits, shop, gold, level, xp, stage, health,
+   *   updatedAt, mediaTime}
+   */
+  getState() {
+    const traits = [];
+    this.traits.forEach((voted, key) => {
+      if (voted.value) traits.push({ key, count: voted.value });
+    });
+
+    return {
+      augments: this.augments.value || [],
+      augmentChoice: this.augmentChoice.value,
+      chosenAugments: [...this.chosenAugments],
+      traits: traits.sort((a, b) => b.count - a.count),
+      shop: this.getShop(),
+      gold: this.hud.gold.value,
+      level: this.hud.level.value,
+      xp: this.hud.xp.value,
+      stage: this.hud.stage.value,
+      health: this.hud.health.value,
+      updatedAt: this.updatedAt,
+      mediaTime: this.mediaTime // Playback position of the last update
+    };
+  }
+
+  /**
+   * Notify listeners, isolating their errors from each other
+   * @param {object} event - Change event
+   */
+  notifyListeners(event) {
+    const state = this.getState();
+
+    this.listeners.forEach(listener => {
+      try {
+        listener(event, state);
+      } catch (error) {
+        logger.error('Error in game state listener', error);
+      }
+    });
+  }
+}
@@ -0,0 +1,163 @@
+/**
+ * Glyph Templates
+ * 5x7 bitmaps of the characters used by TFT HUD counters and the stage readout
+ * ('#' = text pixel, '.' = background)
+ *
+ * These are generic font shapes. Glyphs captured from real HUD crops
+ * (CONFIG.DATA.GLYPH_TEMPLATES_PATH) replace them per character when bundled
+ */
+
+const GLYPH_TEMPLATE_SIZE = { width: 5, height: 7 };
+
+const GLYPH_TEMPLATES = {
+  '0': [
+    '.###.',
+    '#...#',
+    '#...#',
+    '#...#',
+    '#...#',
+    '#...#',
+    '.###.'
+  ],
+  '1': [
+    '..#..',
+    '.##..',
+    '..#..',
+    '..#..',
+    '..#..',
+    '..#..',
+    '..#..'
+  ],
+  '2': [
+    '.###.',
+    '#...#',
+    '....#',
+    '...#.',
+    '..#..',
+    '.#...',
+    '#####'
+  ],
+  '3': [
+    '####.',
+    '....#',
+    '....#',
+    '.###.',
+    '....#',
+    '....#',
+    '####.'
+  ],
+  '4': [
+    '...#.',
+    '..##.',
+    '.#.#.',
+    '#..#.',
+    '#####',
+    '...#.',
+    '...#.'
+  ],
+  '5': [
+    '#####',
+    '#....',
+    '####.',
+    '....#',
+    '....#',
+    '#...#',
+    '.###.'
+  ],
+  '6': [
+    '.###.',
+    '#....',
+    '#....',
+    '####.',
+    '#...#',
+    '#...#',
+    '.###.'
+  ],
+  '7': [
+    '#####',
+    '....#',
+    '...#.',
+    '..#..',
+    '.#...',
+    '.#...',
+    '.#...'
+  ],
+  '8': [
+    '.###.',
+    '#...#',
+    '#...#',
+    '.###.',
+    '#...#',
+    '#...#',
+    '.###.'
+  ],
+  '9': [
+    '.###.',
+    '#...#',
+    '#...#',
+    '.####',
+    '....#',
+    '....#',
+    '.###.'
+  ],
+  '/': [
+    '....#',
+    '...#.',
+    '...#.',
+    '..#..',
+    '.#...',
+    '.#...',
+    '#....'
+  ],
+  '-': [
+    '.....',
+    '.....',
+    '.....',
+    '#####',
+    '.....',
+    '.....',
+    '.....'
+  ]
+};
+
+let capturedGlyphsPromise = null;
+
+/**
+ * Load the glyphs captured from HUD crops (fetched once for all readers)
+ * @returns {Promise<object>} Character -> rows; empty if none are bundled
+ */
+function loadCapturedGlyphs() {
+  if (!capturedGlyphsPromise) {
+    capturedGlyphsPromise = fetchCapturedGlyphs();
+  }
+
+  return capturedGlyphsPromise;
+}
+
+/**
+ * @private
+ */
+async function fetchCapturedGlyphs() {
+  try {
+    const response = await fetch(chrome.runtime.getURL(CONFIG.DATA.GLYPH_TEMPLATES_PATH));
+    if (!response.ok) {
+      throw new Error(`Failed to load captured glyphs: ${response.status}`);
+    }
+
+    const { glyphs } = await response.json();
+    const valid = Object.entries(glyphs || {}).filter(([, rows]) =>
+      Array.isArray(rows) &&
+      rows.length === GLYPH_TEMPLATE_SIZE.height &&
+      rows.every(row => typeof row === 'string' && row.length === GLYPH_TEMPLATE_SIZE.width)
+    );
+
+    return Object.fromEntries(valid);
+  } catch (error) {
+    logger.info('No captured HUD glyphs bundled, reading with the built-in glyph shapes', { error: error.message });
+    return {};
+  }
+}
+
+const GlyphTemplates = {
+  loadCaptured: loadCapturedGlyphs
+};
@@ -0,0 +1,21 @@
+/**
+ * History Hook
+ * Runs in the page's own JavaScript world, where the site's router calls
+ * history.pushState/replaceState. Content scripts can't see those calls from
+ * their isolated world, so each one is announced with a window event
+ */
+
+(() => {
+  // Must match CONFIG.STREAM_MONITORING.NAVIGATION_EVENT; CONFIG isn't loaded in this world
+  const NAVIGATION_EVENT = 'tft-extension:navigation';
+
+  ['pushState', 'replaceState'].forEach(method => {
+    const original = history[method];
+
+    history[method] = function (...args) {
+      const result = original.apply(this, args);
+      window.dispatchEvent(new Event(NAVIGATION_EVENT));
+      return result;
+    };
+  });
+})();
@@ -0,0 +1,179 @@
+/**
+ * Hotspot Layer
+ * Transparent hover targets placed over detected elements on the video
+ */
+
+class HotspotLayer {
+  constructor() {
+    this.layerElement = null;
+    this.videoElement = null;
+    this.tooltipRenderer = new TooltipRenderer();
+    this.tooltipProvider = null;
+    this.hotspots = new Map();
+    this.elements = [];
+    this.hoverTimeout = null;
+  }
+
+  /**
+   * Attach the layer to the overlay container's parent
+   * @param {HTMLElement} container - Positioned container holding the video
+   * @param {HTMLVideoElement} videoElement - Video the elements were detected in
+   */
+  attach(container, videoElement) {
+    this.detach();
+
+    this.videoElement = videoElement;
+    this.layerElement = document.createElement('div');
+    this.layerElement.className = 'tft-hotspot-layer';
+    this.layerElement.style.zIndex = CONFIG.OVERLAY.Z_INDEX;
+    container.appendChild(this.layerElement);
+
+    this.tooltipRenderer.attach(container);
+    this.tooltipRenderer.hide();
+  }
+
+  /**
+   * Set the function that builds tooltip data for an element
+   * @param {Function} provider - (element) => tooltip card data or null
+   */
+  setTooltipProvider(provider) {
+    this.tooltipProvider = provider;
+  }
+
+  /**
+   * Create, move or remove hotspots to match the detected elements
+   * Hotspots are keyed by element id and reused between frames,
+   * so a tooltip that is open stays attached while detection refreshes
+   * @param {Array} elements - Detected elements in video pixel coordinates
+   */
+  render(elements) {
+    if (!this.layerElement || !this.videoElement) {
+      return;
+    }
+
+    this.elements = elements.filter(element => this.getTooltip(element));
+    const activeIds = new Set();
+
+    this.elements.forEach(element => {
+      activeIds.add(element.id);
+
+      let hotspot = this.hotspots.get(element.id);
+      if (!hotspot) {
+        hotspot = this.createHotspot(element.id);
+        this.hotspots.set(element.id, hotspot);
+      }
+
+      this.positionHotspot(hotspot, element);
+    });
+
+    this.hotspots.forEach((hotspot, id) => {
+      if (!activeIds.has(id)) {
+        hotspot.remove();
+        this.hotspots.delete(id);
+      }
+    });
+  }
+
+  /**
+   * Re-apply positions after the video was resized or moved
+   */
+  reposition() {
+    this.render(this.elements);
+  }
+
+  /**
+   * Create a hotspot element with hover handlers
+   * @param {string} elementId - Id of the detected element
+   * @returns {HTMLElement} Hotspot element
+   */
+  createHotspot(elementId) {
+    const hotspot = document.createElement('div');
+    hotspot.className = 'tft-hotspot';
+    hotspot.dataset.elementId = elementId;
+
+    hotspot.addEventListener('mouseenter', () => {
+      clearTimeout(this.hoverTimeout);
+      // Small delay so sweeping the mouse across the video does not flash tooltips
+      this.hoverTimeout = setTimeout(() => this.showTooltipFor(hotspot), CONFIG.OVERLAY.HOVER_DELAY);
+    });
+
+    hotspot.addEventListener('mouseleave', () => {
+      clearTimeout(this.hoverTimeout);
+      this.tooltipRenderer.hide();
+    });
+
+    this.layerElement.appendChild(hotspot);
+    return hotspot;
+  }
+
+  /**
+   * Scale an element's video-pixel box to the rendered video and apply it
+   * @param {HTMLElement} hotspot - Hotspot element
+   * @param {object} element - Detected element
+   */
+  positionHotspot(hotspot, element) {
+    const rect = VideoGeometry.mapRegionToContainer(element, this.videoElement, this.layerElement);
+
+    Object.assign(hotspot.style, {
+      left: `${rect.left}px`,
+      top: `${rect.top}px`,
+      width: `${rect.width}px`,
+      height: `${rect.height}px`
+    });
+  }
+
+  /**
+   * Show the tooltip for a hovered hotspot
+   * @param {HTMLElement} hotspot - Hovered hotspot
+   */
+  showTooltipFor(hotspot) {
+    const element = this.elements.find(item => item.id === hotspot.dataset.elementId);
+    const tooltip = element ? this.getTooltip(element) : null;
+    if (!tooltip) {
+      return;
+    }
+
+    const layerRect = this.layerElement.getBoundingClientRect();
+    const hotspotRect = hotspot.getBoundingClientRect();
+
+    this.tooltipRenderer.show(tooltip, {
+      left: hotspotRect.left - layerRect.left,
+      top: hotspotRect.top - layerRect.top,
+      width: hotspotRect.width,
+      height: hotspotRect.height
+    });
+  }
+
+  /**
+   * Build tooltip data for an element through the provider
+   * @param {object} element - Detected element
+   * @returns {object|null} Tooltip card data
+   */
+  getTooltip(element) {
+    if (!this.tooltipProvider) {
+      return null;
+    }
+
+    try {
+      return this.tooltipProvider(element);
+    } catch (error) {
+      logger.error('Error building tooltip', error);
+      return null;
+    }
+  }
+
+  /**
+   * Remove all hotspots and the tooltip
+   */
+  detach() {
+    clearTimeout(this.hoverTimeout);
+    this.hotspots.clear();
+    this.elements = [];
+    this.tooltipRenderer.detach();
+
+    if (this.layerElement) {
+      this.layerElement.remove();
+      this.layerElement = null;
+    }
+  }
+}
@@ -0,0 +1,179 @@
+/**
+ * HUD Layout Classifier
+ * Recognizes the TFT HUD in a frame from its layout alone - the shop bar,
+ * the gold box and the trait column - without reading any of their contents
+ */
+
+// How much each part of the HUD counts towards the frame's score
+const HUD_LAYOUT_WEIGHTS = {
+  shopBar: 0.4,
+  goldBox: 0.3,
+  traitColumn: 0.3
+};
+
+// Minimum gradient between neighbouring pixels counted as an edge
+const HUD_EDGE_THRESHOLD = 30;
+
+// A card border must be this much stronger than the shop's average column
+const SHOP_BORDER_CONTRAST = 1.5;
+
+// Background of the gold box and share of its pixels lit by the digits
+const GOLD_BACKGROUND_MAX = 80;
+const GOLD_TEXT_RATIO = { min: 0.08, max: 0.5 };
+
+class HudLayoutClassifier {
+  /**
+   * Score how much a frame looks like the TFT HUD
+   * @param {Uint8Array} grayData - Grayscale image data
+   * @param {number} width - Image width
+   * @param {number} height - Image height
+   * @param {object} areas - Frame-pixel areas {shop, gold, traits}
+   * @returns {object} Classification {score, features: {shopBar, goldBox, traitColumn}}, scores 0-1
+   */
+  classify(grayData, width, height, areas) {
+    const features = {
+      shopBar: this.scoreShopBar(grayData, width, height, areas.shop),
+      goldBox: this.scoreGoldBox(grayData, width, height, areas.gold),
+      traitColumn: this.scoreTraitColumn(grayData, width, height, areas.traits)
+    };
+
+    const score = Object.entries(HUD_LAYOUT_WEIGHTS)
+      .reduce((sum, [feature, weight]) => sum + features[feature] * weight, 0);
+
+    return { score, features };
+  }
+
+  /**
+   * Score the shop bar: five equal cards whose borders stand out as vertical edges
+   * @private
+   */
+  scoreShopBar(grayData, width, height, region) {
+    const area = this.clampArea(region, width, height);
+    if (!area) return 0;
+
+    const columns = this.getColumnEdgeProfile(grayData, width, area);
+    const average = columns.reduce((sum, value) => sum + value, 0) / columns.length;
+    if (average === 0) return 0;
+
+    // Borders between cards, give or take a couple of pixels of misalignment
+    const slotWidth = area.width / CONFIG.CV.SHOP_SLOT_COUNT;
+    const tolerance = Math.max(2, Math.round(slotWidth * 0.05));
+    let borders = 0;
+    for (let slot = 1; slot < CONFIG.CV.SHOP_SLOT_COUNT; slot++) {
+      const center = Math.round(slot * slotWidth);
+      const peak = Math.max(...columns.slice(Math.max(0, center - tolerance), center + tolerance + 1));
+      if (peak >= average * SHOP_BORDER_CONTRAST) {
+        borders++;
+      }
+    }
+
+    return borders / (CONFIG.CV.SHOP_SLOT_COUNT - 1);
+  }
+
+  /**
+   * Score the gold box: bright digits on a dark background
+   * @private
+   */
+  scoreGoldBox(grayData, width, height, region) {
+    const area = this.clampArea(region, width, height);
+    if (!area) return 0;
+
+    let textPixels = 0;
+    let backgroundSum = 0;
+    for (let y = area.y; y < area.y + area.height; y++) {
+      for (let x = area.x; x < area.x + area.width; x++) {
+        const value = grayData[y * width + x];
+        if (value >= CONFIG.CV.TEXT_BRIGHTNESS_THRESHOLD) {
+          textPixels++;
+        } else {
+          backgroundSum += value;
+        }
+      }
+    }
+
+    const total = area.width * area.height;
+    const textRatio = textPixels / total;
+    const backgroundLevel = textPixels < total ? backgroundSum / (total - textPixels) : 255;
+
+    const hasDigits = textRatio >= GOLD_TEXT_RATIO.min && textRatio <= GOLD_TEXT_RATIO.max;
+    const hasDarkBackground = backgroundLevel <= GOLD_BACKGROUND_MAX;
+    return (hasDigits ? 0.5 : 0) + (hasDarkBackground ? 0.5 : 0);
+  }
+
+  /**
+   * Score the trait column: rows of icons repeating at the tracker's row height
+   * @private
+   */
+  scoreTraitColumn(grayData, width, height, region) {
+    const area = this.clampArea(region, width, height);
+    const pitch = Math.round(height * CONFIG.CV.TRAIT_ROW_HEIGHT);
+    if (!area || pitch < 2 || area.height < pitch * 2) return 0;
+
+    const rows = this.getRowEdgeProfile(grayData, width, area);
+    const mean = rows.reduce((sum, value) => sum + value, 0) / rows.length;
+    const centered = rows.map(value => value - mean);
+    const variance = centered.reduce((sum, value) => sum + value * value, 0);
+    if (variance === 0) return 0;
+
+    // Autocorrelation at one row pitch: high when the profile repeats every row
+    let correlation = 0;
+    for (let i = 0; i + pitch < centered.length; i++) {
+      correlation += centered[i] * centered[i + pitch];
+    }
+
+    return Math.max(0, Math.min(1, correlation / variance));
+  }
+
+  /**
+   * Share of edge pixels in each column of an area
+   * @private
+   */
+  getColumnEdgeProfile(grayData, width, area) {
+    const profile = new Array(area.width).fill(0);
+    for (let y = area.y; y < area.y + area.height; y++) {
+      for (let x = area.x; x < area.x + area.width - 1; x++) {
+        const index = y * width + x;
+        if (Math.abs(grayData[index] - grayData[index + 1]) > HUD_EDGE_THRESHOLD) {
+          profile[x - area.x]++;
+        }
+      }
+    }
+    return profile.map(count => count / area.height);
+  }
+
+  /**
+   * Share of edge pixels in each row of an area
+   * @private
+   */
+  getRowEdgeProfile(grayData, width, area) {
+    const profile = new Array(area.height).fill(0);
+    for (let y = area.y; y < area.y + area.height - 1; y++) {
+      for (let x = area.x; x < area.x + area.width; x++) {
+        const index = y * width + x;
+        if (Math.abs(grayData[index] - grayData[index + width]) > HUD_EDGE_THRESHOLD) {
+          profile[y - area.y]++;
+        }
+      }
+    }
+    return profile.map(count => count / area.width);
+  }
+
+  /**
+   * Clip an area to the frame
+   * @private
+   */
+  clampArea(area, width, height) {
+    if (!area) return null;
+
+    const x = Math.max(0, area.x);
+    const y = Math.max(0, area.y);
+    const clipped = {
+      x,
+      y,
+      width: Math.min(area.x + area.width, width) - x,
+      height: Math.min(area.y + area.height, height) - y
+    };
+
+    return clipped.width > 1 && clipped.height > 1 ? clipped : null;
+  }
+}
@@ -0,0 +1,157 @@
+/**
+ * HUD Reader
+ * Reads the numeric TFT HUD readouts (gold, level, XP, stage/round, health)
+ * with the digit reader and combines them into a game state object
+ */
+
+// HUD fields read from named regions of the HUD region group
+const HUD_FIELDS = ['stage', 'level', 'xp', 'health'];
+
+class HudReader {
+  constructor() {
+    this.digitReader = new DigitReader();
+  }
+
+  /**
+   * Read with the glyphs captured from real HUD crops, where bundled
+   * @returns {Promise<number>} Number of captured glyphs in use
+   */
+  async loadTemplates() {
+    return this.digitReader.loadTemplates();
+  }
+
+  /**
+   * Read the gold count
+   * @param {Uint8Array} grayData - Grayscale frame data
+   * @param {number} width - Frame width
+   * @param {number} height - Frame height
+   * @param {object} area - Area covering just the gold digits
+   * @returns {object|null} Gold element {type: 'gold', value, ...} or null if unreadable
+   */
+  readGold(grayData, width, height, area) {
+    const reading = this.readField('gold', grayData, width, height, area);
+    return reading ? this.createElement('gold', reading, area, 'gold') : null;
+  }
+
+  /**
+   * Read the named HUD regions ('stage', 'level', 'xp', 'health')
+   * Regions with other names are ignored
+   * @param {Uint8Array} grayData - Grayscale frame data
+   * @param {number} width - Frame width
+   * @param {number} height - Frame height
+   * @param {Array} areas - Named areas in frame pixels
+   * @returns {Array} HUD elements {type: 'hud', field, value, ...}
+   */
+  readHud(grayData, width, height, areas) {
+    const elements = [];
+
+    areas.forEach(area => {
+      if (!HUD_FIELDS.includes(area.name)) return;
+
+      const reading = this.readField(area.name, grayData, width, height, area);
+      if (reading) {
+        elements.push(this.createElement('hud', reading, area, `hud_${area.name}`, area.name));
+      }
+    });
+
+    return elements;
+  }
+
+  /**
+   * Read and parse one field
+   * @returns {object|null} Reading {text, value, confidence} or null if it did not parse
+   */
+  readField(field, grayData, width, height, area) {
+    const result = this.digitReader.readText(grayData, width, height, area);
+    const value = this.parseFieldValue(field, result.text);
+
+    if (value === null) {
+      logger.debug('HUD field unreadable', { field, text: result.text });
+      return null;
+    }
+
+    return { text: result.text, value, confidence: result.confidence };
+  }
+
+  /**
+   * Parse the text of a field, rejecting values the game cannot show
+   * @param {string} field - 'gold', 'stage', 'level', 'xp' or 'health'
+   * @param {string} text - Text returned by the digit reader
+   * @returns {number|object|null} Parsed value or null
+   */
+  parseFieldValue(field, text) {
+    switch (field) {
+      case 'gold':
+        return this.parseBoundedNumber(text, 0, 999);
+      case 'health':
+        return this.parseBoundedNumber(text, 0, 200);
+      case 'level': {
+        // Tolerate a misread "Lvl." prefix by keeping the trailing digits
+        const match = text.match(/(\d+)$/);
+        return match ? this.parseBoundedNumber(match[1], 1, 10) : null;
+      }
+      case 'xp': {
+        const counter = this.digitReader.parseCounter(text);
+        return counter && counter.next !== null && counter.current < counter.next
+          ? { current: counter.current, needed: counter.next }
+          : null;
+      }
+      case 'stage':
+        return this.digitReader.parseStage(text);
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Parse a plain number within bounds
+   * @returns {number|null} Number or null
+   */
+  parseBoundedNumber(text, min, max) {
+    if (!/^\d+$/.test(text)) {
+      return null;
+    }
+
+    const value = parseInt(text, 10);
+    return value >= min && value <= max ? value : null;
+  }
+
+  /**
+   * Build a detected element for a reading
+   * @private
+   */
+  createElement(type, reading, area, id, field) {
+    return {
+      type,
+      ...(field ? { field } : {}),
+      value: reading.value,
+      text: reading.text,
+      x: area.x,
+      y: area.y,
+      width: area.width,
+      height: area.height,
+      confidence: reading.confidence,
+      id
+    };
+  }
+
+  /**
+   * Combine a frame's gold and HUD elements into a game state
+   * Fields that were not read this frame are null
+   * @param {Array} elements - Detected elements
+   * @returns {object} Game state {gold, level, xp, stage, health}
+   */
+  buildGameState(elements) {
+    const state = { gold: null, level: null, xp: null, stage: null, health: null };
+
+    elements.forEach(element => {
+      if (element.type === 'gold') {
+        state.gold = element.value;
+      } else if (element.type === 'hud') {
+        state[element.field] = element.value;
+      }
+    });
+
+    return state;
+  }
+}
@@ -0,0 +1,389 @@
+/**
+ * TFT Items Data Manager
+ * Handles loading and accessing TFT Set 14 items and their component recipes
+ */
+
+const ITEM_CATEGORIES = ['component', 'completed', 'emblem', 'artifact', 'radiant'];
+
+class ItemsDataManager {
+  /**
+   * @param {object} options - Loading options
+   * @param {boolean} options.viaBackground - Ask the service worker for data (false inside it)
+   */
+  constructor(options = {}) {
+    this.viaBackground = options.viaBackground !== false;
+    this.itemsData = null;
+    this.itemMap = new Map();
+    this.itemsByCategory = new Map();
+    this.recipeMap = new Map();
+    this.isLoaded = false;
+    this.loadError = null; // Why the last load failed, e.g. the data set isn't bundled
+    this.loadPromise = null;
+  }
+
+  /**
+   * Load items data from the extension assets
+   * @returns {Promise<boolean>} Whether data was loaded successfully
+   */
+  async loadData() {
+    if (this.loadPromise) {
+      return this.loadPromise;
+    }
+
+    this.loadPromise = this._loadDataInternal();
+    return this.loadPromise;
+  }
+
+  /**
+   * Internal data loading implementation
+   * @private
+   */
+  async _loadDataInternal() {
+    try {
+      logger.info('Loading TFT Set 14 items data...');
+
+      this.itemsData = await GameDataSource.load('items', this.viaBackground);
+      this.buildIndexes();
+
+      this.isLoaded = true;
+
+      logger.info('Items data loaded successfully', {
+        version: this.itemsData.version,
+        totalItems: this.itemsData.totalItems,
+        categoryBreakdown: this.itemsData.categoryBreakdown
+      });
+
+      return true;
+
+    } catch (error) {
+      // The data set is generated by scripts/fetch-items.js and may not be bundled
+      this.isLoaded = false;
+      this.loadError = error.message;
+      logger.warn('Items data unavailable - item lookups are off', {
+        path: GameDataSource.getPath('items'),
+        error: error.message
+      });
+      return false;
+    }
+  }
+
+  /**
+   * Index items by key, category and recipe
+   * @private
+   */
+  buildIndexes() {
+    this.itemMap.clear();
+    this.itemsByCategory.clear();
+    this.recipeMap.clear();
+
+    this.itemsData.items.forEach(item => {
+      this.itemMap.set(item.key, item);
+
+      if (!this.itemsByCategory.has(item.category)) {
+        this.itemsByCategory.set(item.category, []);
+      }
+      this.itemsByCategory.get(item.category).push(item);
+
+      if (item.components.length === 2) {
+        this.recipeMap.set(this.getRecipeKey(item.components[0], item.components[1]), item);
+      }
+    });
+  }
+
+  /**
+   * Order-independent lookup key for a pair of components
+   * @private
+   */
+  getRecipeKey(componentA, componentB) {
+    return [componentA, componentB].sort().join('+');
+  }
+
+  /**
+   * Discard loaded data and load it again (e.g. after the data set was swapped)
+   * @returns {Promise<boolean>} Whether data was loaded successfully
+   */
+  async reload() {
+    this.loadPromise = null;
+    this.isLoaded = false;
+    this.loadError = null;
+    return this.loadData();
+  }
+
+  /**
+   * Get item by key
+   * @param {string} key - Item key (e.g. 'TFT_Item_BFSword')
+   * @returns {object|null} Item data or null if not found
+   */
+  getItem(key) {
+    if (!this.isLoaded) {
+      this.warnNotLoaded();
+      return null;
+    }
+
+    return this.itemMap.get(key) || null;
+  }
+
+  /**
+   * Find an item by key or by name (case-insensitive), e.g. 'B.F. Sword'
+   * @param {string} keyOrName - Item key or display name
+   * @returns {object|null} Item data or null if not found
+   */
+  findItem(keyOrName) {
+    const byKey = this.getItem(keyOrName);
+    if (byKey || !this.isLoaded || !keyOrName) {
+      return byKey;
+    }
+
+    const name = keyOrName.toLowerCase().trim();
+    return this.itemsData.items.find(item => item.name.toLowerCase() === name) || null;
+  }
+
+  /**
+   * Get items of a category
+   * @param {string} category - 'component', 'completed', 'emblem', 'artifact' or 'radiant'
+   * @returns {Array} Items of the category
+   */
+  getItemsByCategory(category) {
+    if (!this.isLoaded) {
+      this.warnNotLoaded();
+      return [];
+    }
+
+    return this.itemsByCategory.get(category) || [];
+  }
+
+  /**
+   * Get the components an item is built from
+   * @param {string} key - Item key
+   * @returns {Array} Component items (empty for items without a recipe)
+   */
+  getRecipe(key) {
+    const item = this.getItem(key);
+    if (!item) {
+      return [];
+    }
+
+    return item.components.map(componentKey => this.itemMap.get(componentKey)).filter(Boolean);
+  }
+
+  /**
+   * Get what two components combine into ("what does Sword + Rod make")
+   * @param {string} componentA - Component key or name
+   * @param {string} componentB - Component key or name
+   * @returns {object|null} Resulting item or null if there is no such recipe
+   */
+  combine(componentA, componentB) {
+    const first = this.findItem(componentA);
+    const second = this.findItem(componentB);
+    if (!first || !second) {
+      return null;
+    }
+
+    return this.recipeMap.get(this.getRecipeKey(first.key, second.key)) || null;
+  }
+
+  /**
+   * Get every item that uses a component
+   * @param {string} componentKey - Component key or name
+   * @returns {Array} Items whose recipe includes the component
+   */
+  getItemsUsingComponent(componentKey) {
+    const component = this.findItem(componentKey);
+    if (!component) {
+      return [];
+    }
+
+    return this.itemsData.items.filter(item => item.components.includes(component.key));
+  }
+
+  /**
+   * Get the items that can be built from a set of held components
+   * ("what can I build from these components")
+   * Each component counts once, so building a recipe twice needs four components
+   * @param {Array} componentKeys - Held component keys or names (duplicates allowed)
+   * @returns {Array} Buildable items, each listed once
+   */
+  getBuildableItems(componentKeys) {
+    if (!this.isLoaded) {
+      this.warnNotLoaded();
+      return [];
+    }
+
+    const held = new Map();
+    componentKeys.forEach(keyOrName => {
+      const component = this.findItem(keyOrName);
+      if (component) {
+        held.set(component.key, (held.get(component.key) || 0) + 1);
+      }
+    });
+
+    const results = [];
+    this.recipeMap.forEach(item => {
+      const [first, second] = item.components;
+      const buildable = first === second
+        ? (held.get(first) || 0) >= 2
+        : held.has(first) && held.has(second);
+
+      if (buildable) {
+        results.push(item);
+      }
+    });
+
+    return results.sort((a, b) =>
+      ITEM_CATEGORIES.indexOf(a.category) - ITEM_CATEGORIES.indexOf(b.category) || a.name.localeCompare(b.name)
+    );
+  }
+
+  /**
+   * Search items by text
+   * @param {string} query - Search query
+   * @param {number} limit - Maximum results to return
+   * @returns {Array} Array of matching items
+   */
+  searchItems(query, limit = 10) {
+    if (!this.isLoaded) {
+      this.warnNotLoaded();
+      return [];
+    }
+
+    const searchTerm = query.toLowerCase().trim();
+    if (!searchTerm) {
+      return [];
+    }
+
+    const matches = this.itemsData.items.filter(item =>
+      item.searchText.includes(searchTerm)
+    );
+
+    // Sort by relevance (exact name matches first, then by category)
+    matches.sort((a, b) => {
+      const aExactMatch = a.name.toLowerCase().includes(searchTerm);
+      const bExactMatch = b.name.toLowerCase().includes(searchTerm);
+
+      if (aExactMatch && !bExactMatch) return -1;
+      if (!aExactMatch && bExactMatch) return 1;
+
+      // If both or neither are exact matches, sort by category
+      return ITEM_CATEGORIES.indexOf(a.category) - ITEM_CATEGORIES.indexOf(b.category);
+    });
+
+    return matches.slice(0, limit);
+  }
+
+  /**
+   * Get all items
+   * @returns {Array} Array of all items
+   */
+  getAllItems() {
+    if (!this.isLoaded) {
+      this.warnNotLoaded();
+      return [];
+    }
+
+    return this.itemsData.items;
+  }
+
+  /**
+   * Get item image URL
+   * @param {object} item - Item object
+   * @returns {string} Full URL to the item icon
+   */
+  getItemImageUrl(item) {
+    if (!item || !item.image) {
+      return '';
+    }
+
+    return chrome.runtime.getURL(`assets/items/images/${item.image}`);
+  }
+
+  /**
+   * Get data statistics
+   * @returns {object} Data statistics
+   */
+  getStats() {
+    if (!this.isLoaded) {
+      return null;
+    }
+
+    return {
+      version: this.itemsData.version,
+      setNumber: this.itemsData.setNumber,
+      setName: this.itemsData.setName,
+      totalItems: this.itemsData.totalItems,
+      lastUpdated: this.itemsData.lastUpdated,
+      categoryBreakdown: this.itemsData.categoryBreakdown
+    };
+  }
+
+  /**
+   * Check if data is loaded
+   * @returns {boolean} Whether data is loaded
+   */
+  isDataLoaded() {
+    return this.isLoaded;
+  }
+
+  /**
+   * Get why the data couldn't be loaded
+   * @returns {string|null} Error message, or null if it loaded or is still loading
+   */
+  getLoadError() {
+    return this.loadError;
+  }
+
+  /**
+   * Warn about a lookup before the data has loaded; once loading failed that was already reported
+   * @private
+   */
+  warnNotLoaded() {
+    if (!this.loadError) {
+      logger.warn('Items data not loaded yet');
+    }
+  }
+
+  /**
+   * Create tooltip data for an item
+   * @param {object} item - Item object
+   * @returns {object} Tooltip data
+   */
+  createTooltipData(item) {
+    if (!item) {
+      return null;
+    }
+
+    return {
+      name: item.name,
+      category: item.category,
+      description: item.description,
+      image: this.getItemImageUrl(item),
+      recipe: this.getRecipe(item.key).map(component => component.name)
+    };
+  }
+
+  /**
+   * Get category display name
+   * @param {string} category - Item category
+   * @returns {string} Display name
+   */
+  getCategoryDisplayName(category) {
+    switch (category) {
+      case 'component':
+        return 'Component';
+      case 'completed':
+        return 'Completed Item';
+      case 'emblem':
+        return 'Emblem';
+      case 'artifact':
+        return 'Artifact';
+      case 'radiant':
+        return 'Radiant Item';
+      default:
+        return 'Item';
+    }
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ItemsDataManager;
+}
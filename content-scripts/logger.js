@@ -8,9 +8,7 @@
  */
 class Logger {
   constructor() {
-    this.enabled = CONFIG.LOGGING.ENABLED;
-    this.level = CONFIG.LOGGING.LEVEL;
-    this.prefix = CONFIG.LOGGING.PREFIX;
+    this.applyConfig();
     
     // Log level hierarchy
     this.levels = {
@@ -21,6 +19,15 @@ class Logger {
     };
   }
 
+  /**
+   * Read logging settings from CONFIG (again after user settings change)
+   */
+  applyConfig() {
+    this.enabled = CONFIG.LOGGING.ENABLED;
+    this.level = CONFIG.LOGGING.LEVEL;
+    this.prefix = CONFIG.LOGGING.PREFIX;
+  }
+
   /**
    * Check if log level should be output
    * @param {string} level - Log level to check
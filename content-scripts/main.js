@@ -3,17 +3,65 @@
  * Entry point that coordinates video detection and overlay management
  */
 
+// Overlay panels and the game state events that refresh them; the game panel lists every event
+const OVERLAY_PANELS = {
+  game: { title: 'Game State', corner: 'top-left', events: null },
+  augments: {
+    title: 'Augments',
+    corner: 'top-right',
+    events: ['augmentChoiceStarted', 'augmentChoiceEnded', 'augmentsOffered', 'augmentChosen']
+  },
+  traits: { title: 'Traits', corner: 'bottom-left', events: ['traitChanged'] },
+  shop: { title: 'Shop', corner: 'bottom-right', events: ['shopChanged'] },
+  // VODs and clips only: the events viewers can jump to
+  timeline: { title: 'Timeline', corner: 'top-right', events: TIMELINE_EVENT_TYPES }
+};
+
+// How long a refreshed panel stays up (ms)
+const OVERLAY_PANEL_HIDE_DELAY = 3000;
+
 /**
  * Main extension controller class
  */
 class TftExtension {
   constructor() {
     this.videoDetector = new VideoDetector();
-    this.overlayManager = new OverlayManager();
-    this.cvProcessor = new SimpleCvProcessor();
+    this.overlayManager = new OverlayManager(this.videoDetector.getSiteAdapter());
+    this.augmentsManager = new AugmentsDataManager();
+    this.augmentRecognizer = new AugmentRecognizer(this.augmentsManager);
+    this.traitsManager = new TraitsDataManager();
+    this.traitRecognizer = new TraitRecognizer(this.traitsManager);
+    this.championsManager = new ChampionsDataManager();
+    this.shopReader = new ShopReader(this.championsManager);
+    this.hudReader = new HudReader();
+    this.tooltipBuilder = new ElementTooltipBuilder(this.augmentsManager, this.traitsManager, this.championsManager);
+    this.overlayManager.setTooltipProvider(element => this.tooltipBuilder.build(element));
+    Object.entries(OVERLAY_PANELS).forEach(([name, panel]) => this.overlayManager.registerPanel(name, panel));
+    // Remember how viewers arrange the panels, per channel
+    this.overlayManager.setPanelChangeHandler((name, changes) =>
+      this.updateChannelProfile({ overlay: { panels: { [name]: changes } } })
+    );
+    this.overlayManager.onPanelClick('timeline', event => this.handleTimelineClick(event));
+    this.channelProfileStore = new ChannelProfileStore();
+    this.channelProfile = null;
+    this.cvProcessor = new SimpleCvProcessor({
+      augmentRecognizer: this.augmentRecognizer,
+      traitRecognizer: this.traitRecognizer,
+      shopReader: this.shopReader,
+      hudReader: this.hudReader,
+      hudLayoutClassifier: new HudLayoutClassifier()
+    });
     this.isActive = false;
     this.cleanupTasks = [];
     this.cvProcessingInterval = null;
+    this.cvVideoElement = null;
+    this.cvPausedReason = null; // 'ad' or 'intermission' while the game is off screen
+    this.augmentAdvisor = new AugmentAdvisor(this.augmentsManager);
+    this.compositionAnalyzer = new CompositionAnalyzer(this.traitsManager, this.championsManager);
+    this.gameStateTracker = new GameStateTracker({ augmentAdvisor: this.augmentAdvisor });
+    this.eventTimeline = new EventTimeline();
+    this.seekCount = 0; // Frames started before a seek are dropped
+    this.stopWatchingPlayback = null;
     this.detectedElements = [];
   }
 
@@ -23,10 +71,17 @@ class TftExtension {
   async initialize() {
     try {
       logger.info('TFT Chrome Extension starting...');
+
+      // Apply stored user settings before anything reads CONFIG
+      await settingsManager.load();
+      logger.applyConfig();
       
       // Check if we're on a supported page
       if (!this.isValidPage()) {
-        logger.info('Not on a supported Twitch page, extension inactive');
+        const siteAdapter = findSiteAdapter(window.location.hostname);
+        logger.info(siteAdapter
+          ? `Not on a ${siteAdapter.getName()} video page, extension inactive`
+          : 'Not on a supported streaming site, extension inactive');
         return;
       }
 
@@ -35,6 +90,20 @@ class TftExtension {
         await this.waitForDomReady();
       }
 
+      // Load icons and HUD glyphs in the background; detection runs unrecognized until ready
+      this.augmentRecognizer.loadTemplates();
+      this.traitRecognizer.loadTemplates();
+      this.shopReader.loadTemplates();
+      this.hudReader.loadTemplates();
+
+      // Apply settings changed from other tabs or the options page live
+      settingsManager.startWatching();
+      this.cleanupTasks.push(settingsManager.onChange(paths => this.handleSettingsChange(paths)));
+      this.cleanupTasks.push(() => settingsManager.stopWatching());
+
+      this.cleanupTasks.push(this.gameStateTracker.onChange(event => logger.info('Game state changed', event)));
+      this.cleanupTasks.push(this.gameStateTracker.onChange(event => this.eventTimeline.record(event)));
+
       // Start video detection
       this.startVideoDetection();
       
@@ -55,16 +124,68 @@ class TftExtension {
    */
   isValidPage() {
     const url = window.location.href;
-    const isTwitchPage = url.includes('twitch.tv');
-    const isVideoPage = url.includes('/videos/') || document.querySelector('video');
+    const siteAdapter = findSiteAdapter(window.location.hostname);
+    const isVideoPage = siteAdapter?.isVideoUrl() || !!document.querySelector('video');
     
     logger.debug('Page validation', {
       url: url,
-      isTwitchPage: isTwitchPage,
+      site: siteAdapter?.getName() || null,
       isVideoPage: isVideoPage
     });
 
-    return isTwitchPage && isVideoPage;
+    return !!siteAdapter && isVideoPage;
+  }
+
+  /**
+   * Reload game data and icon templates after the background swapped data sets
+   * @returns {Promise<object>} Result {success}; success is false if augments or traits failed to load
+   */
+  async reloadGameData() {
+    logger.info('Game data updated, reloading data and templates');
+
+    const [augmentsLoaded, traitsLoaded] = await Promise.all([
+      this.augmentsManager.reload(),
+      this.traitsManager.reload(),
+      this.championsManager.reload()
+    ]);
+    await Promise.all([
+      this.augmentRecognizer.reloadTemplates(),
+      this.traitRecognizer.reloadTemplates(),
+      this.shopReader.reloadTemplates()
+    ]);
+
+    return { success: augmentsLoaded && traitsLoaded };
+  }
+
+  /**
+   * React to changed user settings
+   * @param {Array} changedPaths - Dotted CONFIG paths that changed
+   */
+  handleSettingsChange(changedPaths) {
+    const changed = prefix => changedPaths.some(path => path.startsWith(prefix));
+
+    if (changed('LOGGING.')) {
+      logger.applyConfig();
+    }
+
+    if (changed('OVERLAY.')) {
+      this.overlayManager.applyStyleSettings();
+      this.overlayManager.positionOverlay();
+    }
+
+    if (changed('CV.ENABLE_VISUALIZATION') && !CONFIG.CV.ENABLE_VISUALIZATION) {
+      this.overlayManager.updateDebugView(null);
+    }
+
+    if (changed('CV.PROCESSING_INTERVAL') && this.cvProcessingInterval) {
+      this.startCvProcessing(this.cvVideoElement);
+    }
+
+    if (changed('STREAM_MONITORING.TFT_KEYWORDS')) {
+      this.videoDetector.checkTftStreamStatus((videoElement, options) => {
+        this.handleVideoChange(videoElement, options);
+      });
+    }
   }
 
   /**
@@ -94,8 +215,8 @@ class TftExtension {
     logger.info('Starting video detection...');
     
     // Start monitoring for video elements
-    this.videoDetector.startMonitoring((videoElement) => {
-      this.handleVideoChange(videoElement);
+    this.videoDetector.startMonitoring((videoElement, options) => {
+      this.handleVideoChange(videoElement, options);
     });
   }
 
@@ -105,6 +226,17 @@ class TftExtension {
    * @param {object} options - Additional options
    */
   handleVideoChange(videoElement, options = {}) {
+    if (options.channelChanged) {
+      this.gameStateTracker.reset();
+      this.loadChannelProfile(options.channel);
+      return;
+    }
+
+    if (options.interruptionChanged) {
+      this.setCvPaused(options.interruption);
+      return;
+    }
+
     if (videoElement) {
       // Only setup overlay if it's a new video element
       if (!options.tftStatusChanged) {
@@ -121,14 +253,14 @@ class TftExtension {
         } else {
           logger.info('TFT stream detected');
         }
-        this.overlayManager.showTestOverlay();
+        this.overlayManager.showTestOverlay(this.videoDetector.getCurrentStreamTitle());
       } else {
         if (options.tftStatusChanged) {
           logger.info('Non-TFT stream detected after status change');
         } else {
           logger.info('Non-TFT stream detected, overlay ready but hidden');
         }
-        this.overlayManager.hide();
+        this.overlayManager.hideAllPanels();
       }
     } else {
       logger.info('Video element lost, cleaning up overlay');
@@ -136,6 +268,75 @@ class TftExtension {
     }
   }
 
+  /**
+   * Load a channel's layout profile and apply it to detection and the overlay
+   * @param {string|null} channel - Channel login
+   */
+  async loadChannelProfile(channel) {
+    const profile = await this.channelProfileStore.getProfile(channel);
+
+    // The channel may have changed again while the profile was loading
+    if (channel !== this.videoDetector.getCurrentChannel()) return;
+
+    this.applyChannelProfile(profile);
+    logger.info('Channel profile loaded', { channel, calibrated: !!profile.regions });
+  }
+
+  /**
+   * Apply a channel profile to detection and the overlay
+   * @param {object} profile - Profile {regions, detectors, overlay}
+   */
+  applyChannelProfile(profile) {
+    this.channelProfile = profile;
+    this.cvProcessor.setCalibratedRegions(profile.regions);
+    this.cvProcessor.setEnabledDetectors(profile.detectors);
+    this.overlayManager.setLayout(profile.overlay);
+  }
+
+  /**
+   * Update the current channel's profile and apply it immediately
+   * @param {object} changes - Partial profile {regions, detectors, overlay}
+   * @returns {Promise<object>} Result {success, profile, error}
+   */
+  async updateChannelProfile(changes) {
+    try {
+      const channel = this.videoDetector.getCurrentChannel();
+      const profile = await this.channelProfileStore.updateProfile(channel, changes);
+      this.applyChannelProfile(profile);
+      return { success: true, channel, profile };
+    } catch (error) {
+      logger.error('Failed to update channel profile', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Open the region calibration editor for the current channel
+   * @returns {Promise<object>} Result {success, error}
+   */
+  async startCalibration() {
+    if (!this.videoDetector.getCurrentChannel()) {
+      return { success: false, error: 'No channel on this page' };
+    }
+
+    const defaultRegions = this.channelProfileStore.getDefaultRegions();
+    // Groups the profile was calibrated without (e.g. added later) start from the defaults
+    const regions = { ...defaultRegions, ...this.channelProfile?.regions };
+
+    const started = this.overlayManager.startCalibration(regions, {
+      defaultRegions,
+      onSave: async (calibratedRegions) => {
+        const result = await this.updateChannelProfile({ regions: calibratedRegions });
+        if (result.success) {
+          this.overlayManager.stopCalibration();
+        }
+      },
+      onCancel: () => this.overlayManager.stopCalibration()
+    });
+
+    return started ? { success: true } : { success: false, error: 'Overlay not initialized' };
+  }
+
   /**
    * Set up overlay for video element
    * @param {HTMLVideoElement} videoElement - Video element
@@ -150,6 +351,9 @@ class TftExtension {
         // Test frame extraction capability
         this.testFrameExtraction(videoElement);
         
+        // Seeking in VODs and clips invalidates the game state
+        this.watchPlayback(videoElement);
+
         // Start computer vision processing
         this.startCvProcessing(videoElement);
       } else {
@@ -233,13 +437,73 @@ class TftExtension {
     }
 
     logger.info('Starting computer vision processing...');
+
+    // Restarting (new video or changed interval) replaces the running timer
+    this.stopCvProcessing();
+    this.cvVideoElement = videoElement;
     
-    // Start periodic CV processing
+    // Start periodic CV processing; while paused, frames are only checked for the game's return
     this.cvProcessingInterval = setInterval(async () => {
-      await this.processVideoFrame(videoElement);
+      if (this.cvPausedReason) {
+        this.probeVideoFrame(videoElement);
+      } else {
+        await this.processVideoFrame(videoElement);
+      }
     }, CONFIG.CV.PROCESSING_INTERVAL);
   }
 
+  /**
+   * Pause or resume frame processing while an ad or intermission hides the game
+   * @param {string|null} reason - 'ad', 'intermission' or null to resume
+   */
+  setCvPaused(reason) {
+    this.cvPausedReason = reason;
+
+    if (reason) {
+      logger.info('Pausing frame processing', { reason });
+      // Nothing on screen matches the last detections any more
+      this.overlayManager.updateHotspots([]);
+      this.overlayManager.updateDebugView(null);
+      this.overlayManager.hideAllPanels();
+    } else {
+      logger.info('Resuming frame processing');
+    }
+  }
+
+  /**
+   * Check a frame for the HUD while processing is paused
+   * Ads end when Twitch removes the ad overlay, so only intermissions are probed
+   * @param {HTMLVideoElement} videoElement - Video element
+   */
+  probeVideoFrame(videoElement) {
+    try {
+      if (this.cvPausedReason !== 'intermission' || !videoElement) {
+        return;
+      }
+
+      const hudLayout = this.cvProcessor.classifyVideoFrame(videoElement);
+      if (hudLayout) {
+        this.recordHudLayout(hudLayout);
+      }
+    } catch (error) {
+      logger.error('Error probing video frame', error);
+    }
+  }
+
+  /**
+   * Feed a frame's HUD layout to the stream checks
+   * The HUD on screen votes on whether this is a TFT stream, whatever its category says,
+   * and its disappearance or return pauses or resumes processing
+   * @param {object} hudLayout - Classification from HudLayoutClassifier
+   */
+  recordHudLayout(hudLayout) {
+    const callback = (videoElement, options) => this.handleVideoChange(videoElement, options);
+
+    this.videoDetector.addVisualScore(hudLayout.score);
+    this.videoDetector.checkInterruption(callback);
+    this.videoDetector.checkTftStreamStatus(callback);
+  }
+
   /**
    * Process a single video frame for TFT elements
    * @param {HTMLVideoElement} videoElement - Video element
@@ -251,23 +515,48 @@ class TftExtension {
       }
 
       logger.debug('Processing video frame for TFT elements...');
+
+      // Live streams can't be scrubbed, so only VODs and clips keep a timeline
+      const playback = this.videoDetector.getPlayback();
+      this.eventTimeline.setVideo(playback.type === 'live' ? null : playback.id);
       
       // Process frame
+      const seekCount = this.seekCount;
       const results = await this.cvProcessor.processFrame(videoElement);
+
+      // The viewer seeked while the frame was processed; it shows a position that is gone
+      if (seekCount !== this.seekCount) {
+        return;
+      }
+
+      // Keep hover targets in sync with what is on screen now (clears them when nothing is)
+      this.overlayManager.updateHotspots(results.elements);
+      this.overlayManager.updateDebugView(results);
       
       if (results.elements.length > 0) {
         this.detectedElements = results.elements;
-        logger.info('TFT elements detected', {
+        logger.debug('TFT elements detected', {
           count: results.elements.length,
           processingTime: Math.round(results.processingTime),
-          elements: results.elements.map(e => ({ type: e.type, confidence: e.confidence }))
+          elements: results.elements.map(e => ({ type: e.type, key: e.key, confidence: e.confidence }))
         });
-        
-        // Update overlay with detected elements
-        this.updateOverlayWithElements(results.elements);
       } else {
         logger.debug('No TFT elements detected in frame');
       }
+
+      if (results.hudLayout) {
+        this.recordHudLayout(results.hudLayout);
+        // The game just went off screen; this frame's detections are not game state
+        if (this.cvPausedReason) {
+          return;
+        }
+      }
+
+      // Only show the overlay when the stable game state changes, not for every raw detection
+      const events = this.gameStateTracker.update(results);
+      if (events.length > 0) {
+        this.updateOverlayWithState(this.gameStateTracker.getState(), events);
+      }
       
     } catch (error) {
       logger.error('Error processing video frame', error);
@@ -275,44 +564,324 @@ class TftExtension {
   }
 
   /**
-   * Update overlay with detected TFT elements
-   * @param {Array} elements - Detected elements
+   * Update the overlay panels affected by game state changes
+   * @param {object} state - State from GameStateTracker.getState
+   * @param {Array} events - Changes that triggered the update
    */
-  updateOverlayWithElements(elements) {
-    if (!this.overlayManager || elements.length === 0) {
+  updateOverlayWithState(state, events) {
+    if (!this.overlayManager) {
       return;
     }
 
-    // Create overlay content showing detected elements
-    const elementSummary = elements.reduce((acc, element) => {
-      acc[element.type] = (acc[element.type] || 0) + 1;
-      return acc;
-    }, {});
-
-    const overlayContent = `
-      <div style="padding: 12px; color: white; font-family: Arial, sans-serif;">
-        <h3 style="margin: 0 0 8px 0; color: #00ff00;">TFT Elements Detected</h3>
-        ${Object.entries(elementSummary).map(([type, count]) => 
-          `<p style="margin: 2px 0; font-size: 13px;">${type}: ${count}</p>`
-        ).join('')}
-        <p style="margin: 4px 0 0 0; font-size: 11px; opacity: 0.8;">
-          Total: ${elements.length} elements
-        </p>
-        ${CONFIG.CV.ENABLE_VISUALIZATION ? 
-          '<p style="font-size: 10px; color: #ffa500;">Visualization enabled</p>' : ''
-        }
-      </div>
-    `;
+    const { h } = DomTemplate;
+    const refreshes = name => {
+      const types = OVERLAY_PANELS[name].events;
+      return !types || events.some(event => types.includes(event.type));
+    };
 
-    this.overlayManager.updateContent(overlayContent);
-    this.overlayManager.show();
+    this.refreshPanel('game', [
+      events.map(event => h('p', { className: 'tft-panel-event' }, this.describeGameEvent(event))),
+      this.renderGameState(state)
+    ]);
 
-    // Hide overlay after 3 seconds to avoid cluttering
-    setTimeout(() => {
-      if (this.overlayManager) {
-        this.overlayManager.hide();
+    if (refreshes('augments')) {
+      // The pick advisor stays up for as long as the choice screen does
+      if (state.augmentChoice) {
+        this.refreshPanel('augments', this.renderAugmentAdvice(this.augmentAdvisor.compare(state.augmentChoice)), null);
+      } else {
+        this.refreshPanel('augments', this.renderRecognizedAugments(state.augments));
       }
-    }, 3000);
+    }
+
+    if (refreshes('traits')) {
+      this.refreshPanel('traits', this.renderComposition(this.compositionAnalyzer.analyzeTraits(state.traits)));
+    }
+
+    if (refreshes('shop')) {
+      this.refreshPanel('shop', this.renderShop(state.shop));
+    }
+
+    if (refreshes('timeline')) {
+      this.refreshPanel('timeline', this.renderTimeline(this.eventTimeline.getEntries()), null);
+    }
+  }
+
+  /**
+   * Follow seeking in a video element
+   * @param {HTMLVideoElement} videoElement - Video element
+   */
+  watchPlayback(videoElement) {
+    this.stopWatchingPlayback?.();
+
+    const handleSeeking = () => this.handleSeek(videoElement.currentTime);
+    videoElement.addEventListener('seeking', handleSeeking);
+    this.stopWatchingPlayback = () => videoElement.removeEventListener('seeking', handleSeeking);
+  }
+
+  /**
+   * Start over after a seek: the game on screen may be at any other point
+   * The timeline is kept, so viewers can keep jumping between its events
+   * @param {number} mediaTime - Playback position seeked to (seconds)
+   */
+  handleSeek(mediaTime) {
+    logger.debug('Video seeked, resetting game state', { mediaTime });
+
+    this.seekCount++;
+    this.gameStateTracker.reset();
+    this.overlayManager.updateHotspots([]);
+    Object.keys(OVERLAY_PANELS)
+      .filter(name => name !== 'timeline')
+      .forEach(name => this.overlayManager.hidePanel(name));
+  }
+
+  /**
+   * Jump to the timeline entry that was clicked
+   * @param {MouseEvent} event - Click on the timeline panel
+   */
+  handleTimelineClick(event) {
+    const entry = event.target.closest('[data-time]');
+    const video = this.videoDetector.getCurrentVideo();
+    if (!entry || !video) {
+      return;
+    }
+
+    video.currentTime = Number(entry.dataset.time);
+  }
+
+  /**
+   * Render the timeline of events in the VOD or clip
+   * @param {Array} entries - Entries from EventTimeline.getEntries, in playback order
+   * @returns {object|null} Timeline content, or null if nothing was recorded
+   */
+  renderTimeline(entries) {
+    if (entries.length === 0) {
+      return null;
+    }
+
+    const { h } = DomTemplate;
+    return h('div', { className: 'tft-panel-section' },
+      entries.map(entry =>
+        h('p', {
+          key: `${entry.type}:${entry.time}`,
+          className: 'tft-panel-row tft-timeline-entry',
+          'data-time': entry.time,
+          title: 'Jump to this moment'
+        },
+          h('strong', null, this.formatMediaTime(entry.time)),
+          ` ${this.describeGameEvent(entry.event)}`
+        )
+      )
+    );
+  }
+
+  /**
+   * Format a playback position like the Twitch player does
+   * @param {number} seconds - Playback position
+   * @returns {string} e.g. '4:05' or '1:02:09'
+   */
+  formatMediaTime(seconds) {
+    const total = Math.floor(seconds);
+    const hours = Math.floor(total / 3600);
+    const minutes = Math.floor((total % 3600) / 60);
+    const secs = String(total % 60).padStart(2, '0');
+
+    return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${secs}` : `${minutes}:${secs}`;
+  }
+
+  /**
+   * Update a panel's content and show it, or hide it when there is nothing to show
+   * @param {string} name - Panel name
+   * @param {*} content - Virtual node(s) built with DomTemplate.h
+   * @param {number|null} hideAfter - Hide again after this many ms; null keeps it up
+   */
+  refreshPanel(name, content, hideAfter = OVERLAY_PANEL_HIDE_DELAY) {
+    if (DomTemplate.isEmpty(content)) {
+      this.overlayManager.hidePanel(name);
+      return;
+    }
+
+    this.overlayManager.updatePanel(name, DomTemplate.h('div', { className: 'tft-overlay-content' }, content));
+    this.overlayManager.showPanel(name, { hideAfter });
+  }
+
+  /**
+   * Render the side-by-side augment comparison for the choice screen
+   * @param {Array} comparison - Entries from AugmentAdvisor.compare, best first
+   * @returns {object} Advisor content
+   */
+  renderAugmentAdvice(comparison) {
+    const { h } = DomTemplate;
+    // Show the cards in screen order so they line up with the stream
+    const ordered = [...comparison].sort((a, b) => a.screenIndex - b.screenIndex);
+
+    return h('div', { className: 'tft-panel-section' },
+      h('h3', null, 'Augment Choice'),
+      h('div', { className: 'tft-augment-choice' },
+        ordered.map(entry =>
+          h('div', { key: entry.key, className: `tft-augment-card${entry.isRecommended ? ' recommended' : ''}` },
+            h('strong', { style: { color: entry.tierColor } }, entry.title),
+            h('p', { className: 'subtitle' },
+              `${this.augmentsManager.getTierDisplayName(entry.tier)} · Power ${entry.powerLevel}`
+            ),
+            h('p', null, entry.description),
+            h('p', { className: 'tft-augment-reason' }, `#${entry.rank} ${entry.reason}`)
+          )
+        )
+      )
+    );
+  }
+
+  /**
+   * Describe a game state change for the overlay
+   * @param {object} event - Event from GameStateTracker
+   * @returns {string} Short description
+   */
+  describeGameEvent(event) {
+    switch (event.type) {
+      case 'augmentsOffered':
+        return `Augments offered: ${event.keys.map(key => this.getAugmentTitle(key)).join(', ')}`;
+      case 'augmentChoiceStarted':
+        return 'Augment choice';
+      case 'augmentChoiceEnded':
+        return 'Augment choice closed';
+      case 'augmentChosen':
+        return `Augment chosen: ${this.getAugmentTitle(event.key)}`;
+      case 'traitChanged':
+        return `${this.traitsManager.getTrait(event.key)?.name || event.key}: ${event.from} → ${event.to}`;
+      case 'shopChanged':
+        return 'Shop refreshed';
+      case 'stageAdvanced':
+        return `Stage ${event.to.label}`;
+      case 'levelUp':
+        return `Level up: ${event.to}`;
+      case 'xpChanged':
+        return `XP ${event.to.current}/${event.to.needed}`;
+      default:
+        return `${event.type.replace(/Changed$/, '')}: ${event.from ?? '-'} → ${event.to}`;
+    }
+  }
+
+  /**
+   * Get an augment's title, or its key when the data has no such augment
+   * @param {string} key - Augment key
+   * @returns {string} Title
+   */
+  getAugmentTitle(key) {
+    const augment = this.augmentsManager.getAugment(key);
+    return augment ? augment.title : key;
+  }
+
+  /**
+   * Render the augments on screen with name, tier and description
+   * @param {Array} augmentKeys - Augment keys
+   * @returns {object|null} Augments content, or null if none
+   */
+  renderRecognizedAugments(augmentKeys) {
+    const { h } = DomTemplate;
+    const items = augmentKeys
+      .map(key => {
+        const tooltip = this.augmentsManager.createTooltipData(this.augmentsManager.getAugment(key));
+        if (!tooltip) return null;
+
+        return h('div', { key, className: 'tft-panel-item' },
+          h('strong', { style: { color: this.augmentsManager.getTierColor(tooltip.tier) } }, tooltip.title),
+          ' ',
+          h('span', { className: 'subtitle' }, this.augmentsManager.getTierDisplayName(tooltip.tier)),
+          h('p', null, tooltip.description)
+        );
+      })
+      .filter(Boolean);
+
+    return items.length > 0 ? h('div', { className: 'tft-panel-section' }, items) : null;
+  }
+
+  /**
+   * Render the board's trait breakdown with the next breakpoint of each trait
+   * @param {object} analysis - Analysis from CompositionAnalyzer.analyze or analyzeTraits
+   * @returns {object|null} Composition content, or null if no traits were read
+   */
+  renderComposition(analysis) {
+    if (!analysis.summary || analysis.traits.length === 0) {
+      return null;
+    }
+
+    const { h } = DomTemplate;
+    const { summary } = analysis;
+    const champions = summary.totalChampions === null ? '' : ` · ${summary.totalChampions} champions`;
+    return h('div', { className: 'tft-panel-section' },
+      h('p', { className: 'tft-panel-row subtitle' },
+        `Board${champions} · ${summary.activeTraits} active traits`
+      ),
+      analysis.traits.map(trait =>
+        h('p', { key: trait.key, className: `tft-panel-row${trait.isActive ? '' : ' inactive'}` },
+          h('strong', { style: { color: this.traitsManager.getTierColor(trait.effect ? trait.effect.tierName : null) } },
+            trait.name
+          ),
+          ` ${trait.count}${trait.progress.isMaxed ? ' · Max' : ` / ${trait.progress.next} (${trait.progress.needed} more)`}`
+        )
+      )
+    );
+  }
+
+  /**
+   * Render the shop's champion cards with their cost
+   * @param {Array} slots - Shop cards {slot, cost, key}, in slot order
+   * @returns {object|null} Shop content, or null if no cards were read
+   */
+  renderShop(slots) {
+    if (slots.length === 0) {
+      return null;
+    }
+
+    const { h } = DomTemplate;
+    const hasPortraits = this.shopReader.hasPortraits();
+    return h('div', { className: 'tft-panel-section' },
+      slots.map(slot =>
+        h('p', { key: slot.slot, className: 'tft-panel-row' },
+          h('strong', null, `${slot.cost}★`),
+          ` ${hasPortraits ? this.getChampionName(slot.key) : `${slot.cost}-cost champion`}`
+        )
+      ),
+      !hasPortraits && h('p', { className: 'subtitle' }, 'Champion portraits unavailable - showing costs only')
+    );
+  }
+
+  /**
+   * Render the HUD readout (stage, level, XP, gold, health)
+   * @param {object|null} gameState - Game state with the HUD fields
+   * @returns {object|null} Readout for the fields that were read, or null if none
+   */
+  renderGameState(gameState) {
+    if (!gameState) {
+      return null;
+    }
+
+    const parts = [];
+    if (gameState.stage) parts.push(`Stage ${gameState.stage.label}`);
+    if (gameState.level !== null) parts.push(`Lvl ${gameState.level}`);
+    if (gameState.xp) parts.push(`XP ${gameState.xp.current}/${gameState.xp.needed}`);
+    if (gameState.gold !== null) parts.push(`${gameState.gold} gold`);
+    if (gameState.health !== null) parts.push(`${gameState.health} HP`);
+
+    if (parts.length === 0) {
+      return null;
+    }
+
+    return DomTemplate.h('p', { className: 'tft-panel-row' }, parts.join(' · '));
+  }
+
+  /**
+   * Get a shop champion's display name
+   * @param {string|null} key - Champion key from the shop reader
+   * @returns {string} Champion name, the raw key if unknown, or a placeholder
+   */
+  getChampionName(key) {
+    if (!key) {
+      return 'Unknown champion';
+    }
+
+    const champion = this.championsManager.isDataLoaded() ? this.championsManager.getChampion(key) : null;
+    return champion ? champion.name : key;
   }
 
   /**
@@ -340,6 +909,7 @@ class TftExtension {
       
       // Stop CV processing
       this.stopCvProcessing();
+      this.stopWatchingPlayback?.();
       
       // Clean up CV processor
       this.cvProcessor.cleanup();
@@ -375,8 +945,14 @@ class TftExtension {
       hasVideo: !!this.videoDetector.getCurrentVideo(),
       isOverlayVisible: this.overlayManager.isOverlayVisible(),
       isTftStream: this.videoDetector.isTftStream(),
+      tftConfidence: this.videoDetector.getTftConfidence(),
+      cvPausedReason: this.cvPausedReason,
       cvReady: this.cvProcessor.isReady(),
       cvStats: this.cvProcessor.getStats(),
+      site: this.videoDetector.getSiteAdapter().getName(),
+      channel: this.videoDetector.getCurrentChannel(),
+      playback: this.videoDetector.getPlayback(),
+      gameState: this.gameStateTracker.getState(),
       detectedElements: this.detectedElements.length,
       lastDetection: this.detectedElements.length > 0 ? 
         this.detectedElements.map(e => e.type).join(', ') : 'None'
@@ -412,13 +988,37 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
       
     case 'testOverlay':
       if (tftExtension.overlayManager) {
-        tftExtension.overlayManager.showTestOverlay();
+        tftExtension.overlayManager.showTestOverlay(tftExtension.videoDetector?.getCurrentStreamTitle());
         sendResponse({ success: true });
       } else {
         sendResponse({ success: false, error: 'Overlay not initialized' });
       }
       break;
       
+    case 'getChannelProfile':
+      sendResponse({
+        channel: tftExtension.videoDetector.getCurrentChannel(),
+        profile: tftExtension.channelProfile
+      });
+      break;
+      
+    case 'updateChannelProfile':
+      tftExtension.updateChannelProfile(request.changes || {}).then(sendResponse);
+      break;
+      
+    case 'startCalibration':
+      tftExtension.startCalibration().then(sendResponse);
+      break;
+      
+    case 'gameDataUpdated':
+      tftExtension.reloadGameData()
+        .then(sendResponse)
+        .catch(error => {
+          logger.error('Failed to reload game data', error);
+          sendResponse({ success: false, error: error.message });
+        });
+      return true; // Keep message channel open until the data has loaded
+      
     case 'testCvProcessing':
       if (tftExtension.cvProcessor.isReady()) {
         const video = tftExtension.videoDetector.getCurrentVideo();
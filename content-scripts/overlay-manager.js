@@ -1,20 +1,37 @@
 /**
  * Overlay Manager
- * Handles creating, positioning, and managing UI overlays on Twitch video
+ * Handles creating, positioning, and managing UI overlays on the stream video
+ * The overlay is a registry of named panels that are placed, updated,
+ * collapsed and shown independently of each other
  */
 
 /**
  * Overlay manager class for handling video overlay UI
  */
 class OverlayManager {
-  constructor() {
-    this.overlayContainer = null;
+  /**
+   * @param {SiteAdapter|null} siteAdapter - Adapter of the page's site, for its player container; Twitch's when null
+   */
+  constructor(siteAdapter = findSiteAdapter(window.location.hostname)) {
+    this.siteAdapter = siteAdapter || SITE_ADAPTERS[0];
+    this.panels = new Map();
+    this.videoContainer = null;
     this.videoElement = null;
-    this.isVisible = false;
+    this.isInitialized = false;
+    this.opacity = 1;
+    this.panelChangeHandler = null;
+    this.dragState = null;
+    this.hotspotLayer = new HotspotLayer();
+    this.regionCalibrator = new RegionCalibrator();
+    this.debugVisualizer = new DebugVisualizer();
     this.repositionDebounced = this.debounce(
-      this.repositionOverlay.bind(this), 
+      this.repositionOverlay.bind(this),
       CONFIG.PERFORMANCE.DEBOUNCE_DELAY
     );
+    // Fullscreen renders only the fullscreen element's subtree, so move in right away
+    this.handleFullscreenChange = () => this.repositionOverlay();
+
+    this.registerPanel('status', { title: 'TFT Extension', corner: 'top-left' });
   }
 
   /**
@@ -28,12 +45,12 @@ class OverlayManager {
     }
 
     this.videoElement = videoElement;
-    
+
     try {
-      this.createOverlayContainer();
+      this.attachPanels();
       this.setupEventListeners();
       this.positionOverlay();
-      
+
       logger.info('Overlay manager initialized successfully');
       return true;
     } catch (error) {
@@ -43,38 +60,121 @@ class OverlayManager {
   }
 
   /**
-   * Create the main overlay container element
+   * Add the panels and detection layers to the DOM relative to the video
    */
-  createOverlayContainer() {
+  attachPanels() {
     // Remove existing overlay if present
     this.cleanup();
 
-    // Create overlay container
-    this.overlayContainer = document.createElement('div');
-    this.overlayContainer.id = CONFIG.OVERLAY.CONTAINER_ID;
-    this.overlayContainer.className = 'tft-overlay-container';
-    
-    // Apply base styles
-    Object.assign(this.overlayContainer.style, {
-      position: 'absolute',
-      zIndex: CONFIG.OVERLAY.Z_INDEX,
-      pointerEvents: 'none', // Allow clicks to pass through
-      opacity: '0',
-      transition: `opacity ${CONFIG.OVERLAY.FADE_DURATION}ms ease-in-out`,
-      maxWidth: `${CONFIG.OVERLAY.MAX_WIDTH}px`,
-      borderRadius: CONFIG.OVERLAY.BORDER_RADIUS,
-      backgroundColor: CONFIG.OVERLAY.BACKGROUND_COLOR,
-      display: 'none'
+    this.videoContainer = this.findVideoContainer();
+    if (!this.videoContainer) {
+      logger.error('Could not find video container for overlay placement');
+      return;
+    }
+
+    this.panels.forEach(panel => this.getPlacementParent(panel).appendChild(panel.element));
+    this.hotspotLayer.attach(this.videoContainer, this.videoElement);
+    this.debugVisualizer.attach(this.videoContainer, this.videoElement);
+    this.isInitialized = true;
+    logger.debug('Overlay panels attached', { panels: [...this.panels.keys()] });
+  }
+
+  /**
+   * Register a named panel (returns the existing one if already registered)
+   * @param {string} name - Panel name, e.g. 'shop'
+   * @param {object} options - Panel defaults {title, corner}
+   * @returns {OverlayPanel} Panel
+   */
+  registerPanel(name, options = {}) {
+    if (this.panels.has(name)) {
+      return this.panels.get(name);
+    }
+
+    const panel = new OverlayPanel(name, options, {
+      onDragStart: (event, target, mode) => this.beginDrag(event, target, mode),
+      onChange: (target, changes) => this.reportPanelChange(target, changes),
+      onLayoutChange: () => this.positionOverlay()
     });
+    panel.setOpacity(this.opacity);
+    this.panels.set(name, panel);
 
-    // Insert overlay into DOM relative to video
-    const videoContainer = this.findVideoContainer();
-    if (videoContainer) {
-      videoContainer.appendChild(this.overlayContainer);
-      logger.debug('Overlay container created and positioned');
-    } else {
-      logger.error('Could not find video container for overlay placement');
+    if (this.isInitialized) {
+      this.getPlacementParent(panel).appendChild(panel.element);
     }
+
+    return panel;
+  }
+
+  /**
+   * Get a registered panel
+   * @param {string} name - Panel name
+   * @returns {OverlayPanel|null} Panel or null if not registered
+   */
+  getPanel(name) {
+    return this.panels.get(name) || null;
+  }
+
+  /**
+   * Replace one panel's content
+   * @param {string} name - Panel name
+   * @param {*} content - Virtual node(s) built with DomTemplate.h
+   */
+  updatePanel(name, content) {
+    const panel = this.getPanel(name);
+    if (!panel) {
+      logger.warn('Cannot update unknown overlay panel', { name });
+      return;
+    }
+
+    panel.update(content);
+  }
+
+  /**
+   * Show one panel
+   * @param {string} name - Panel name
+   * @param {object} options - {hideAfter: ms before hiding again, null = stay up}
+   */
+  showPanel(name, options = {}) {
+    this.getPanel(name)?.show(options.hideAfter ?? null);
+  }
+
+  /**
+   * Hide one panel
+   * @param {string} name - Panel name
+   */
+  hidePanel(name) {
+    this.getPanel(name)?.hide();
+  }
+
+  /**
+   * Listen for clicks on one panel's content
+   * @param {string} name - Panel name
+   * @param {Function} handler - Called with the click event
+   * @returns {Function} Unsubscribe function
+   */
+  onPanelClick(name, handler) {
+    const panel = this.getPanel(name);
+    if (!panel) {
+      logger.warn('Cannot listen to unknown overlay panel', { name });
+      return () => {};
+    }
+
+    return panel.onContentClick(handler);
+  }
+
+  /**
+   * Hide every panel
+   */
+  hideAllPanels() {
+    this.panels.forEach(panel => panel.hide());
+  }
+
+  /**
+   * Apply user-configurable styles from CONFIG.OVERLAY to every panel
+   * Called on creation and again whenever the settings change
+   */
+  applyStyleSettings() {
+    this.panels.forEach(panel => panel.applyStyleSettings());
   }
 
   /**
@@ -82,16 +182,19 @@ class OverlayManager {
    * @returns {HTMLElement|null} Container element
    */
   findVideoContainer() {
-    // Try to find the video player container
-    const containers = [
-      '[data-a-target="video-player"]',
-      '.video-player',
-      '.player-video'
-    ];
-
-    for (const selector of containers) {
-      const container = document.querySelector(selector);
-      if (container) {
+    // Only the fullscreen element's subtree is rendered in fullscreen
+    const fullscreenElement = document.fullscreenElement;
+    const candidates = fullscreenElement && fullscreenElement !== this.videoElement
+      ? [fullscreenElement]
+      : [];
+
+    // Try to find the site's video player container
+    this.siteAdapter.getPlayerContainerSelectors()
+      .forEach(selector => candidates.push(document.querySelector(selector)));
+
+    for (const container of candidates) {
+      // Theatre mode and fullscreen can rebuild the player, leaving stale containers behind
+      if (container && container.contains(this.videoElement)) {
         // Ensure container has relative positioning for absolute overlay
         const computedStyle = getComputedStyle(container);
         if (computedStyle.position === 'static') {
@@ -106,37 +209,317 @@ class OverlayManager {
   }
 
   /**
-   * Position overlay relative to video element
+   * Get the element a panel is placed in: the video container, or the page
+   * while docked beside the player (the player clips anything outside it)
+   * @param {OverlayPanel} panel - Panel
+   * @returns {HTMLElement} Parent element
+   */
+  getPlacementParent(panel) {
+    return this.isDocked(panel) ? document.body : this.videoContainer;
+  }
+
+  /**
+   * Check if a panel sits beside the player; there is no beside in fullscreen
+   * @param {OverlayPanel} panel - Panel
+   * @returns {boolean} Whether the panel is docked
+   */
+  isDocked(panel) {
+    return !!panel.placement.dock && !document.fullscreenElement;
+  }
+
+  /**
+   * Get the viewport rect that a panel's absolute coordinates are relative to
+   * @private
+   */
+  getParentRect(panel) {
+    const parent = panel.element.parentElement;
+    // A static body positions absolute children against the document itself
+    const reference = parent === document.body && getComputedStyle(parent).position === 'static'
+      ? document.documentElement
+      : parent;
+
+    return reference.getBoundingClientRect();
+  }
+
+  /**
+   * Move the panels and layers into the container that now holds the video
+   * Fullscreen and theatre mode can swap or rebuild the player around the video
+   */
+  reattach() {
+    if (!this.isInitialized || !this.videoElement) {
+      return;
+    }
+
+    const videoContainer = this.findVideoContainer();
+    if (videoContainer !== this.videoContainer) {
+      this.videoContainer = videoContainer;
+      this.hotspotLayer.attach(videoContainer, this.videoElement);
+      this.debugVisualizer.attach(videoContainer, this.videoElement);
+      this.regionCalibrator.moveTo(videoContainer);
+      logger.debug('Overlay moved to a new video container');
+    }
+
+    this.panels.forEach(panel => {
+      const parent = this.getPlacementParent(panel);
+      if (panel.element.parentElement !== parent) {
+        parent.appendChild(panel.element);
+      }
+    });
+  }
+
+  /**
+   * Position every displayed panel relative to the video element
+   * Panels sharing a corner or dock side are stacked instead of overlapping
    */
   positionOverlay() {
-    if (!this.overlayContainer || !this.videoElement) {
+    if (!this.isInitialized || !this.videoElement) {
       return;
     }
 
     try {
       const videoRect = this.videoElement.getBoundingClientRect();
-      const containerRect = this.overlayContainer.parentElement.getBoundingClientRect();
-      
-      // Calculate position relative to container
-      const left = videoRect.left - containerRect.left + CONFIG.OVERLAY.POSITION_OFFSET.x;
-      const top = videoRect.top - containerRect.top + CONFIG.OVERLAY.POSITION_OFFSET.y;
-
-      Object.assign(this.overlayContainer.style, {
-        left: `${left}px`,
-        top: `${top}px`
-      });
+      const stackHeights = {};
+
+      this.panels.forEach(panel => {
+        // Keep the dragged position until the drag ends
+        if (!panel.isDisplayed() || !panel.element.parentElement || panel.isDragging) return;
+
+        const width = panel.element.offsetWidth;
+        const height = panel.element.offsetHeight;
+        const { left, top, stack } = this.computePosition(panel, videoRect, width, height);
 
-      logger.debug('Overlay positioned', { left, top });
+        let stackedTop = top;
+        if (stack) {
+          const offset = stackHeights[stack] || 0;
+          stackedTop = stack.startsWith('bottom') ? top - offset : top + offset;
+          stackHeights[stack] = offset + height + CONFIG.OVERLAY.PANEL_GAP;
+        }
+
+        const parentRect = this.getParentRect(panel);
+        Object.assign(panel.element.style, {
+          left: `${left - parentRect.left}px`,
+          top: `${stackedTop - parentRect.top}px`
+        });
+      });
     } catch (error) {
       logger.error('Error positioning overlay', error);
     }
   }
 
+  /**
+   * Work out a panel's viewport position for its placement
+   * @param {OverlayPanel} panel - Panel
+   * @param {DOMRect} videoRect - Video element rect
+   * @param {number} width - Panel width
+   * @param {number} height - Panel height
+   * @returns {object} Viewport position {left, top, stack}; panels with the same stack key are stacked
+   */
+  computePosition(panel, videoRect, width, height) {
+    const clamp = (value, min, max) => Math.min(Math.max(value, min), Math.max(max, min));
+    const { dock, position } = panel.placement;
+
+    if (this.isDocked(panel)) {
+      const gap = CONFIG.OVERLAY.DOCK_GAP;
+      const left = dock === 'right' ? videoRect.right + gap : videoRect.left - gap - width;
+      return { left: clamp(left, 0, window.innerWidth - width), top: videoRect.top, stack: `dock-${dock}` };
+    }
+
+    // Free positions are stored relative to the video so they follow layout changes
+    if (position) {
+      return {
+        left: videoRect.left + clamp(position.x * videoRect.width, 0, videoRect.width - width),
+        top: videoRect.top + clamp(position.y * videoRect.height, 0, videoRect.height - height),
+        stack: null
+      };
+    }
+
+    // A docked panel falls back to the top corner on its side in fullscreen
+    const corner = dock ? `top-${dock}` : panel.placement.corner;
+    return { ...this.getCornerPosition(videoRect, width, height, corner), stack: corner };
+  }
+
+  /**
+   * Get the viewport position of a panel in a corner of the video
+   * @param {DOMRect} videoRect - Video element rect
+   * @param {number} width - Panel width
+   * @param {number} height - Panel height
+   * @param {string} corner - One of OVERLAY_CORNERS
+   * @returns {object} Viewport position {left, top}
+   */
+  getCornerPosition(videoRect, width, height, corner) {
+    const offset = CONFIG.OVERLAY.POSITION_OFFSET;
+    const [vertical, horizontal] = corner.split('-');
+
+    // Measured from the chosen corner
+    return {
+      left: horizontal === 'right' ? videoRect.right - offset.x - width : videoRect.left + offset.x,
+      top: vertical === 'bottom' ? videoRect.bottom - offset.y - height : videoRect.top + offset.y
+    };
+  }
+
+  /**
+   * Apply a channel's overlay layout: opacity for all panels and each panel's saved placement
+   * Panels without saved changes go back to their registered defaults
+   * @param {object} layout - Layout {opacity, panels: {name: placement changes}}
+   */
+  setLayout(layout) {
+    this.opacity = layout.opacity;
+
+    this.panels.forEach((panel, name) => {
+      panel.setOpacity(this.opacity);
+      panel.resetPlacement(layout.panels?.[name]);
+    });
+
+    this.reattach();
+    this.positionOverlay();
+  }
+
+  /**
+   * Set the function called when the viewer moves, resizes, collapses or closes a panel
+   * @param {Function} handler - (panelName, placementChanges) => void
+   */
+  setPanelChangeHandler(handler) {
+    this.panelChangeHandler = handler;
+  }
+
+  /**
+   * Pass a viewer's change to a panel on for saving
+   * @private
+   */
+  reportPanelChange(panel, changes) {
+    logger.debug('Overlay panel changed', { panel: panel.name, changes });
+    this.reattach();
+
+    if (this.panelChangeHandler) {
+      this.panelChangeHandler(panel.name, changes);
+    }
+  }
+
+  /**
+   * Start moving or resizing a panel
+   * @param {PointerEvent} event - Pointer down event
+   * @param {OverlayPanel} panel - Panel being dragged
+   * @param {string} mode - 'move' or 'resize'
+   */
+  beginDrag(event, panel, mode) {
+    event.preventDefault();
+    event.stopPropagation();
+
+    const target = event.currentTarget;
+    target.setPointerCapture(event.pointerId);
+
+    panel.isDragging = true;
+    this.dragState = {
+      panel,
+      mode,
+      startX: event.clientX,
+      startY: event.clientY,
+      startRect: panel.element.getBoundingClientRect()
+    };
+
+    const onMove = moveEvent => this.updateDrag(moveEvent);
+    const onUp = () => {
+      target.removeEventListener('pointermove', onMove);
+      target.removeEventListener('pointerup', onUp);
+      this.endDrag();
+    };
+
+    target.addEventListener('pointermove', onMove);
+    target.addEventListener('pointerup', onUp);
+  }
+
+  /**
+   * Apply pointer movement to the dragged panel
+   * @param {PointerEvent} event - Pointer move event
+   */
+  updateDrag(event) {
+    if (!this.dragState) return;
+
+    const { panel, mode, startRect } = this.dragState;
+    const dx = event.clientX - this.dragState.startX;
+    const dy = event.clientY - this.dragState.startY;
+
+    if (mode === 'move') {
+      const parentRect = this.getParentRect(panel);
+      Object.assign(panel.element.style, {
+        left: `${startRect.left + dx - parentRect.left}px`,
+        top: `${startRect.top + dy - parentRect.top}px`
+      });
+    } else {
+      const minSize = CONFIG.OVERLAY.MIN_SIZE;
+      Object.assign(panel.element.style, {
+        width: `${Math.max(startRect.width + dx, minSize.width)}px`,
+        height: `${Math.max(startRect.height + dy, minSize.height)}px`,
+        maxWidth: 'none'
+      });
+    }
+  }
+
+  /**
+   * Turn the dropped panel into a placement and report it for saving
+   */
+  endDrag() {
+    if (!this.dragState) return;
+
+    const { panel, mode } = this.dragState;
+    const rect = panel.element.getBoundingClientRect();
+    this.dragState = null;
+    panel.isDragging = false;
+
+    const changes = mode === 'move'
+      ? this.getDropPlacement(rect)
+      : { width: Math.round(rect.width), height: Math.round(rect.height) };
+
+    panel.setPlacement(changes);
+    this.reportPanelChange(panel, changes);
+
+    if (panel.hidePending) {
+      panel.hide();
+    }
+  }
+
+  /**
+   * Work out where a dropped panel belongs: docked when dropped beside the player,
+   * snapped when dropped near a corner, otherwise free where it was dropped
+   * @param {DOMRect} rect - Panel rect at the drop
+   * @returns {object} Placement changes {corner, position, dock}
+   */
+  getDropPlacement(rect) {
+    const videoRect = this.videoElement.getBoundingClientRect();
+    const centerX = rect.left + rect.width / 2;
+
+    if (!document.fullscreenElement && (centerX < videoRect.left || centerX > videoRect.right)) {
+      return { dock: centerX < videoRect.left ? 'left' : 'right', position: null };
+    }
+
+    const corner = OVERLAY_CORNERS.find(candidate => {
+      const snapped = this.getCornerPosition(videoRect, rect.width, rect.height, candidate);
+      return Math.abs(snapped.left - rect.left) <= CONFIG.OVERLAY.SNAP_DISTANCE &&
+        Math.abs(snapped.top - rect.top) <= CONFIG.OVERLAY.SNAP_DISTANCE;
+    });
+    if (corner) {
+      return { corner, position: null, dock: null };
+    }
+
+    const clamp = value => Math.min(Math.max(value, 0), 1);
+    return {
+      position: {
+        x: clamp((rect.left - videoRect.left) / videoRect.width),
+        y: clamp((rect.top - videoRect.top) / videoRect.height)
+      },
+      dock: null
+    };
+  }
+
   /**
    * Reposition overlay (debounced version)
    */
   repositionOverlay() {
+    this.reattach();
     this.positionOverlay();
+    this.hotspotLayer.reposition();
+    this.regionCalibrator.reposition();
+    this.debugVisualizer.reposition();
   }
 
   /**
@@ -145,10 +528,13 @@ class OverlayManager {
   setupEventListeners() {
     // Reposition overlay on window resize
     window.addEventListener('resize', this.repositionDebounced);
-    
+
     // Reposition on scroll
     window.addEventListener('scroll', this.repositionDebounced);
-    
+
+    // Follow the video into and out of fullscreen
+    document.addEventListener('fullscreenchange', this.handleFullscreenChange);
+
     // Monitor video element size changes
     if (this.videoElement) {
       const resizeObserver = new ResizeObserver(() => {
@@ -160,102 +546,96 @@ class OverlayManager {
   }
 
   /**
-   * Show overlay with fade-in animation
+   * Replace the hover hotspots with the latest detected elements
+   * @param {Array} elements - Detected elements in video pixel coordinates
    */
-  show() {
-    if (!this.overlayContainer || this.isVisible) {
-      return;
-    }
-
-    this.overlayContainer.style.display = 'block';
-    
-    // Trigger reflow before opacity change for smooth transition
-    this.overlayContainer.offsetHeight;
-    
-    this.overlayContainer.style.opacity = '1';
-    this.isVisible = true;
-    
-    logger.debug('Overlay shown');
+  updateHotspots(elements) {
+    this.hotspotLayer.render(elements);
   }
 
   /**
-   * Hide overlay with fade-out animation
+   * Draw a frame's search areas and detections when visualization is enabled
+   * @param {object} results - Results from SimpleCvProcessor.processFrame
    */
-  hide() {
-    if (!this.overlayContainer || !this.isVisible) {
-      return;
+  updateDebugView(results) {
+    if (CONFIG.CV.ENABLE_VISUALIZATION) {
+      this.debugVisualizer.draw(results);
+    } else {
+      this.debugVisualizer.clear();
     }
+  }
 
-    this.overlayContainer.style.opacity = '0';
-    
-    // Hide element after transition
-    setTimeout(() => {
-      if (this.overlayContainer) {
-        this.overlayContainer.style.display = 'none';
-      }
-    }, CONFIG.OVERLAY.FADE_DURATION);
-    
-    this.isVisible = false;
-    logger.debug('Overlay hidden');
+  /**
+   * Set the function that builds tooltip data for a hovered element
+   * @param {Function} provider - (element) => tooltip card data or null
+   */
+  setTooltipProvider(provider) {
+    this.hotspotLayer.setTooltipProvider(provider);
   }
 
   /**
-   * Update overlay content
-   * @param {string} content - HTML content to display
+   * Show the region calibration editor over the video
+   * @param {object} regions - Normalized regions keyed by group
+   * @param {object} options - Calibrator options {defaultRegions, onSave, onCancel}
+   * @returns {boolean} Whether the editor could be shown
    */
-  updateContent(content) {
-    if (!this.overlayContainer) {
-      logger.warn('Cannot update content - overlay not initialized');
-      return;
+  startCalibration(regions, options) {
+    if (!this.isInitialized || !this.videoElement) {
+      logger.warn('Cannot calibrate regions - overlay not initialized');
+      return false;
     }
 
-    this.overlayContainer.innerHTML = content;
-    logger.debug('Overlay content updated');
+    this.regionCalibrator.start(this.videoContainer, this.videoElement, regions, options);
+    return true;
   }
 
   /**
-   * Create test overlay content for verification
+   * Close the region calibration editor
    */
-  showTestOverlay() {
-    const testContent = `
-      <div style="padding: 12px; color: white; font-family: Arial, sans-serif;">
-        <h3 style="margin: 0 0 8px 0; color: #00ff00;">TFT Extension Active</h3>
-        <p style="margin: 0; font-size: 14px;">Video detected successfully!</p>
-        <p style="margin: 4px 0 0 0; font-size: 12px; opacity: 0.8;">
-          Video: ${this.videoElement?.videoWidth}x${this.videoElement?.videoHeight}
-        </p>
-      </div>
-    `;
-    
-    this.updateContent(testContent);
-    this.show();
-    
-    // Auto-hide after 3 seconds
-    setTimeout(() => {
-      this.hide();
-    }, 3000);
+  stopCalibration() {
+    this.regionCalibrator.stop();
+  }
+
+  /**
+   * Show the status panel briefly to verify the overlay works
+   * @param {string} streamTitle - Title of the stream, shown as text
+   */
+  showTestOverlay(streamTitle = '') {
+    const { h } = DomTemplate;
+
+    this.updatePanel('status', h('div', { className: 'tft-overlay-content' },
+      h('h3', null, 'Video detected successfully!'),
+      streamTitle && h('p', null, streamTitle),
+      h('p', { className: 'subtitle' }, `Video: ${this.videoElement?.videoWidth}x${this.videoElement?.videoHeight}`)
+    ));
+    this.showPanel('status', { hideAfter: 3000 });
   }
 
   /**
    * Clean up overlay and event listeners
+   * Registered panels are kept, with their content and placement, for the next video
    */
   cleanup() {
     // Remove event listeners
     window.removeEventListener('resize', this.repositionDebounced);
     window.removeEventListener('scroll', this.repositionDebounced);
-    
+    document.removeEventListener('fullscreenchange', this.handleFullscreenChange);
+
     if (this.resizeObserver) {
       this.resizeObserver.disconnect();
       this.resizeObserver = null;
     }
 
-    // Remove overlay element
-    if (this.overlayContainer) {
-      this.overlayContainer.remove();
-      this.overlayContainer = null;
-    }
+    this.hotspotLayer.detach();
+    this.regionCalibrator.stop();
+    this.debugVisualizer.detach();
+
+    // Remove panel elements
+    this.panels.forEach(panel => panel.detach());
+    this.videoContainer = null;
+    this.dragState = null;
+    this.isInitialized = false;
 
-    this.isVisible = false;
     logger.debug('Overlay cleanup completed');
   }
 
@@ -279,17 +659,9 @@ class OverlayManager {
 
   /**
    * Get overlay visibility status
-   * @returns {boolean} Whether overlay is visible
+   * @returns {boolean} Whether any panel is visible
    */
   isOverlayVisible() {
-    return this.isVisible;
-  }
-
-  /**
-   * Get overlay container element
-   * @returns {HTMLElement|null} Overlay container
-   */
-  getOverlayContainer() {
-    return this.overlayContainer;
+    return [...this.panels.values()].some(panel => panel.isDisplayed());
   }
-} 
\ No newline at end of file
+}
@@ -0,0 +1,272 @@
+/**
+ * Overlay Panel
+ * One named box of the overlay with its own content, placement, size,
+ * collapse state and visibility. Placement is worked out by OverlayManager
+ */
+
+const DEFAULT_PANEL_PLACEMENT = {
+  corner: 'top-left',
+  position: null, // {x, y} as fractions of the video after a free drag
+  dock: null, // 'left' or 'right' when docked beside the player
+  width: null, // px after a resize; null = fit content
+  height: null,
+  collapsed: false,
+  visible: true // false once the viewer closes the panel
+};
+
+class OverlayPanel {
+  /**
+   * @param {string} name - Panel name, e.g. 'shop'
+   * @param {object} options - {title, corner} defaults for the panel
+   * @param {object} callbacks - {onDragStart(event, panel, mode), onChange(panel, changes), onLayoutChange()}
+   */
+  constructor(name, options = {}, callbacks = {}) {
+    this.name = name;
+    this.title = options.title || name;
+    this.callbacks = callbacks;
+    this.defaultPlacement = { ...DEFAULT_PANEL_PLACEMENT, corner: options.corner || DEFAULT_PANEL_PLACEMENT.corner };
+    this.placement = { ...this.defaultPlacement };
+    this.opacity = 1;
+    this.isShown = false;
+    this.isDragging = false;
+    this.hidePending = false;
+    this.hideTimer = null;
+    this.createElement();
+  }
+
+  /**
+   * Build the panel: header (drag, collapse, close), body and resize grip
+   * @private
+   */
+  createElement() {
+    this.element = document.createElement('div');
+    this.element.id = `${CONFIG.OVERLAY.CONTAINER_ID}-${this.name}`;
+    this.element.className = 'tft-overlay-container tft-overlay-panel';
+    this.element.dataset.panel = this.name;
+    Object.assign(this.element.style, {
+      position: 'absolute',
+      pointerEvents: 'none', // Allow clicks to pass through; only the header and grip take the mouse
+      opacity: '0',
+      display: 'none'
+    });
+
+    this.header = document.createElement('div');
+    this.header.className = 'tft-overlay-handle';
+    this.header.title = 'Drag to move - snaps to the video corners, docks beside the player';
+    this.header.addEventListener('pointerdown', event => this.callbacks.onDragStart?.(event, this, 'move'));
+
+    const title = document.createElement('span');
+    title.className = 'tft-overlay-panel-title';
+    title.textContent = this.title;
+
+    this.collapseButton = this.createHeaderButton('Collapse', () => {
+      this.setPlacement({ collapsed: !this.placement.collapsed });
+      this.callbacks.onChange?.(this, { collapsed: this.placement.collapsed });
+    });
+    const closeButton = this.createHeaderButton('Close', () => {
+      this.setPlacement({ visible: false });
+      this.callbacks.onChange?.(this, { visible: false });
+    });
+    closeButton.textContent = '×';
+
+    this.header.append(title, this.collapseButton, closeButton);
+
+    this.body = document.createElement('div');
+    this.body.className = 'tft-overlay-body';
+
+    this.grip = document.createElement('div');
+    this.grip.className = 'tft-overlay-resize';
+    this.grip.title = 'Drag to resize';
+    this.grip.addEventListener('pointerdown', event => this.callbacks.onDragStart?.(event, this, 'resize'));
+
+    this.element.append(this.header, this.body, this.grip);
+    this.applyStyleSettings();
+    this.applyPlacement();
+  }
+
+  /**
+   * Create a header button that doesn't start a drag
+   * @private
+   */
+  createHeaderButton(label, handler) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'tft-overlay-panel-button';
+    button.title = label;
+    button.addEventListener('pointerdown', event => event.stopPropagation());
+    button.addEventListener('click', handler);
+    return button;
+  }
+
+  /**
+   * Apply user-configurable styles from CONFIG.OVERLAY
+   */
+  applyStyleSettings() {
+    Object.assign(this.element.style, {
+      zIndex: CONFIG.OVERLAY.Z_INDEX,
+      transition: `opacity ${CONFIG.OVERLAY.FADE_DURATION}ms ease-in-out`,
+      borderRadius: CONFIG.OVERLAY.BORDER_RADIUS,
+      backgroundColor: CONFIG.OVERLAY.BACKGROUND_COLOR
+    });
+    this.applySize();
+  }
+
+  /**
+   * Apply the size the panel was resized to, or the configured max width
+   * @private
+   */
+  applySize() {
+    const { width, height, collapsed } = this.placement;
+    Object.assign(this.element.style, {
+      width: width ? `${width}px` : '',
+      height: height && !collapsed ? `${height}px` : '',
+      maxWidth: width ? 'none' : `${CONFIG.OVERLAY.MAX_WIDTH}px`
+    });
+  }
+
+  /**
+   * Change the panel's placement, size, collapse state or visibility
+   * @param {object} changes - Partial placement (see DEFAULT_PANEL_PLACEMENT)
+   */
+  setPlacement(changes) {
+    this.placement = { ...this.placement, ...changes };
+    this.applyPlacement();
+    this.callbacks.onLayoutChange?.();
+  }
+
+  /**
+   * Go back to the placement the panel was registered with, plus saved changes
+   * @param {object|null} saved - Saved placement changes, if any
+   */
+  resetPlacement(saved) {
+    this.placement = { ...this.defaultPlacement, ...saved };
+    this.applyPlacement();
+  }
+
+  /**
+   * Reflect the placement in the DOM
+   * @private
+   */
+  applyPlacement() {
+    const { collapsed } = this.placement;
+    this.body.style.display = collapsed ? 'none' : '';
+    this.grip.style.display = collapsed ? 'none' : '';
+    this.collapseButton.textContent = collapsed ? '▸' : '▾';
+    this.collapseButton.title = collapsed ? 'Expand' : 'Collapse';
+    this.applySize();
+    this.applyVisibility();
+  }
+
+  /**
+   * Replace the panel's content, leaving every other panel alone
+   * Only the parts that changed since the last update touch the DOM
+   * @param {*} content - Virtual node(s) built with DomTemplate.h
+   */
+  update(content) {
+    DomTemplate.render(this.body, content);
+    this.callbacks.onLayoutChange?.();
+  }
+
+  /**
+   * Listen for clicks on the panel's content
+   * Templates can't carry event handlers, so content marks what is clickable
+   * (e.g. with a data attribute and pointer-events: auto) and the handler
+   * looks at event.target
+   * @param {Function} handler - Called with the click event
+   * @returns {Function} Unsubscribe function
+   */
+  onContentClick(handler) {
+    this.body.addEventListener('click', handler);
+    return () => this.body.removeEventListener('click', handler);
+  }
+
+  /**
+   * Show the panel (unless the viewer closed it)
+   * @param {number|null} hideAfter - Hide again after this many ms; null keeps it up
+   */
+  show(hideAfter = null) {
+    clearTimeout(this.hideTimer);
+    this.hidePending = false;
+    this.isShown = true;
+
+    if (hideAfter !== null) {
+      this.hideTimer = setTimeout(() => this.hide(), hideAfter);
+    }
+
+    this.applyVisibility();
+    this.callbacks.onLayoutChange?.();
+  }
+
+  /**
+   * Hide the panel with a fade-out
+   */
+  hide() {
+    clearTimeout(this.hideTimer);
+    if (!this.isShown) {
+      return;
+    }
+
+    // Don't fade the panel out from under the pointer; hide once the drag ends
+    if (this.isDragging) {
+      this.hidePending = true;
+      return;
+    }
+
+    this.isShown = false;
+    this.applyVisibility();
+    this.callbacks.onLayoutChange?.();
+  }
+
+  /**
+   * Check if the panel is on screen
+   * @returns {boolean} Whether the panel is shown and not closed
+   */
+  isDisplayed() {
+    return this.isShown && this.placement.visible;
+  }
+
+  /**
+   * Fade the panel in or out to match isDisplayed
+   * @private
+   */
+  applyVisibility() {
+    if (this.isDisplayed()) {
+      this.element.style.display = 'block';
+      // Trigger reflow before opacity change for smooth transition
+      this.element.offsetHeight;
+      this.element.style.opacity = String(this.opacity);
+      return;
+    }
+
+    this.element.style.opacity = '0';
+    setTimeout(() => {
+      // It may have been shown again while fading out
+      if (!this.isDisplayed()) {
+        this.element.style.display = 'none';
+      }
+    }, CONFIG.OVERLAY.FADE_DURATION);
+  }
+
+  /**
+   * Set how opaque the panel is while shown
+   * @param {number} opacity - Opacity 0.2-1
+   */
+  setOpacity(opacity) {
+    this.opacity = opacity;
+    if (this.isDisplayed()) {
+      this.element.style.opacity = String(opacity);
+    }
+  }
+
+  /**
+   * Take the panel off the page (it keeps its content and placement)
+   */
+  detach() {
+    clearTimeout(this.hideTimer);
+    this.isShown = false;
+    this.isDragging = false;
+    this.element.style.display = 'none';
+    this.element.style.opacity = '0';
+    this.element.remove();
+  }
+}
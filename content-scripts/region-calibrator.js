@@ -0,0 +1,264 @@
+/**
+ * Region Calibrator
+ * Draws the detection regions as draggable, resizable boxes over the video
+ * so users can match them to a streamer's actual layout
+ */
+
+const CALIBRATION_COLORS = {
+  AUGMENTS: '#a29bfe',
+  CHAMPIONS: '#00d4aa',
+  SHOP: '#ffa500',
+  GOLD: '#ffd700',
+  HUD: '#fd79a8'
+};
+
+// Smallest box size as a fraction of the video, so boxes stay grabbable
+const MIN_REGION_SIZE = 0.02;
+
+class RegionCalibrator {
+  constructor() {
+    this.layerElement = null;
+    this.container = null;
+    this.videoElement = null;
+    this.boxes = [];
+    this.defaultRegions = null;
+    this.callbacks = {};
+    this.dragState = null;
+  }
+
+  /**
+   * Show the calibration boxes over the video
+   * @param {HTMLElement} container - Positioned container holding the video
+   * @param {HTMLVideoElement} videoElement - Video being calibrated
+   * @param {object} regions - Normalized regions keyed by group
+   * @param {object} options - {defaultRegions, onSave(regions), onCancel()}
+   */
+  start(container, videoElement, regions, options = {}) {
+    this.stop();
+
+    this.container = container;
+    this.videoElement = videoElement;
+    this.defaultRegions = options.defaultRegions || regions;
+    this.callbacks = { onSave: options.onSave, onCancel: options.onCancel };
+
+    this.layerElement = document.createElement('div');
+    this.layerElement.className = 'tft-calibration-layer';
+    this.layerElement.style.zIndex = CONFIG.OVERLAY.Z_INDEX + 1;
+    this.layerElement.appendChild(this.createToolbar());
+    container.appendChild(this.layerElement);
+
+    this.renderBoxes(regions);
+    this.reposition();
+
+    logger.info('Region calibration started', { groups: Object.keys(regions) });
+  }
+
+  /**
+   * Check if calibration is in progress
+   * @returns {boolean} Whether the editor is shown
+   */
+  isActive() {
+    return !!this.layerElement;
+  }
+
+  /**
+   * Create the save / reset / cancel toolbar
+   * @returns {HTMLElement} Toolbar element
+   */
+  createToolbar() {
+    const toolbar = document.createElement('div');
+    toolbar.className = 'tft-calibration-toolbar';
+
+    const title = document.createElement('span');
+    title.textContent = 'Drag boxes onto the HUD, drag corners to resize';
+    toolbar.appendChild(title);
+
+    const actions = [
+      ['Save', () => this.callbacks.onSave?.(this.getRegions())],
+      ['Reset', () => this.renderBoxes(this.defaultRegions)],
+      ['Cancel', () => this.callbacks.onCancel?.()]
+    ];
+
+    actions.forEach(([label, handler]) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.textContent = label;
+      button.addEventListener('click', handler);
+      toolbar.appendChild(button);
+    });
+
+    return toolbar;
+  }
+
+  /**
+   * Replace the boxes with the given regions
+   * @param {object} regions - Normalized regions keyed by group
+   */
+  renderBoxes(regions) {
+    this.boxes.forEach(box => box.element.remove());
+    this.boxes = [];
+
+    Object.entries(regions).forEach(([group, groupRegions]) => {
+      groupRegions.forEach(region => {
+        this.boxes.push(this.createBox(group, { ...region }));
+      });
+    });
+  }
+
+  /**
+   * Create a box element for one region
+   * @param {string} group - Region group, e.g. 'AUGMENTS'
+   * @param {object} region - Normalized region (mutated while dragging)
+   * @returns {object} Box {group, region, element}
+   */
+  createBox(group, region) {
+    const element = document.createElement('div');
+    element.className = 'tft-calibration-box';
+    element.style.borderColor = CALIBRATION_COLORS[group] || '#ffffff';
+
+    const label = document.createElement('span');
+    label.className = 'tft-calibration-label';
+    label.textContent = `${group.toLowerCase()}: ${region.name}`;
+    label.style.backgroundColor = CALIBRATION_COLORS[group] || '#ffffff';
+
+    const handle = document.createElement('div');
+    handle.className = 'tft-calibration-handle';
+
+    element.append(label, handle);
+    this.layerElement.appendChild(element);
+
+    const box = { group, region, element };
+    element.addEventListener('pointerdown', event => this.beginDrag(event, box, 'move'));
+    handle.addEventListener('pointerdown', event => this.beginDrag(event, box, 'resize'));
+    this.positionBox(box);
+
+    return box;
+  }
+
+  /**
+   * Start moving or resizing a box
+   * @param {PointerEvent} event - Pointer down event
+   * @param {object} box - Box being dragged
+   * @param {string} mode - 'move' or 'resize'
+   */
+  beginDrag(event, box, mode) {
+    event.preventDefault();
+    event.stopPropagation();
+
+    const target = event.currentTarget;
+    target.setPointerCapture(event.pointerId);
+
+    this.dragState = {
+      box,
+      mode,
+      startX: event.clientX,
+      startY: event.clientY,
+      startRegion: { ...box.region }
+    };
+
+    const onMove = moveEvent => this.updateDrag(moveEvent);
+    const onUp = () => {
+      target.removeEventListener('pointermove', onMove);
+      target.removeEventListener('pointerup', onUp);
+      this.dragState = null;
+    };
+
+    target.addEventListener('pointermove', onMove);
+    target.addEventListener('pointerup', onUp);
+  }
+
+  /**
+   * Apply pointer movement to the dragged box, keeping it inside the video
+   * @param {PointerEvent} event - Pointer move event
+   */
+  updateDrag(event) {
+    if (!this.dragState) return;
+
+    const { box, mode, startRegion } = this.dragState;
+    const layerRect = this.layerElement.getBoundingClientRect();
+    const dx = (event.clientX - this.dragState.startX) / layerRect.width;
+    const dy = (event.clientY - this.dragState.startY) / layerRect.height;
+    const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+    if (mode === 'move') {
+      box.region.x = clamp(startRegion.x + dx, 0, 1 - startRegion.width);
+      box.region.y = clamp(startRegion.y + dy, 0, 1 - startRegion.height);
+    } else {
+      box.region.width = clamp(startRegion.width + dx, MIN_REGION_SIZE, 1 - startRegion.x);
+      box.region.height = clamp(startRegion.height + dy, MIN_REGION_SIZE, 1 - startRegion.y);
+    }
+
+    this.positionBox(box);
+  }
+
+  /**
+   * Place a box as percentages of the layer, which covers the video picture
+   * @param {object} box - Box to position
+   */
+  positionBox(box) {
+    Object.assign(box.element.style, {
+      left: `${box.region.x * 100}%`,
+      top: `${box.region.y * 100}%`,
+      width: `${box.region.width * 100}%`,
+      height: `${box.region.height * 100}%`
+    });
+  }
+
+  /**
+   * Fit the layer to the rendered video picture after resizes
+   */
+  reposition() {
+    if (!this.layerElement) return;
+
+    const contentRect = VideoGeometry.getContentRect(this.videoElement);
+    const containerRect = this.container.getBoundingClientRect();
+
+    Object.assign(this.layerElement.style, {
+      left: `${contentRect.left - containerRect.left}px`,
+      top: `${contentRect.top - containerRect.top}px`,
+      width: `${contentRect.width}px`,
+      height: `${contentRect.height}px`
+    });
+  }
+
+  /**
+   * Move the editor into another container, e.g. when the player goes fullscreen
+   * @param {HTMLElement} container - Positioned container now holding the video
+   */
+  moveTo(container) {
+    if (!this.layerElement) return;
+
+    this.container = container;
+    container.appendChild(this.layerElement);
+    this.reposition();
+  }
+
+  /**
+   * Get the edited regions
+   * @returns {object} Normalized regions keyed by group
+   */
+  getRegions() {
+    const regions = {};
+
+    this.boxes.forEach(({ group, region }) => {
+      regions[group] = regions[group] || [];
+      regions[group].push(RegionUtils.normalize(region, 1, 1));
+    });
+
+    return regions;
+  }
+
+  /**
+   * Remove the editor
+   */
+  stop() {
+    this.boxes = [];
+    this.dragState = null;
+
+    if (this.layerElement) {
+      this.layerElement.remove();
+      this.layerElement = null;
+      logger.info('Region calibration stopped');
+    }
+  }
+}
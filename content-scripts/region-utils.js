@@ -0,0 +1,117 @@
+/**
+ * Region Utilities
+ * Shared helpers for working with rectangular detection regions
+ */
+
+/**
+ * Calculate intersection-over-union of two regions
+ * @param {object} a - First region {x, y, width, height}
+ * @param {object} b - Second region {x, y, width, height}
+ * @returns {number} Overlap ratio between 0 and 1
+ */
+function computeRegionOverlap(a, b) {
+  const left = Math.max(a.x, b.x);
+  const top = Math.max(a.y, b.y);
+  const right = Math.min(a.x + a.width, b.x + b.width);
+  const bottom = Math.min(a.y + a.height, b.y + b.height);
+
+  if (right <= left || bottom <= top) {
+    return 0;
+  }
+
+  const intersection = (right - left) * (bottom - top);
+  const union = a.width * a.height + b.width * b.height - intersection;
+  return union > 0 ? intersection / union : 0;
+}
+
+/**
+ * Non-maximum suppression: keep the most confident region of each overlapping cluster
+ * Sliding-window detectors report many shifted copies of the same element,
+ * so this collapses them before expensive recognition runs on each one
+ * @param {Array} regions - Regions with a confidence property
+ * @param {number} maxResults - Maximum number of regions to keep
+ * @param {number} overlapThreshold - Overlap above which regions are merged
+ * @returns {Array} Filtered regions sorted by confidence
+ */
+function suppressOverlappingRegions(regions, maxResults, overlapThreshold = 0.3) {
+  const sorted = [...regions].sort((a, b) => b.confidence - a.confidence);
+  const kept = [];
+
+  for (const region of sorted) {
+    if (kept.length >= maxResults) break;
+
+    const overlapsKept = kept.some(existing =>
+      computeRegionOverlap(existing, region) > overlapThreshold
+    );
+
+    if (!overlapsKept) {
+      kept.push(region);
+    }
+  }
+
+  return kept;
+}
+
+/**
+ * Scale a TFT_REGIONS entry from the reference resolution to a frame
+ * @param {object} region - Region in reference coordinates
+ * @param {number} width - Frame width
+ * @param {number} height - Frame height
+ * @returns {object} Region in frame pixels
+ */
+function scaleRegionToFrame(region, width, height) {
+  const scaleX = width / CONFIG.CV.REGION_REFERENCE_SIZE.width;
+  const scaleY = height / CONFIG.CV.REGION_REFERENCE_SIZE.height;
+
+  return {
+    x: Math.round(region.x * scaleX),
+    y: Math.round(region.y * scaleY),
+    width: Math.round(region.width * scaleX),
+    height: Math.round(region.height * scaleY),
+    name: region.name
+  };
+}
+
+/**
+ * Convert a region to fractions of a frame so it applies at any resolution
+ * @param {object} region - Region in pixels {x, y, width, height, name}
+ * @param {number} width - Frame width the region is relative to
+ * @param {number} height - Frame height the region is relative to
+ * @returns {object} Normalized region with values between 0 and 1
+ */
+function normalizeRegion(region, width, height) {
+  const round = value => Math.round(value * 10000) / 10000;
+
+  return {
+    x: round(region.x / width),
+    y: round(region.y / height),
+    width: round(region.width / width),
+    height: round(region.height / height),
+    name: region.name
+  };
+}
+
+/**
+ * Convert a normalized region back to frame pixels
+ * @param {object} region - Normalized region
+ * @param {number} width - Frame width
+ * @param {number} height - Frame height
+ * @returns {object} Region in frame pixels
+ */
+function denormalizeRegion(region, width, height) {
+  return {
+    x: Math.round(region.x * width),
+    y: Math.round(region.y * height),
+    width: Math.round(region.width * width),
+    height: Math.round(region.height * height),
+    name: region.name
+  };
+}
+
+const RegionUtils = {
+  computeOverlap: computeRegionOverlap,
+  suppressOverlaps: suppressOverlappingRegions,
+  scaleToFrame: scaleRegionToFrame,
+  normalize: normalizeRegion,
+  denormalize: denormalizeRegion
+};
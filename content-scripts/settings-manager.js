@@ -0,0 +1,250 @@
+/**
+ * Settings Manager
+ * Merges user overrides from chrome.storage.sync on top of the CONFIG defaults
+ * and notifies listeners when they change
+ */
+
+const SETTINGS_STORAGE_KEY = 'tftSettings';
+
+class SettingsManager {
+  constructor() {
+    // Snapshot taken before any override is applied to CONFIG
+    this.defaults = JSON.parse(JSON.stringify(CONFIG));
+    this.overrides = {};
+    this.listeners = [];
+    this.storageListener = null;
+  }
+
+  /**
+   * Load stored overrides and apply them to CONFIG
+   * @returns {Promise<object>} Applied overrides
+   */
+  async load() {
+    try {
+      const stored = (await chrome.storage.sync.get(SETTINGS_STORAGE_KEY))[SETTINGS_STORAGE_KEY] || {};
+      const { settings, errors } = this.validate(stored);
+
+      if (errors.length > 0) {
+        logger.warn('Ignoring invalid stored settings', { errors });
+      }
+
+      this.apply(settings);
+
+      // Store renamed settings under their new paths
+      const renamedPaths = Object.keys(stored).filter(path => path in RENAMED_SETTINGS);
+      if (renamedPaths.length > 0) {
+        await chrome.storage.sync.set({ [SETTINGS_STORAGE_KEY]: this.migrate(stored) });
+        logger.info('Renamed settings migrated', { paths: renamedPaths });
+      }
+
+      logger.info('Settings loaded', { overrides: Object.keys(settings) });
+    } catch (error) {
+      logger.error('Failed to load settings, using defaults', error);
+    }
+
+    return this.overrides;
+  }
+
+  /**
+   * Validate a map of overrides against SETTINGS_SCHEMA
+   * @param {object} overrides - Map of dotted path to value
+   * @returns {object} {settings, errors} - valid overrides and messages for the rest
+   */
+  validate(overrides) {
+    const settings = {};
+    const errors = [];
+
+    Object.entries(this.migrate(overrides)).forEach(([path, value]) => {
+      const result = validateSetting(path, value);
+      if (result.error) {
+        errors.push(`${path} ${result.error}`);
+      } else {
+        settings[path] = result.value;
+      }
+    });
+
+    return { settings, errors };
+  }
+
+  /**
+   * Move overrides of renamed settings (RENAMED_SETTINGS) to their new paths
+   * An override already stored under the new path wins
+   * @param {object} overrides - Map of dotted path to value
+   * @returns {object} Overrides under current paths
+   */
+  migrate(overrides) {
+    const migrated = {};
+
+    Object.entries(overrides).forEach(([path, value]) => {
+      const currentPath = RENAMED_SETTINGS[path];
+      if (!currentPath) {
+        migrated[path] = value;
+      } else if (!(currentPath in overrides)) {
+        migrated[currentPath] = value;
+      }
+    });
+
+    return migrated;
+  }
+
+  /**
+   * Write defaults plus overrides into CONFIG
+   * CONFIG is mutated in place because every module reads it directly
+   * @param {object} overrides - Validated overrides
+   * @returns {Array} Paths whose effective value changed
+   */
+  apply(overrides) {
+    const changedPaths = [];
+
+    Object.keys(SETTINGS_SCHEMA).forEach(path => {
+      const value = path in overrides ? overrides[path] : this.getDefault(path);
+
+      if (JSON.stringify(this.getValue(CONFIG, path)) !== JSON.stringify(value)) {
+        this.setValue(CONFIG, path, JSON.parse(JSON.stringify(value)));
+        changedPaths.push(path);
+      }
+    });
+
+    this.overrides = overrides;
+    return changedPaths;
+  }
+
+  /**
+   * Validate and store overrides; other tabs pick them up via storage events
+   * @param {object} overrides - Map of dotted path to value
+   * @returns {Promise<void>}
+   * @throws {Error} When any value fails validation
+   */
+  async save(overrides) {
+    const { settings, errors } = this.validate(overrides);
+    if (errors.length > 0) {
+      throw new Error(`Invalid settings: ${errors.join('; ')}`);
+    }
+
+    await chrome.storage.sync.set({ [SETTINGS_STORAGE_KEY]: settings });
+  }
+
+  /**
+   * Remove all overrides
+   * @returns {Promise<void>}
+   */
+  async reset() {
+    await chrome.storage.sync.remove(SETTINGS_STORAGE_KEY);
+  }
+
+  /**
+   * Serialize the current overrides for backup or sharing
+   * @returns {string} JSON document
+   */
+  exportSettings() {
+    return JSON.stringify({ version: 1, settings: this.overrides }, null, 2);
+  }
+
+  /**
+   * Store overrides from an exported JSON document
+   * @param {string} json - Document produced by exportSettings()
+   * @returns {Promise<object>} Stored overrides
+   * @throws {Error} When the document is malformed or contains invalid values
+   */
+  async importSettings(json) {
+    let document;
+    try {
+      document = JSON.parse(json);
+    } catch (error) {
+      throw new Error(`Not valid JSON: ${error.message}`);
+    }
+
+    if (!document || typeof document.settings !== 'object' || document.settings === null) {
+      throw new Error('Missing "settings" object');
+    }
+
+    await this.save(document.settings);
+    return document.settings;
+  }
+
+  /**
+   * Start applying changes made in the options page or other tabs
+   */
+  startWatching() {
+    if (this.storageListener) return;
+
+    this.storageListener = (changes, areaName) => {
+      if (areaName !== 'sync' || !changes[SETTINGS_STORAGE_KEY]) return;
+
+      const { settings } = this.validate(changes[SETTINGS_STORAGE_KEY].newValue || {});
+      const changedPaths = this.apply(settings);
+
+      if (changedPaths.length > 0) {
+        logger.info('Settings changed', { changedPaths });
+        this.notifyListeners(changedPaths);
+      }
+    };
+
+    chrome.storage.onChanged.addListener(this.storageListener);
+  }
+
+  /**
+   * Stop watching storage changes
+   */
+  stopWatching() {
+    if (this.storageListener) {
+      chrome.storage.onChanged.removeListener(this.storageListener);
+      this.storageListener = null;
+    }
+  }
+
+  /**
+   * Register a listener for changed settings
+   * @param {Function} listener - Called with an array of changed paths
+   * @returns {Function} Unsubscribe function
+   */
+  onChange(listener) {
+    this.listeners.push(listener);
+    return () => {
+      this.listeners = this.listeners.filter(existing => existing !== listener);
+    };
+  }
+
+  /**
+   * Notify listeners, isolating their errors from each other
+   * @param {Array} changedPaths - Changed setting paths
+   */
+  notifyListeners(changedPaths) {
+    this.listeners.forEach(listener => {
+      try {
+        listener(changedPaths);
+      } catch (error) {
+        logger.error('Error in settings listener', error);
+      }
+    });
+  }
+
+  /**
+   * Get the default value of a setting
+   * @param {string} path - Dotted CONFIG path
+   * @returns {*} Default value
+   */
+  getDefault(path) {
+    return this.getValue(this.defaults, path);
+  }
+
+  /**
+   * Read a dotted path from an object
+   */
+  getValue(source, path) {
+    return path.split('.').reduce((value, part) => (value ? value[part] : undefined), source);
+  }
+
+  /**
+   * Write a dotted path on an object
+   */
+  setValue(target, path, value) {
+    const parts = path.split('.');
+    const last = parts.pop();
+    const parent = parts.reduce((object, part) => object[part], target);
+    parent[last] = value;
+  }
+}
+
+// Create singleton instance
+const settingsManager = new SettingsManager();
@@ -0,0 +1,158 @@
+/**
+ * Settings Schema
+ * Describes which CONFIG values users may override and how to validate them
+ * Keys are dotted CONFIG paths, e.g. 'CV.PROCESSING_INTERVAL'
+ */
+
+const SETTINGS_SCHEMA = {
+  'OVERLAY.POSITION_OFFSET': { type: 'point', min: 0, max: 2000, label: 'Overlay offset (px)' },
+  'OVERLAY.MAX_WIDTH': { type: 'number', min: 150, max: 800, label: 'Overlay max width (px)' },
+  'OVERLAY.BACKGROUND_COLOR': { type: 'color', label: 'Overlay background' },
+  'OVERLAY.BORDER_RADIUS': { type: 'length', label: 'Overlay corner radius' },
+  'OVERLAY.FADE_DURATION': { type: 'number', min: 0, max: 2000, label: 'Fade duration (ms)' },
+  'OVERLAY.HOVER_DELAY': { type: 'number', min: 0, max: 2000, label: 'Tooltip hover delay (ms)' },
+  'CV.PROCESSING_INTERVAL': { type: 'number', min: 250, max: 30000, label: 'Frame processing interval (ms)' },
+  'CV.ENABLE_VISUALIZATION': { type: 'boolean', label: 'Draw detections and search areas over the video' },
+  'STREAM_MONITORING.TFT_KEYWORDS': { type: 'stringList', maxItems: 20, label: 'TFT title/category keywords' },
+  'LOGGING.ENABLED': { type: 'boolean', label: 'Enable logging' },
+  'LOGGING.LEVEL': { type: 'enum', values: ['debug', 'info', 'warn', 'error'], label: 'Log level' },
+  'TFT_REGIONS.AUGMENTS': { type: 'regions', maxItems: 8, label: 'Augment regions' },
+  'TFT_REGIONS.CHAMPIONS': { type: 'regions', maxItems: 8, label: 'Champion regions' },
+  'TFT_REGIONS.SHOP': { type: 'regions', maxItems: 8, label: 'Shop regions' },
+  'TFT_REGIONS.GOLD': { type: 'regions', maxItems: 8, label: 'Gold regions' },
+  'TFT_REGIONS.HUD': { type: 'regions', maxItems: 8, label: 'HUD readout regions (stage, level, xp, health)' },
+  'TFT_REGIONS.TRAITS': { type: 'regions', maxItems: 8, label: 'Trait tracker regions' }
+};
+
+// Settings that moved to another CONFIG path: old path -> new path
+// Overrides stored under the old path are read as the new one
+const RENAMED_SETTINGS = {
+  'TWITCH.TFT_KEYWORDS': 'STREAM_MONITORING.TFT_KEYWORDS'
+};
+
+/**
+ * Validators per schema type
+ * Each returns {value} with the normalized value, or {error} with a reason
+ */
+const SETTING_VALIDATORS = {
+  number(rule, value) {
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+      return { error: 'must be a number' };
+    }
+    if (value < rule.min || value > rule.max) {
+      return { error: `must be between ${rule.min} and ${rule.max}` };
+    }
+    return { value };
+  },
+
+  boolean(rule, value) {
+    return typeof value === 'boolean' ? { value } : { error: 'must be true or false' };
+  },
+
+  enum(rule, value) {
+    return rule.values.includes(value)
+      ? { value }
+      : { error: `must be one of ${rule.values.join(', ')}` };
+  },
+
+  point(rule, value) {
+    if (!value || typeof value !== 'object') {
+      return { error: 'must be an object with x and y' };
+    }
+
+    const x = SETTING_VALIDATORS.number(rule, value.x);
+    const y = SETTING_VALIDATORS.number(rule, value.y);
+    if (x.error || y.error) {
+      return { error: `x and y ${x.error || y.error}` };
+    }
+    return { value: { x: value.x, y: value.y } };
+  },
+
+  color(rule, value) {
+    // Hex, rgb()/rgba() and named colors; anything else could break the style attribute
+    const isColor = typeof value === 'string' &&
+      /^(#[0-9a-f]{3,8}|rgba?\([\d\s.,%]+\)|[a-z]+)$/i.test(value.trim());
+    return isColor ? { value: value.trim() } : { error: 'must be a CSS color' };
+  },
+
+  length(rule, value) {
+    const isLength = typeof value === 'string' && /^\d+(\.\d+)?(px|em|rem|%)$/.test(value.trim());
+    return isLength ? { value: value.trim() } : { error: 'must be a CSS length like 8px' };
+  },
+
+  stringList(rule, value) {
+    if (!Array.isArray(value) || value.some(item => typeof item !== 'string')) {
+      return { error: 'must be a list of strings' };
+    }
+
+    const items = value.map(item => item.trim().toLowerCase()).filter(Boolean);
+    if (items.length === 0 || items.length > rule.maxItems) {
+      return { error: `must contain 1 to ${rule.maxItems} entries` };
+    }
+    return { value: items };
+  },
+
+  regions(rule, value) {
+    if (!Array.isArray(value) || value.length === 0 || value.length > rule.maxItems) {
+      return { error: `must be a list of 1 to ${rule.maxItems} regions` };
+    }
+
+    // Regions are authored in the reference resolution, so they must fit inside it
+    const reference = CONFIG.CV.REGION_REFERENCE_SIZE;
+    const regions = [];
+
+    for (const region of value) {
+      const error = validateRegion(region, reference);
+      if (error) {
+        return { error };
+      }
+      const { x, y, width, height } = region;
+      regions.push({ x, y, width, height, name: region.name.trim() });
+    }
+
+    return { value: regions };
+  }
+};
+
+/**
+ * Check a single region rectangle against the reference resolution
+ * @param {object} region - Region {x, y, width, height, name}
+ * @param {object} reference - Reference size {width, height}
+ * @returns {string|null} Error message or null when valid
+ */
+function validateRegion(region, reference) {
+  if (!region || typeof region !== 'object') {
+    return 'must contain region objects';
+  }
+
+  const isCoordinate = value => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+  if (!['x', 'y', 'width', 'height'].every(key => isCoordinate(region[key]))) {
+    return 'regions need non-negative x, y, width and height';
+  }
+  if (region.width === 0 || region.height === 0) {
+    return 'regions must not be empty';
+  }
+  if (region.x + region.width > reference.width || region.y + region.height > reference.height) {
+    return `regions must fit inside ${reference.width}x${reference.height}`;
+  }
+  if (typeof region.name !== 'string' || !region.name.trim()) {
+    return 'regions need a name';
+  }
+
+  return null;
+}
+
+/**
+ * Validate a single setting against the schema
+ * @param {string} path - Dotted CONFIG path
+ * @param {*} value - Proposed value
+ * @returns {object} {value} when valid, {error} otherwise
+ */
+function validateSetting(path, value) {
+  const rule = SETTINGS_SCHEMA[path];
+  if (!rule) {
+    return { error: 'is not a configurable setting' };
+  }
+
+  return SETTING_VALIDATORS[rule.type](rule, value);
+}
@@ -0,0 +1,260 @@
+/**
+ * Shop Reader
+ * Splits the shop into its five champion cards, reads each card's cost
+ * from its border color and identifies the champion from its portrait
+ */
+
+// Card border colors by champion cost (RGB)
+const SHOP_COST_COLORS = {
+  1: [140, 140, 140], // gray
+  2: [17, 178, 136], // green
+  3: [32, 122, 199], // blue
+  4: [196, 64, 218], // purple
+  5: [255, 185, 59] // gold
+};
+
+// Average border brightness below which a card slot is treated as empty (bought)
+const EMPTY_SLOT_BRIGHTNESS = 35;
+
+class ShopReader {
+  /**
+   * @param {ChampionsDataManager|null} championsManager - Source of champion portraits (optional)
+   */
+  constructor(championsManager = null) {
+    this.championsManager = championsManager;
+    this.matcher = new TemplateMatcher();
+    this.loadPromise = null;
+  }
+
+  /**
+   * Load portrait templates for every champion in the data set (only runs once)
+   * @returns {Promise<number>} Number of templates loaded
+   */
+  async loadTemplates() {
+    if (this.loadPromise) {
+      return this.loadPromise;
+    }
+
+    this.loadPromise = this._loadTemplatesInternal();
+    return this.loadPromise;
+  }
+
+  /**
+   * Internal template loading implementation
+   * @private
+   */
+  async _loadTemplatesInternal() {
+    if (!this.championsManager || !(await this.championsManager.loadData())) {
+      logger.warn('Champion portraits skipped - champions data unavailable');
+      return 0;
+    }
+
+    const portraits = this.championsManager.getAllChampions()
+      .filter(champion => champion.image)
+      .map(champion => ({ key: champion.key, url: this.championsManager.getChampionImageUrl(champion) }));
+
+    return this.loadPortraits(portraits);
+  }
+
+  /**
+   * Drop loaded portraits and load them again from the current data set
+   * @returns {Promise<number>} Number of templates loaded
+   */
+  async reloadTemplates() {
+    this.clearPortraits();
+    this.loadPromise = null;
+    return this.loadTemplates();
+  }
+
+  /**
+   * Load champion portrait templates
+   * @param {Array} portraits - Portraits {key, url}
+   * @returns {Promise<number>} Number of templates loaded
+   */
+  async loadPortraits(portraits) {
+    const results = await Promise.all(portraits.map(({ key, url }) => this.matcher.loadTemplate(key, url)));
+    const loaded = results.filter(Boolean).length;
+
+    if (loaded === 0 && results.length > 0) {
+      // Portraits are downloaded by scripts/fetch-champions.js next to the data set
+      logger.warn('No champion portraits could be loaded - shop slots show costs only', { missing: results.length });
+    } else {
+      logger.info('Champion portrait templates loaded', {
+        loaded,
+        missing: results.length - loaded
+      });
+    }
+
+    return loaded;
+  }
+
+  /**
+   * Drop all portrait templates
+   */
+  clearPortraits() {
+    this.matcher.clear();
+  }
+
+  /**
+   * Read every card in the shop
+   * @param {ImageData} imageData - RGBA frame data (cost borders need color)
+   * @param {Uint8Array} grayData - Grayscale frame data
+   * @param {number} width - Frame width
+   * @param {number} height - Frame height
+   * @param {object} shopArea - Area covering exactly the five shop cards
+   * @returns {Array} Shop slot elements {type: 'shop_slot', slot, cost, key, ...}
+   */
+  read(imageData, grayData, width, height, shopArea) {
+    const elements = [];
+
+    this.getSlotRegions(shopArea).forEach((slotRegion, slot) => {
+      const costReading = this.readSlotCost(imageData.data, width, slotRegion);
+      if (!costReading) return; // Empty or not a shop card
+
+      const portrait = this.matchPortrait(grayData, width, height, slotRegion);
+
+      elements.push({
+        type: 'shop_slot',
+        slot,
+        cost: costReading.cost,
+        key: portrait ? portrait.key : null,
+        matchConfidence: portrait ? portrait.confidence : 0,
+        x: slotRegion.x,
+        y: slotRegion.y,
+        width: slotRegion.width,
+        height: slotRegion.height,
+        confidence: costReading.confidence,
+        id: `shop_slot_${slot}`
+      });
+    });
+
+    return elements;
+  }
+
+  /**
+   * Split the shop area into equally wide card regions, trimming the gaps between cards
+   * @param {object} shopArea - Shop area in frame pixels
+   * @returns {Array} Card regions
+   */
+  getSlotRegions(shopArea) {
+    const slotCount = CONFIG.CV.SHOP_SLOT_COUNT;
+    const slotWidth = shopArea.width / slotCount;
+    const gap = Math.round(slotWidth * 0.02);
+    const regions = [];
+
+    for (let slot = 0; slot < slotCount; slot++) {
+      regions.push({
+        x: Math.round(shopArea.x + slot * slotWidth) + gap,
+        y: shopArea.y,
+        width: Math.round(slotWidth) - gap * 2,
+        height: shopArea.height
+      });
+    }
+
+    return regions;
+  }
+
+  /**
+   * Classify a card's cost from the average color of its border ring
+   * @param {Uint8ClampedArray} rgba - RGBA frame data
+   * @param {number} width - Frame width
+   * @param {object} region - Card region
+   * @returns {object|null} Reading {cost, confidence} or null for empty/unknown slots
+   */
+  readSlotCost(rgba, width, region) {
+    const color = this.sampleBorderColor(rgba, width, region);
+    const brightness = (color[0] + color[1] + color[2]) / 3;
+
+    if (brightness < EMPTY_SLOT_BRIGHTNESS) {
+      return null;
+    }
+
+    let best = null;
+    Object.entries(SHOP_COST_COLORS).forEach(([cost, reference]) => {
+      const distance = Math.hypot(color[0] - reference[0], color[1] - reference[1], color[2] - reference[2]);
+      if (!best || distance < best.distance) {
+        best = { cost: Number(cost), distance };
+      }
+    });
+
+    const maxDistance = CONFIG.CV.SHOP_COST_COLOR_DISTANCE;
+    if (best.distance > maxDistance) {
+      return null;
+    }
+
+    return { cost: best.cost, confidence: 1 - best.distance / maxDistance };
+  }
+
+  /**
+   * Average RGB over a thin ring just inside the card edge
+   * @returns {Array} Mean color [r, g, b]
+   */
+  sampleBorderColor(rgba, width, region) {
+    const thickness = Math.max(1, Math.round(region.width * 0.03));
+    const sum = [0, 0, 0];
+    let count = 0;
+
+    const addPixel = (x, y) => {
+      const offset = (y * width + x) * 4;
+      sum[0] += rgba[offset];
+      sum[1] += rgba[offset + 1];
+      sum[2] += rgba[offset + 2];
+      count++;
+    };
+
+    for (let y = region.y; y < region.y + region.height; y++) {
+      const inVerticalBand = y < region.y + thickness || y >= region.y + region.height - thickness;
+
+      for (let x = region.x; x < region.x + region.width; x++) {
+        const inHorizontalBand = x < region.x + thickness || x >= region.x + region.width - thickness;
+        if (inVerticalBand || inHorizontalBand) {
+          addPixel(x, y);
+        }
+      }
+    }
+
+    return count > 0 ? sum.map(total => total / count) : [0, 0, 0];
+  }
+
+  /**
+   * Identify the champion from the portrait in the upper part of the card
+   * @returns {object|null} Match {key, confidence} or null below threshold
+   */
+  matchPortrait(grayData, width, height, region) {
+    if (this.matcher.getTemplateCount() === 0) {
+      return null;
+    }
+
+    const portraitRegion = {
+      x: region.x,
+      y: region.y,
+      width: region.width,
+      height: Math.round(region.height * CONFIG.CV.SHOP_PORTRAIT_HEIGHT)
+    };
+
+    const match = this.matcher.match(grayData, width, height, portraitRegion);
+    if (!match || match.confidence < CONFIG.CV.CHAMPION_MATCH_THRESHOLD) {
+      return null;
+    }
+
+    return match;
+  }
+
+  /**
+   * Check if champions can be told apart, not just their costs
+   * @returns {boolean} Whether any portrait template is loaded
+   */
+  hasPortraits() {
+    return this.matcher.getTemplateCount() > 0;
+  }
+
+  /**
+   * Get reader stats
+   * @returns {object} Template statistics
+   */
+  getStats() {
+    return {
+      portraits: this.matcher.getTemplateCount()
+    };
+  }
+}
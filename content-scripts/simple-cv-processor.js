@@ -5,12 +5,29 @@
  */
 
 class SimpleCvProcessor {
-  constructor() {
+  /**
+   * @param {object} options - Optional recognizers
+   * @param {AugmentRecognizer} options.augmentRecognizer - Identifies augments in detected slots
+   * @param {TraitRecognizer} options.traitRecognizer - Reads the trait tracker
+   * @param {ShopReader} options.shopReader - Reads champion costs and portraits in the shop
+   * @param {HudReader} options.hudReader - Reads gold, level, XP, stage and health
+   * @param {HudLayoutClassifier} options.hudLayoutClassifier - Scores how much the frame looks like the TFT HUD
+   */
+  constructor(options = {}) {
     // Note: No this.isReady property - we use the isReady() method instead
+    this.augmentRecognizer = options.augmentRecognizer || null;
+    this.traitRecognizer = options.traitRecognizer || null;
+    this.shopReader = options.shopReader || null;
+    this.hudReader = options.hudReader || null;
+    this.hudLayoutClassifier = options.hudLayoutClassifier || null;
     this.processingQueue = [];
     this.isProcessing = false;
     this.lastProcessTime = 0;
     this.detectionCache = new Map();
+    this.calibratedRegions = null;
+    this.enabledDetectors = null; // null = all detectors enabled
+    this.lastSearchAreas = []; // Areas searched in the last frame, for debug visualization
+    this.lastHudLayout = null; // HUD layout classification of the last frame
     
     logger.info('Simple CV Processor initialized - no external dependencies');
   }
@@ -49,8 +66,14 @@ class SimpleCvProcessor {
 
       return {
         elements: results,
+        gameState: this.hudReader ? this.hudReader.buildGameState(results) : null,
+        hudLayout: this.lastHudLayout,
+        searchAreas: this.lastSearchAreas,
+        frameWidth: frameData.width,
+        frameHeight: frameData.height,
         processingTime: processingTime,
-        timestamp: Date.now()
+        timestamp: Date.now(),
+        mediaTime: videoElement.currentTime // Playback position of the frame, for VODs and clips
       };
 
     } catch (error) {
@@ -101,21 +124,31 @@ class SimpleCvProcessor {
   async detectTftElements(frameData) {
     const elements = [];
     const { imageData, width, height } = frameData;
+    this.lastSearchAreas = [];
+    this.lastHudLayout = null;
 
     try {
       // Convert to grayscale for processing
       const grayData = this.convertToGrayscale(imageData);
+
+      // Runs regardless of the enabled detectors: it decides whether this is TFT at all
+      this.lastHudLayout = this.classifyHudLayout(grayData, width, height);
       
       // Detect different TFT elements using color/pattern analysis
-      const augmentElements = this.detectAugmentSlots(grayData, width, height);
-      const championElements = this.detectChampionSlots(grayData, width, height);
-      const shopElements = this.detectShopArea(grayData, width, height);
-      const goldElements = this.detectGoldIndicator(grayData, width, height);
+      const detectors = {
+        augments: () => this.detectAugmentSlots(grayData, width, height),
+        champions: () => this.detectChampionSlots(grayData, width, height),
+        shop: () => this.detectShopArea(grayData, width, height, imageData),
+        gold: () => this.detectGoldIndicator(grayData, width, height),
+        hud: () => this.detectHudReadout(grayData, width, height),
+        traits: () => this.detectTraitTracker(grayData, width, height)
+      };
 
-      elements.push(...augmentElements);
-      elements.push(...championElements);
-      elements.push(...shopElements);
-      elements.push(...goldElements);
+      Object.entries(detectors).forEach(([name, detect]) => {
+        if (this.isDetectorEnabled(name)) {
+          elements.push(...detect());
+        }
+      });
 
     } catch (error) {
       logger.error('Error detecting TFT elements', error);
@@ -129,6 +162,46 @@ class SimpleCvProcessor {
     return elements;
   }
 
+  /**
+   * Classify a video frame's HUD layout without running the detectors
+   * Cheap enough to keep watching for the game while processing is paused
+   * @param {HTMLVideoElement} videoElement - Video element
+   * @returns {object|null} Classification from HudLayoutClassifier, or null
+   */
+  classifyVideoFrame(videoElement) {
+    if (!this.hudLayoutClassifier) {
+      return null;
+    }
+
+    const frameData = this.extractVideoFrame(videoElement);
+    if (!frameData) {
+      return null;
+    }
+
+    const grayData = this.convertToGrayscale(frameData.imageData);
+    frameData.canvas.remove();
+    return this.classifyHudLayout(grayData, frameData.width, frameData.height);
+  }
+
+  /**
+   * Score how much a frame looks like the TFT HUD
+   * @param {Uint8Array} grayData - Grayscale image data
+   * @param {number} width - Image width
+   * @param {number} height - Image height
+   * @returns {object|null} Classification {score, features}, or null without a classifier
+   */
+  classifyHudLayout(grayData, width, height) {
+    if (!this.hudLayoutClassifier) {
+      return null;
+    }
+
+    return this.hudLayoutClassifier.classify(grayData, width, height, {
+      shop: this.getRegionArea('SHOP', width, height),
+      gold: this.getRegionArea('GOLD', width, height),
+      traits: this.getRegionArea('TRAITS', width, height)
+    });
+  }
+
   /**
    * Convert image data to grayscale
    * @param {ImageData} imageData - Original image data
@@ -157,32 +230,33 @@ class SimpleCvProcessor {
   detectAugmentSlots(grayData, width, height) {
     const elements = [];
     
-    // Look for augment slots in typical TFT UI positions
-    // Augments usually appear in the center-top area
-    const searchArea = {
-      x: Math.round(width * 0.3),
-      y: Math.round(height * 0.1),
-      width: Math.round(width * 0.4),
-      height: Math.round(height * 0.2)
-    };
+    const searchAreas = this.getSearchAreas('AUGMENTS', width, height,
+      CONFIG.TFT_REGIONS.AUGMENTS.map(region => RegionUtils.scaleToFrame(region, width, height))
+    );
 
     // Simple pattern detection for rectangular augment slots
-    const candidates = this.findRectangularRegions(grayData, width, height, searchArea, {
-      minWidth: 80,
-      maxWidth: 120,
-      minHeight: 80,
-      maxHeight: 120,
-      threshold: 0.7
-    });
-
-    candidates.forEach((candidate, index) => {
+    const candidates = searchAreas.flatMap(searchArea =>
+      this.findRectangularRegions(grayData, width, height, searchArea, {
+        minWidth: 80,
+        maxWidth: 120,
+        minHeight: 80,
+        maxHeight: 120,
+        threshold: 0.7
+      })
+    );
+
+    const augmentSlots = this.recognizeAugmentSlots(grayData, width, height, candidates);
+
+    augmentSlots.forEach((slot, index) => {
       elements.push({
         type: 'augment',
-        x: candidate.x,
-        y: candidate.y,
-        width: candidate.width,
-        height: candidate.height,
-        confidence: candidate.confidence,
+        x: slot.x,
+        y: slot.y,
+        width: slot.width,
+        height: slot.height,
+        confidence: slot.confidence,
+        key: slot.key || null,
+        matchConfidence: slot.matchConfidence || 0,
         id: `augment_${index}`
       });
     });
@@ -190,6 +264,29 @@ class SimpleCvProcessor {
     return elements;
   }
 
+  /**
+   * Identify augments in slot candidates when icon templates are available
+   * Without a ready recognizer the raw candidates are returned unchanged
+   * @param {Uint8Array} grayData - Grayscale image data
+   * @param {number} width - Image width
+   * @param {number} height - Image height
+   * @param {Array} candidates - Rectangular slot candidates
+   * @returns {Array} Recognized slots (with key) or raw candidates
+   */
+  recognizeAugmentSlots(grayData, width, height, candidates) {
+    if (!this.augmentRecognizer || !this.augmentRecognizer.isReady()) {
+      return candidates;
+    }
+
+    // Collapse overlapping sliding-window hits before matching every template
+    const distinctCandidates = RegionUtils.suppressOverlaps(
+      candidates,
+      CONFIG.CV.MAX_AUGMENT_CANDIDATES
+    );
+
+    return this.augmentRecognizer.recognizeCandidates(grayData, width, height, distinctCandidates);
+  }
+
   /**
    * Detect champion slots in shop area
    * @param {Uint8Array} grayData - Grayscale image data
@@ -200,22 +297,20 @@ class SimpleCvProcessor {
   detectChampionSlots(grayData, width, height) {
     const elements = [];
     
-    // Champions typically appear in bottom area (shop)
-    const searchArea = {
-      x: Math.round(width * 0.2),
-      y: Math.round(height * 0.7),
-      width: Math.round(width * 0.6),
-      height: Math.round(height * 0.25)
-    };
+    const searchAreas = this.getSearchAreas('CHAMPIONS', width, height,
+      CONFIG.TFT_REGIONS.CHAMPIONS.map(region => RegionUtils.scaleToFrame(region, width, height))
+    );
 
     // Look for champion-sized rectangular regions
-    const candidates = this.findRectangularRegions(grayData, width, height, searchArea, {
-      minWidth: 50,
-      maxWidth: 80,
-      minHeight: 50,
-      maxHeight: 80,
-      threshold: 0.6
-    });
+    const candidates = searchAreas.flatMap(searchArea =>
+      this.findRectangularRegions(grayData, width, height, searchArea, {
+        minWidth: 50,
+        maxWidth: 80,
+        minHeight: 50,
+        maxHeight: 80,
+        threshold: 0.6
+      })
+    );
 
     candidates.forEach((candidate, index) => {
       elements.push({
@@ -225,7 +320,6 @@ class SimpleCvProcessor {
         width: candidate.width,
         height: candidate.height,
         confidence: candidate.confidence,
-        cost: this.estimateChampionCost(candidate),
         id: `champion_${index}`
       });
     });
@@ -234,22 +328,19 @@ class SimpleCvProcessor {
   }
 
   /**
-   * Detect shop area
+   * Detect shop area and read the champion cards in it
    * @param {Uint8Array} grayData - Grayscale image data
    * @param {number} width - Image width
    * @param {number} height - Image height
-   * @returns {Array} Detected shop elements
+   * @param {ImageData} imageData - RGBA image data, for card border colors
+   * @returns {Array} Detected shop and shop slot elements
    */
-  detectShopArea(grayData, width, height) {
+  detectShopArea(grayData, width, height, imageData) {
     const elements = [];
     
-    // Shop area is typically at the bottom of the screen
-    const shopArea = {
-      x: Math.round(width * 0.15),
-      y: Math.round(height * 0.75),
-      width: Math.round(width * 0.7),
-      height: Math.round(height * 0.2)
-    };
+    const [shopArea] = this.getSearchAreas('SHOP', width, height,
+      CONFIG.TFT_REGIONS.SHOP.map(region => RegionUtils.scaleToFrame(region, width, height))
+    );
 
     // Check if this area has the characteristic shop pattern
     const confidence = this.analyzeShopPattern(grayData, width, height, shopArea);
@@ -266,42 +357,127 @@ class SimpleCvProcessor {
       });
     }
 
+    if (this.shopReader && imageData) {
+      elements.push(...this.shopReader.read(imageData, grayData, width, height, shopArea));
+    }
+
     return elements;
   }
 
   /**
-   * Detect gold indicator
+   * Read the gold count above the shop
    * @param {Uint8Array} grayData - Grayscale image data
    * @param {number} width - Image width
    * @param {number} height - Image height
-   * @returns {Array} Detected gold elements
+   * @returns {Array} Gold elements with the read value
    */
   detectGoldIndicator(grayData, width, height) {
-    const elements = [];
-    
-    // Gold indicator typically in top-left or bottom-left
-    const searchAreas = [
-      { x: 0, y: 0, width: Math.round(width * 0.3), height: Math.round(height * 0.2) },
-      { x: 0, y: Math.round(height * 0.8), width: Math.round(width * 0.3), height: Math.round(height * 0.2) }
-    ];
-
-    searchAreas.forEach((area, areaIndex) => {
-      const goldRegions = this.findBrightRegions(grayData, width, height, area);
-      
-      goldRegions.forEach((region, index) => {
-        elements.push({
-          type: 'gold',
-          x: region.x,
-          y: region.y,
-          width: region.width,
-          height: region.height,
-          confidence: region.confidence,
-          id: `gold_${areaIndex}_${index}`
-        });
-      });
-    });
+    if (!this.hudReader) {
+      return [];
+    }
 
-    return elements;
+    const searchAreas = this.getSearchAreas('GOLD', width, height,
+      CONFIG.TFT_REGIONS.GOLD.map(region => RegionUtils.scaleToFrame(region, width, height))
+    );
+
+    return searchAreas
+      .map(area => this.hudReader.readGold(grayData, width, height, area))
+      .filter(Boolean);
+  }
+
+  /**
+   * Read the stage, level, XP and health readouts
+   * @param {Uint8Array} grayData - Grayscale image data
+   * @param {number} width - Image width
+   * @param {number} height - Image height
+   * @returns {Array} HUD elements with field and value
+   */
+  detectHudReadout(grayData, width, height) {
+    if (!this.hudReader) {
+      return [];
+    }
+
+    const searchAreas = this.getSearchAreas('HUD', width, height,
+      CONFIG.TFT_REGIONS.HUD.map(region => RegionUtils.scaleToFrame(region, width, height))
+    );
+
+    return this.hudReader.readHud(grayData, width, height, searchAreas);
+  }
+
+  /**
+   * Use a channel's calibrated regions instead of the built-in search areas
+   * @param {object|null} regions - Normalized regions keyed by group, or null to reset
+   */
+  setCalibratedRegions(regions) {
+    this.calibratedRegions = regions;
+  }
+
+  /**
+   * Choose which detectors run, e.g. to skip a HUD element a channel hides
+   * @param {object|null} detectors - Map of detector name to enabled flag, or null for all
+   */
+  setEnabledDetectors(detectors) {
+    this.enabledDetectors = detectors;
+  }
+
+  /**
+   * Check if a detector should run
+   * @param {string} name - Detector name, e.g. 'augments'
+   * @returns {boolean} Whether the detector is enabled
+   */
+  isDetectorEnabled(name) {
+    return !this.enabledDetectors || this.enabledDetectors[name] !== false;
+  }
+
+  /**
+   * Get the frame-pixel search areas for a region group
+   * @param {string} group - Region group, e.g. 'AUGMENTS'
+   * @param {number} width - Frame width
+   * @param {number} height - Frame height
+   * @param {Array} fallbackAreas - Areas used when the group is not calibrated
+   * @returns {Array} Search areas in frame pixels
+   */
+  getSearchAreas(group, width, height, fallbackAreas) {
+    const calibrated = this.calibratedRegions?.[group];
+    const areas = calibrated && calibrated.length > 0
+      ? calibrated.map(region => RegionUtils.denormalize(region, width, height))
+      : fallbackAreas;
+
+    this.lastSearchAreas.push(...areas.map(area => ({ ...area, group })));
+    return areas;
+  }
+
+  /**
+   * Get the frame-pixel area of a region group's first region, calibrated or built-in
+   * Unlike getSearchAreas, the area is not shown in the debug view
+   * @param {string} group - Region group, e.g. 'SHOP'
+   * @param {number} width - Frame width
+   * @param {number} height - Frame height
+   * @returns {object} Area in frame pixels
+   */
+  getRegionArea(group, width, height) {
+    const [calibrated] = this.calibratedRegions?.[group] || [];
+    return calibrated
+      ? RegionUtils.denormalize(calibrated, width, height)
+      : RegionUtils.scaleToFrame(CONFIG.TFT_REGIONS[group][0], width, height);
+  }
+
+  /**
+   * Detect active traits in the trait tracker on the left of the HUD
+   * @param {Uint8Array} grayData - Grayscale image data
+   * @param {number} width - Image width
+   * @param {number} height - Image height
+   * @returns {Array} Detected trait elements with key and unit count
+   */
+  detectTraitTracker(grayData, width, height) {
+    if (!this.traitRecognizer || !this.traitRecognizer.isReady()) {
+      return [];
+    }
+
+    const [searchArea] = this.getSearchAreas('TRAITS', width, height, [
+      RegionUtils.scaleToFrame(CONFIG.TFT_REGIONS.TRAITS[0], width, height)
+    ]);
+    return this.traitRecognizer.detect(grayData, width, height, searchArea);
   }
 
   /**
@@ -406,65 +582,6 @@ class SimpleCvProcessor {
     return totalChecks > 0 ? Math.min((horizontalEdges / totalChecks) * 1.5, 1.0) : 0;
   }
 
-  /**
-   * Find bright regions (for gold detection)
-   * @param {Uint8Array} grayData - Grayscale data
-   * @param {number} width - Image width
-   * @param {number} height - Image height
-   * @param {object} area - Search area
-   * @returns {Array} Bright regions
-   */
-  findBrightRegions(grayData, width, height, area) {
-    const regions = [];
-    
-    for (let y = area.y; y < area.y + area.height - 20; y += 10) {
-      for (let x = area.x; x < area.x + area.width - 20; x += 10) {
-        
-        // Check brightness in small region
-        let brightness = 0;
-        let pixels = 0;
-        
-        for (let ry = y; ry < y + 20 && ry < height; ry++) {
-          for (let rx = x; rx < x + 20 && rx < width; rx++) {
-            brightness += grayData[ry * width + rx];
-            pixels++;
-          }
-        }
-        
-        const avgBrightness = pixels > 0 ? brightness / pixels : 0;
-        
-        // Gold indicators are typically bright yellow/white
-        if (avgBrightness > 200) {
-          regions.push({
-            x: x,
-            y: y,
-            width: 20,
-            height: 20,
-            confidence: Math.min(avgBrightness / 255, 1.0)
-          });
-        }
-      }
-    }
-    
-    return regions;
-  }
-
-  /**
-   * Estimate champion cost based on visual features
-   * @param {object} candidate - Champion candidate
-   * @returns {number} Estimated cost (1-5)
-   */
-  estimateChampionCost(candidate) {
-    // Simple heuristic based on position and confidence
-    // In a real implementation, this would analyze color patterns
-    
-    if (candidate.confidence > 0.9) return 5;
-    if (candidate.confidence > 0.8) return 4;
-    if (candidate.confidence > 0.7) return 3;
-    if (candidate.confidence > 0.6) return 2;
-    return 1;
-  }
-
   /**
    * Check if processor is ready
    * @returns {boolean} Always true for simple processor
@@ -482,6 +599,9 @@ class SimpleCvProcessor {
       isReady: this.isReady(),
       lastProcessTime: this.lastProcessTime,
       cacheSize: this.detectionCache.size,
+      augmentRecognizer: this.augmentRecognizer ? this.augmentRecognizer.getStats() : null,
+      traitRecognizer: this.traitRecognizer ? this.traitRecognizer.getStats() : null,
+      shopReader: this.shopReader ? this.shopReader.getStats() : null,
       type: 'Simple CV Processor'
     };
   }
@@ -0,0 +1,287 @@
+/**
+ * Site Adapters
+ * What the extension needs to know about each streaming site: where the
+ * player, title, category and ad markers are, and how channels, VODs and
+ * clips show up in URLs. Everything else works the same on every site
+ */
+
+/**
+ * Adapter for one site, driven by its CONFIG section (e.g. CONFIG.TWITCH)
+ * Subclasses read channel IDs and playback from the site's URLs
+ */
+class SiteAdapter {
+  /**
+   * @param {object} siteConfig - Site section of CONFIG
+   */
+  constructor(siteConfig) {
+    this.config = siteConfig;
+  }
+
+  /**
+   * Get the site's display name
+   * @returns {string} e.g. 'Twitch'
+   */
+  getName() {
+    return this.config.NAME;
+  }
+
+  /**
+   * Check if a page host belongs to this site
+   * @param {string} hostname - e.g. window.location.hostname
+   * @returns {boolean} Whether the site serves this host
+   */
+  matchesHost(hostname) {
+    return this.config.HOSTS.includes(hostname);
+  }
+
+  /**
+   * Selectors to try for the video element, most specific first
+   * @returns {Array<string>} Selectors
+   */
+  getVideoSelectors() {
+    return this.config.VIDEO_SELECTORS;
+  }
+
+  /**
+   * Selectors of the player wrapper the overlay is placed in, most specific first
+   * @returns {Array<string>} Selectors
+   */
+  getPlayerContainerSelectors() {
+    return this.config.PLAYER_CONTAINER_SELECTORS;
+  }
+
+  /**
+   * @returns {string} Selector of the stream title
+   */
+  getTitleSelector() {
+    return this.config.STREAM_TITLE_SELECTOR;
+  }
+
+  /**
+   * @returns {string} Selector of the stream's game category
+   */
+  getCategorySelector() {
+    return this.config.GAME_LINK_SELECTOR;
+  }
+
+  /**
+   * @returns {string} Selector matching while an ad plays; empty if the site has no ads
+   */
+  getAdSelector() {
+    return this.config.AD_SELECTORS.join(', ');
+  }
+
+  /**
+   * Check if the URL is a stream, VOD or clip page
+   * @returns {boolean} Whether the page shows a video
+   */
+  isVideoUrl() {
+    return false;
+  }
+
+  /**
+   * Get the ID of the channel the page belongs to
+   * @returns {string|null} Channel ID or null if unknown
+   */
+  getChannelId() {
+    return this.getChannelFromLink();
+  }
+
+  /**
+   * Get what kind of playback the page shows
+   * @param {string|null} currentChannel - Channel ID, used as the id of live streams
+   * @returns {object} Playback {type, id}: type is 'live', 'vod' or 'clip';
+   *   id is the VOD id, the clip id or the channel
+   */
+  getPlayback(currentChannel) {
+    return { type: 'live', id: currentChannel };
+  }
+
+  /**
+   * Read the channel from the channel link next to the player
+   * @protected
+   */
+  getChannelFromLink() {
+    const channelLink = document.querySelector(this.config.CHANNEL_LINK_SELECTOR);
+    const linkSegment = channelLink?.getAttribute('href')?.split('/').filter(Boolean)[0];
+    return linkSegment ? linkSegment.toLowerCase() : null;
+  }
+
+  /**
+   * Check if the page has the site's player wrapper
+   * @protected
+   */
+  hasPlayerContainer() {
+    return this.getPlayerContainerSelectors().some(selector => document.querySelector(selector));
+  }
+
+  /**
+   * Non-empty segments of the page path
+   * @protected
+   */
+  getPathSegments() {
+    return window.location.pathname.split('/').filter(Boolean);
+  }
+}
+
+/**
+ * twitch.tv: /<channel>, /videos/<id>, /<channel>/clip/<slug> and clips.twitch.tv/<slug>
+ */
+class TwitchAdapter extends SiteAdapter {
+  isVideoUrl() {
+    const url = window.location.href;
+    return url.includes('/videos/') || url.includes('/clip/') || this.isClipsHost();
+  }
+
+  /**
+   * Channel pages use the first path segment; VODs and other pages fall
+   * back to the channel link in the stream info panel
+   * @returns {string|null} Lowercase channel login
+   */
+  getChannelId() {
+    const [firstSegment] = this.getPathSegments();
+    if (firstSegment && !this.isClipsHost() && !this.config.RESERVED_PATHS.includes(firstSegment.toLowerCase())) {
+      return firstSegment.toLowerCase();
+    }
+
+    return this.getChannelFromLink();
+  }
+
+  getPlayback(currentChannel) {
+    const segments = this.getPathSegments();
+
+    if (this.isClipsHost()) {
+      return { type: 'clip', id: segments[0] || null };
+    }
+    if (segments[0] === 'videos' && segments[1]) {
+      return { type: 'vod', id: segments[1] };
+    }
+    if (segments[1] === 'clip' && segments[2]) {
+      return { type: 'clip', id: segments[2] };
+    }
+
+    return { type: 'live', id: currentChannel };
+  }
+
+  /**
+   * Clip pages whose first path segment is the clip, not the channel
+   * @private
+   */
+  isClipsHost() {
+    return window.location.hostname === this.config.CLIPS_HOST;
+  }
+}
+
+/**
+ * youtube.com: /watch?v=<id> for streams and VODs alike, /live/<id>, /@<handle>/live and /clip/<id>
+ */
+class YouTubeAdapter extends SiteAdapter {
+  isVideoUrl() {
+    const segments = this.getPathSegments();
+    return window.location.pathname === '/watch' ||
+      ['live', 'clip'].includes(segments[0]) ||
+      (segments[0]?.startsWith('@') && segments[1] === 'live');
+  }
+
+  /**
+   * Channel pages start with the @handle; watch pages link to it under the player
+   * @returns {string|null} Lowercase @handle
+   */
+  getChannelId() {
+    const [firstSegment] = this.getPathSegments();
+    if (firstSegment?.startsWith('@')) {
+      return firstSegment.toLowerCase();
+    }
+
+    return this.getChannelFromLink();
+  }
+
+  getPlayback(currentChannel) {
+    const segments = this.getPathSegments();
+
+    if (segments[0] === 'clip' && segments[1]) {
+      return { type: 'clip', id: segments[1] };
+    }
+
+    // Live streams and VODs share the watch URL; only the player tells them apart
+    const videoId = new URLSearchParams(window.location.search).get('v') ||
+      (segments[0] === 'live' ? segments[1] : null);
+    if (videoId && !document.querySelector(this.config.LIVE_BADGE_SELECTOR)) {
+      return { type: 'vod', id: videoId };
+    }
+
+    return { type: 'live', id: currentChannel };
+  }
+}
+
+/**
+ * kick.com: /<channel>, /<channel>/videos/<id>, /video/<id>, /<channel>/clips/<id> and /<channel>?clip=<id>
+ */
+class KickAdapter extends SiteAdapter {
+  isVideoUrl() {
+    const [firstSegment, secondSegment] = this.getPathSegments();
+    if (firstSegment === 'video') {
+      return !!secondSegment;
+    }
+
+    // Any unreserved first segment may be a channel; only channel pages have the player
+    return !!firstSegment && !this.isReservedPath(firstSegment) && this.hasPlayerContainer();
+  }
+
+  /**
+   * Channel pages use the first path segment, marked as Kick so a channel
+   * doesn't share its profile with a Twitch channel of the same name
+   * @returns {string|null} e.g. 'kick:channel'
+   */
+  getChannelId() {
+    const [firstSegment] = this.getPathSegments();
+    const channel = firstSegment && !this.isReservedPath(firstSegment)
+      ? firstSegment.toLowerCase()
+      : this.getChannelFromLink();
+
+    return channel ? `kick:${channel}` : null;
+  }
+
+  getPlayback(currentChannel) {
+    const segments = this.getPathSegments();
+    const clipId = new URLSearchParams(window.location.search).get('clip');
+
+    if (clipId) {
+      return { type: 'clip', id: clipId };
+    }
+    if (segments[1] === 'clips' && segments[2]) {
+      return { type: 'clip', id: segments[2] };
+    }
+    if (segments[0] === 'video' && segments[1]) {
+      return { type: 'vod', id: segments[1] };
+    }
+    if (segments[1] === 'videos' && segments[2]) {
+      return { type: 'vod', id: segments[2] };
+    }
+
+    return { type: 'live', id: currentChannel };
+  }
+
+  /**
+   * @private
+   */
+  isReservedPath(segment) {
+    return this.config.RESERVED_PATHS.includes(segment.toLowerCase());
+  }
+}
+
+// Twitch first: it is the fallback on pages of no supported site
+const SITE_ADAPTERS = [
+  new TwitchAdapter(CONFIG.TWITCH),
+  new YouTubeAdapter(CONFIG.YOUTUBE),
+  new KickAdapter(CONFIG.KICK)
+];
+
+/**
+ * Find the adapter for a page host
+ * @param {string} hostname - e.g. window.location.hostname
+ * @returns {SiteAdapter|null} Matching adapter, or null on unsupported sites
+ */
+function findSiteAdapter(hostname) {
+  return SITE_ADAPTERS.find(adapter => adapter.matchesHost(hostname)) || null;
+}
@@ -0,0 +1,159 @@
+/**
+ * Stream Status Observer
+ * Watches the stream's game category link and title, Twitch's ad overlay and
+ * in-page navigations, so the TFT status is rechecked as soon as it can change
+ */
+
+class StreamStatusObserver {
+  /**
+   * @param {SiteAdapter} siteAdapter - Adapter with the selectors to watch
+   */
+  constructor(siteAdapter) {
+    this.siteAdapter = siteAdapter;
+    this.onChange = null;
+    this.watchedNodes = new Map(); // selector -> node currently observed, null while absent
+    this.nodeObserver = null; // text and link changes inside the watched nodes
+    this.pageObserver = null; // notices when Twitch re-renders the watched nodes
+    this.changeTimer = null;
+    this.handleNavigation = this.handleNavigation.bind(this);
+  }
+
+  /**
+   * Start watching
+   * @param {Function} onChange - Called with 'navigation' right after the page
+   *   navigates, or 'mutation' once the category, title or ad overlay has settled after a change
+   */
+  start(onChange) {
+    if (this.onChange) {
+      logger.warn('Stream status observer already running');
+      return;
+    }
+
+    this.onChange = onChange;
+    this.nodeObserver = new MutationObserver(() => this.scheduleChange());
+    this.pageObserver = new MutationObserver(mutations => {
+      if (this.hasStaleNodes(mutations)) {
+        this.refreshWatchedNodes();
+      }
+    });
+    this.pageObserver.observe(document.body, { childList: true, subtree: true });
+
+    window.addEventListener(CONFIG.STREAM_MONITORING.NAVIGATION_EVENT, this.handleNavigation);
+    window.addEventListener('popstate', this.handleNavigation);
+
+    this.refreshWatchedNodes();
+  }
+
+  /**
+   * Stop watching
+   */
+  stop() {
+    if (!this.onChange) return;
+
+    window.removeEventListener(CONFIG.STREAM_MONITORING.NAVIGATION_EVENT, this.handleNavigation);
+    window.removeEventListener('popstate', this.handleNavigation);
+    this.nodeObserver.disconnect();
+    this.pageObserver.disconnect();
+    clearTimeout(this.changeTimer);
+
+    this.nodeObserver = null;
+    this.pageObserver = null;
+    this.changeTimer = null;
+    this.watchedNodes.clear();
+    this.onChange = null;
+  }
+
+  /**
+   * Report a navigation straight away; the new page's category and title
+   * are reported as mutations once Twitch renders them
+   * @private
+   */
+  handleNavigation() {
+    logger.debug('Page navigated', { url: window.location.href });
+    this.refreshWatchedNodes();
+    this.notify('navigation');
+  }
+
+  /**
+   * Check if a watched node was removed from the page, or a missing one was added
+   * Selectors without a node (e.g. no ad running) only count when the page adds
+   * a match, so page updates elsewhere don't query every selector again
+   * @param {Array<MutationRecord>} mutations - Page mutations
+   * @private
+   */
+  hasStaleNodes(mutations) {
+    return [...this.watchedNodes].some(([selector, node]) => {
+      if (node) {
+        return !node.isConnected;
+      }
+
+      return mutations.some(mutation => Array.from(mutation.addedNodes).some(added =>
+        added.nodeType === Node.ELEMENT_NODE && (added.matches(selector) || added.querySelector(selector))
+      ));
+    });
+  }
+
+  /**
+   * Observe the current category, title and ad nodes
+   * @private
+   */
+  refreshWatchedNodes() {
+    const nodes = new Map(this.getSelectors().map(selector => [selector, document.querySelector(selector)]));
+
+    const changed = nodes.size !== this.watchedNodes.size ||
+      [...nodes].some(([selector, node]) => this.watchedNodes.get(selector) !== node);
+    if (!changed) return;
+
+    this.watchedNodes = nodes;
+    this.nodeObserver.disconnect();
+    nodes.forEach(node => {
+      if (!node) return;
+      this.nodeObserver.observe(node, {
+        childList: true,
+        subtree: true,
+        characterData: true,
+        attributes: true,
+        attributeFilter: ['href']
+      });
+    });
+
+    // Fresh nodes usually mean fresh stream info
+    this.scheduleChange();
+  }
+
+  /**
+   * Report a mutation once changes stop arriving
+   * @private
+   */
+  scheduleChange() {
+    clearTimeout(this.changeTimer);
+    this.changeTimer = setTimeout(() => {
+      this.changeTimer = null;
+      this.notify('mutation');
+    }, CONFIG.STREAM_MONITORING.MUTATION_DEBOUNCE);
+  }
+
+  /**
+   * Call the change callback
+   * @private
+   */
+  notify(reason) {
+    try {
+      this.onChange?.(reason);
+    } catch (error) {
+      logger.error('Error handling stream status change', error);
+    }
+  }
+
+  /**
+   * Selectors of the nodes whose content decides the TFT status, or that mark an ad
+   * @private
+   */
+  getSelectors() {
+    return [
+      this.siteAdapter.getCategorySelector(),
+      this.siteAdapter.getTitleSelector(),
+      this.siteAdapter.getAdSelector()
+    ].filter(Boolean);
+  }
+}
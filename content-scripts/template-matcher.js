@@ -0,0 +1,224 @@
+/**
+ * Template Matcher
+ * Compares grayscale frame regions against icon templates
+ * using normalized cross-correlation (NCC)
+ */
+
+class TemplateMatcher {
+  constructor(sampleSize = CONFIG.CV.TEMPLATE_SAMPLE_SIZE) {
+    this.sampleSize = sampleSize;
+    this.templates = [];
+  }
+
+  /**
+   * Load a template image from a URL and register it
+   * @param {string} key - Identifier returned when the template matches
+   * @param {string} url - Image URL (extension resource)
+   * @returns {Promise<boolean>} Whether the template was loaded
+   */
+  async loadTemplate(key, url) {
+    try {
+      const response = await fetch(url);
+      if (!response.ok) {
+        throw new Error(`Failed to load template image: ${response.status}`);
+      }
+
+      const bitmap = await createImageBitmap(await response.blob());
+      const canvas = document.createElement('canvas');
+      canvas.width = bitmap.width;
+      canvas.height = bitmap.height;
+
+      const ctx = canvas.getContext('2d');
+      ctx.drawImage(bitmap, 0, 0);
+      const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
+      bitmap.close();
+
+      this.addTemplate(key, imageData);
+      return true;
+    } catch (error) {
+      logger.debug('Template could not be loaded', { key, url, error: error.message });
+      return false;
+    }
+  }
+
+  /**
+   * Register a template from raw RGBA image data
+   * @param {string} key - Identifier returned when the template matches
+   * @param {ImageData|object} imageData - Object with data, width and height
+   */
+  addTemplate(key, imageData) {
+    const { data, width, height } = imageData;
+    const grayData = new Uint8Array(width * height);
+
+    for (let i = 0; i < grayData.length; i++) {
+      const offset = i * 4;
+      // Composite transparent pixels onto black, like icons drawn on the dark TFT HUD
+      const alpha = data[offset + 3] / 255;
+      const luminance = 0.299 * data[offset] + 0.587 * data[offset + 1] + 0.114 * data[offset + 2];
+      grayData[i] = Math.round(luminance * alpha);
+    }
+
+    const region = { x: 0, y: 0, width, height };
+    const vector = this.samplePatch(grayData, width, height, region);
+    if (vector) {
+      this.templates.push({ key, vector });
+    }
+  }
+
+  /**
+   * Resample a region to sampleSize x sampleSize and normalize it
+   * Box-averages source pixels into each cell, then subtracts the mean and
+   * divides by the norm so a dot product between two patches is their NCC
+   * @param {Uint8Array} grayData - Grayscale image data
+   * @param {number} width - Image width
+   * @param {number} height - Image height
+   * @param {object} region - Region to sample {x, y, width, height}
+   * @returns {Float32Array|null} Normalized vector, or null for flat regions
+   */
+  samplePatch(grayData, width, height, region) {
+    const size = this.sampleSize;
+    const vector = new Float32Array(size * size);
+    const cellWidth = region.width / size;
+    const cellHeight = region.height / size;
+    let sum = 0;
+
+    for (let cy = 0; cy < size; cy++) {
+      const y0 = Math.floor(region.y + cy * cellHeight);
+      const y1 = Math.max(y0 + 1, Math.floor(region.y + (cy + 1) * cellHeight));
+
+      for (let cx = 0; cx < size; cx++) {
+        const x0 = Math.floor(region.x + cx * cellWidth);
+        const x1 = Math.max(x0 + 1, Math.floor(region.x + (cx + 1) * cellWidth));
+        const value = this.averageCell(grayData, width, height, x0, y0, x1, y1);
+
+        vector[cy * size + cx] = value;
+        sum += value;
+      }
+    }
+
+    return this.normalizeVector(vector, sum);
+  }
+
+  /**
+   * Average pixel value of a cell, clamped to the image bounds
+   * @returns {number} Mean gray value
+   */
+  averageCell(grayData, width, height, x0, y0, x1, y1) {
+    let total = 0;
+    let count = 0;
+
+    for (let y = Math.max(0, y0); y < Math.min(height, y1); y++) {
+      for (let x = Math.max(0, x0); x < Math.min(width, x1); x++) {
+        total += grayData[y * width + x];
+        count++;
+      }
+    }
+
+    return count > 0 ? total / count : 0;
+  }
+
+  /**
+   * Zero-mean, unit-norm a sampled vector in place
+   * @param {Float32Array} vector - Sampled values
+   * @param {number} sum - Sum of the sampled values
+   * @returns {Float32Array|null} Normalized vector, or null if it has no contrast
+   */
+  normalizeVector(vector, sum) {
+    const mean = sum / vector.length;
+    let squaredSum = 0;
+
+    for (let i = 0; i < vector.length; i++) {
+      vector[i] -= mean;
+      squaredSum += vector[i] * vector[i];
+    }
+
+    const norm = Math.sqrt(squaredSum);
+    // A flat patch correlates equally badly with everything
+    if (norm < 1e-6) {
+      return null;
+    }
+
+    for (let i = 0; i < vector.length; i++) {
+      vector[i] /= norm;
+    }
+
+    return vector;
+  }
+
+  /**
+   * Find the best matching template for a frame region
+   * Tries several scales around the region center, since candidate boxes
+   * from the slot detectors rarely fit the icon exactly
+   * @param {Uint8Array} grayData - Grayscale frame data
+   * @param {number} width - Frame width
+   * @param {number} height - Frame height
+   * @param {object} region - Candidate region {x, y, width, height}
+   * @returns {object|null} Best match {key, confidence} or null
+   */
+  match(grayData, width, height, region) {
+    let bestMatch = null;
+
+    for (const scale of CONFIG.CV.TEMPLATE_SCALES) {
+      const scaledRegion = this.scaleRegion(region, scale);
+      const patch = this.samplePatch(grayData, width, height, scaledRegion);
+      if (!patch) continue;
+
+      for (const template of this.templates) {
+        const score = this.correlate(patch, template.vector);
+        if (!bestMatch || score > bestMatch.confidence) {
+          bestMatch = { key: template.key, confidence: score };
+        }
+      }
+    }
+
+    if (bestMatch) {
+      bestMatch.confidence = Math.min(Math.max(0, bestMatch.confidence), 1.0);
+    }
+
+    return bestMatch;
+  }
+
+  /**
+   * Scale a region around its center
+   * @param {object} region - Region to scale
+   * @param {number} scale - Scale factor
+   * @returns {object} Scaled region
+   */
+  scaleRegion(region, scale) {
+    const scaledWidth = region.width * scale;
+    const scaledHeight = region.height * scale;
+
+    return {
+      x: region.x + (region.width - scaledWidth) / 2,
+      y: region.y + (region.height - scaledHeight) / 2,
+      width: scaledWidth,
+      height: scaledHeight
+    };
+  }
+
+  /**
+   * Dot product of two normalized vectors (their NCC score, -1 to 1)
+   */
+  correlate(a, b) {
+    let score = 0;
+    for (let i = 0; i < a.length; i++) {
+      score += a[i] * b[i];
+    }
+    return score;
+  }
+
+  /**
+   * Number of registered templates
+   * @returns {number} Template count
+   */
+  getTemplateCount() {
+    return this.templates.length;
+  }
+
+  /**
+   * Remove all templates
+   */
+  clear() {
+    this.templates = [];
+  }
+}
@@ -0,0 +1,85 @@
+/**
+ * TFT Signal Voter
+ * Combines the stream's category, its title and the HUD seen in recent frames
+ * into one confidence that the stream is showing TFT
+ */
+
+// How much each signal counts when it has a vote
+const TFT_SIGNAL_WEIGHTS = {
+  category: 0.3,
+  title: 0.2,
+  visual: 0.5
+};
+
+class TftSignalVoter {
+  constructor() {
+    this.metadata = { category: null, title: null };
+    this.visualScores = [];
+  }
+
+  /**
+   * Record the stream metadata signals
+   * @param {object} signals - {category, title}: true/false, or null when the signal is unavailable
+   */
+  setMetadata(signals) {
+    this.metadata = { ...this.metadata, ...signals };
+  }
+
+  /**
+   * Record a frame's HUD layout score
+   * @param {number} score - Score from HudLayoutClassifier, 0-1
+   */
+  addVisualScore(score) {
+    this.visualScores.push(score);
+    if (this.visualScores.length > CONFIG.STREAM_MONITORING.VISUAL_HISTORY_FRAMES) {
+      this.visualScores.shift();
+    }
+  }
+
+  /**
+   * Forget the frames seen so far, e.g. after switching streams
+   */
+  resetVisual() {
+    this.visualScores = [];
+  }
+
+  /**
+   * Get each signal's vote
+   * A title without TFT keywords abstains, since most titles don't name the game
+   * @returns {object} Votes {category, title, visual}, each 0-1 or null when abstaining
+   */
+  getVotes() {
+    const { category, title } = this.metadata;
+    return {
+      category: category === null ? null : Number(category),
+      title: title ? 1 : null,
+      visual: this.visualScores.length > 0
+        ? this.visualScores.reduce((sum, score) => sum + score, 0) / this.visualScores.length
+        : null
+    };
+  }
+
+  /**
+   * Get the combined confidence, weighting only the signals that vote
+   * @returns {number} Confidence 0-1 (0 when nothing votes)
+   */
+  getConfidence() {
+    let weighted = 0;
+    let totalWeight = 0;
+    Object.entries(this.getVotes()).forEach(([signal, vote]) => {
+      if (vote === null) return;
+      weighted += vote * TFT_SIGNAL_WEIGHTS[signal];
+      totalWeight += TFT_SIGNAL_WEIGHTS[signal];
+    });
+
+    return totalWeight > 0 ? weighted / totalWeight : 0;
+  }
+
+  /**
+   * Check if the signals agree the stream is TFT
+   * @returns {boolean} Whether the confidence reaches the threshold
+   */
+  isTft() {
+    return this.getConfidence() >= CONFIG.STREAM_MONITORING.TFT_CONFIDENCE_THRESHOLD;
+  }
+}
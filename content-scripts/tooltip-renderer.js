@@ -0,0 +1,122 @@
+/**
+ * Tooltip Renderer
+ * Renders the information card shown when hovering a detected element
+ */
+
+class TooltipRenderer {
+  constructor() {
+    this.tooltipElement = null;
+  }
+
+  /**
+   * Attach the tooltip element to a container
+   * @param {HTMLElement} container - Positioned container for the tooltip
+   */
+  attach(container) {
+    this.detach();
+
+    this.tooltipElement = document.createElement('div');
+    this.tooltipElement.className = 'tft-tooltip';
+    this.tooltipElement.style.zIndex = CONFIG.OVERLAY.Z_INDEX + 1;
+    this.tooltipElement.style.maxWidth = `${CONFIG.OVERLAY.MAX_WIDTH}px`;
+    container.appendChild(this.tooltipElement);
+  }
+
+  /**
+   * Show the tooltip next to an anchor rect
+   * @param {object} tooltip - Card data {title, subtitle, description, image, accentColor}
+   * @param {object} anchorRect - Container-relative rect of the hovered hotspot
+   */
+  show(tooltip, anchorRect) {
+    if (!this.tooltipElement || !tooltip) {
+      return;
+    }
+
+    this.tooltipElement.replaceChildren(this.buildCard(tooltip));
+    this.tooltipElement.style.display = 'block';
+    this.positionNextTo(anchorRect);
+  }
+
+  /**
+   * Hide the tooltip
+   */
+  hide() {
+    if (this.tooltipElement) {
+      this.tooltipElement.style.display = 'none';
+    }
+  }
+
+  /**
+   * Build the card content
+   * Text is assigned through textContent so data strings are never parsed as HTML
+   * @param {object} tooltip - Card data
+   * @returns {HTMLElement} Card element
+   */
+  buildCard(tooltip) {
+    const card = document.createElement('div');
+    card.className = 'tft-overlay-content';
+
+    const header = document.createElement('div');
+    header.className = 'tft-tooltip-header';
+
+    if (tooltip.image) {
+      const icon = document.createElement('img');
+      icon.className = 'tft-tooltip-icon';
+      icon.src = tooltip.image;
+      icon.alt = '';
+      header.appendChild(icon);
+    }
+
+    const title = document.createElement('h3');
+    title.textContent = tooltip.title;
+    if (tooltip.accentColor) {
+      title.style.color = tooltip.accentColor;
+    }
+    header.appendChild(title);
+    card.appendChild(header);
+
+    if (tooltip.subtitle) {
+      const subtitle = document.createElement('p');
+      subtitle.className = 'subtitle';
+      subtitle.textContent = tooltip.subtitle;
+      card.appendChild(subtitle);
+    }
+
+    const description = document.createElement('p');
+    description.textContent = tooltip.description || '';
+    card.appendChild(description);
+
+    return card;
+  }
+
+  /**
+   * Place the tooltip right of the anchor, or left of it when it would overflow
+   * @param {object} anchorRect - Container-relative rect of the hotspot
+   */
+  positionNextTo(anchorRect) {
+    const container = this.tooltipElement.parentElement;
+    const containerWidth = container ? container.clientWidth : window.innerWidth;
+    const tooltipWidth = this.tooltipElement.offsetWidth;
+    const gap = 8;
+
+    let left = anchorRect.left + anchorRect.width + gap;
+    if (left + tooltipWidth > containerWidth) {
+      left = Math.max(0, anchorRect.left - tooltipWidth - gap);
+    }
+
+    Object.assign(this.tooltipElement.style, {
+      left: `${left}px`,
+      top: `${Math.max(0, anchorRect.top)}px`
+    });
+  }
+
+  /**
+   * Remove the tooltip element
+   */
+  detach() {
+    if (this.tooltipElement) {
+      this.tooltipElement.remove();
+      this.tooltipElement = null;
+    }
+  }
+}
@@ -0,0 +1,181 @@
+/**
+ * Trait Recognizer
+ * Reads the trait tracker on the left side of the TFT HUD:
+ * matches each trait icon and reads its "N / next" unit counter
+ */
+
+class TraitRecognizer {
+  constructor(traitsManager) {
+    this.traitsManager = traitsManager;
+    this.matcher = new TemplateMatcher();
+    this.digitReader = new DigitReader();
+    this.isLoaded = false;
+    this.loadPromise = null;
+  }
+
+  /**
+   * Load trait icon templates (only runs once)
+   * @returns {Promise<boolean>} Whether templates are available
+   */
+  async loadTemplates() {
+    if (this.loadPromise) {
+      return this.loadPromise;
+    }
+
+    this.loadPromise = this._loadTemplatesInternal();
+    return this.loadPromise;
+  }
+
+  /**
+   * Internal template loading implementation
+   * @private
+   */
+  async _loadTemplatesInternal() {
+    // Unit counters are read with the HUD glyphs
+    await this.digitReader.loadTemplates();
+
+    const dataLoaded = await this.traitsManager.loadData();
+    if (!dataLoaded) {
+      logger.warn('Trait templates skipped - traits data unavailable');
+      return false;
+    }
+
+    const traits = this.traitsManager.getAllTraits().filter(trait => trait.image);
+    const results = await Promise.all(traits.map(trait =>
+      this.matcher.loadTemplate(trait.key, this.traitsManager.getTraitImageUrl(trait))
+    ));
+
+    this.isLoaded = this.matcher.getTemplateCount() > 0;
+
+    logger.info('Trait templates loaded', {
+      loaded: results.filter(Boolean).length,
+      missing: results.filter(loaded => !loaded).length
+    });
+
+    return this.isLoaded;
+  }
+
+  /**
+   * Drop loaded templates and load them again from the current data set
+   * @returns {Promise<boolean>} Whether templates are available
+   */
+  async reloadTemplates() {
+    this.matcher.clear();
+    this.isLoaded = false;
+    this.loadPromise = null;
+    return this.loadTemplates();
+  }
+
+  /**
+   * Check if templates are ready for matching
+   * @returns {boolean} Whether recognition can run
+   */
+  isReady() {
+    return this.isLoaded;
+  }
+
+  /**
+   * Detect traits in the trait tracker
+   * @param {Uint8Array} grayData - Grayscale frame data
+   * @param {number} width - Frame width
+   * @param {number} height - Frame height
+   * @param {object} searchArea - Trait tracker area in frame pixels
+   * @returns {Array} Trait elements {type: 'trait', key, count, ...}
+   */
+  detect(grayData, width, height, searchArea) {
+    if (!this.isLoaded) {
+      return [];
+    }
+
+    const iconMatches = this.findTraitIcons(grayData, width, height, searchArea);
+    const elements = [];
+
+    iconMatches.forEach(iconMatch => {
+      const counter = this.readCounter(grayData, width, height, iconMatch, searchArea);
+      if (!counter) return;
+
+      elements.push({
+        type: 'trait',
+        key: iconMatch.key,
+        count: counter.current,
+        nextLevel: counter.next,
+        x: iconMatch.x,
+        y: iconMatch.y,
+        width: searchArea.x + searchArea.width - iconMatch.x,
+        height: iconMatch.height,
+        confidence: iconMatch.confidence,
+        id: `trait_${iconMatch.key}`
+      });
+    });
+
+    return elements;
+  }
+
+  /**
+   * Slide an icon-sized window down the tracker and match trait icons
+   * Rows are found by matching rather than assuming a fixed offset, since
+   * the tracker starts at different heights depending on the HUD scale
+   * @returns {Array} Icon matches {key, confidence, x, y, width, height}
+   */
+  findTraitIcons(grayData, width, height, searchArea) {
+    const rowHeight = Math.round(height * CONFIG.CV.TRAIT_ROW_HEIGHT);
+    const step = Math.max(1, Math.round(rowHeight / 4));
+    const matches = [];
+
+    for (let y = searchArea.y; y + rowHeight <= searchArea.y + searchArea.height; y += step) {
+      const iconRegion = { x: searchArea.x, y, width: rowHeight, height: rowHeight };
+      const match = this.matcher.match(grayData, width, height, iconRegion);
+
+      if (match && match.confidence >= CONFIG.CV.TRAIT_MATCH_THRESHOLD) {
+        matches.push({ ...iconRegion, key: match.key, confidence: match.confidence });
+      }
+    }
+
+    // Neighbouring window positions hit the same icon; keep the best one per row
+    const rows = RegionUtils.suppressOverlaps(matches, CONFIG.CV.MAX_TRAIT_ROWS);
+    const bestByKey = new Map();
+
+    rows.forEach(row => {
+      const existing = bestByKey.get(row.key);
+      if (!existing || row.confidence > existing.confidence) {
+        bestByKey.set(row.key, row);
+      }
+    });
+
+    return Array.from(bestByKey.values()).sort((a, b) => a.y - b.y);
+  }
+
+  /**
+   * Read the unit counter to the right of a trait icon
+   * @returns {object|null} Counter {current, next} or null if unreadable
+   */
+  readCounter(grayData, width, height, iconMatch, searchArea) {
+    const counterRegion = {
+      x: iconMatch.x + iconMatch.width,
+      y: iconMatch.y,
+      width: Math.min(iconMatch.width * 2, searchArea.x + searchArea.width - iconMatch.x - iconMatch.width),
+      height: iconMatch.height
+    };
+
+    const result = this.digitReader.readText(grayData, width, height, counterRegion);
+    const counter = this.digitReader.parseCounter(result.text);
+
+    if (!counter) {
+      logger.debug('Trait counter unreadable', { key: iconMatch.key, text: result.text });
+      return null;
+    }
+
+    return counter;
+  }
+
+  /**
+   * Get recognizer stats
+   * @returns {object} Template statistics
+   */
+  getStats() {
+    return {
+      isReady: this.isLoaded,
+      templates: this.matcher.getTemplateCount()
+    };
+  }
+}
@@ -4,8 +4,14 @@
  */
 
 class TraitsDataManager {
-  constructor() {
+  /**
+   * @param {object} options - Loading options
+   * @param {boolean} options.viaBackground - Ask the service worker for data (false inside it)
+   */
+  constructor(options = {}) {
+    this.viaBackground = options.viaBackground !== false;
     this.traitsData = null;
+    this.activationData = null;
     this.traitMap = new Map();
     this.activationMap = new Map();
     this.isLoaded = false;
@@ -34,20 +40,18 @@ class TraitsDataManager {
       logger.info('Loading TFT Set 14 traits data...');
 
       // Load main traits data (using verified Community Dragon data)
-      const traitsUrl = chrome.runtime.getURL('assets/traits/tft-set14-traits.json');
-      const traitsResponse = await fetch(traitsUrl);
-      if (!traitsResponse.ok) {
-        throw new Error(`Failed to load traits data: ${traitsResponse.status}`);
-      }
-
-      this.traitsData = await traitsResponse.json();
+      this.traitsData = await GameDataSource.load('traits', this.viaBackground);
 
       // Load activation levels data
-      const activationUrl = chrome.runtime.getURL('assets/traits/traits-activation-levels.json');
-      const activationResponse = await fetch(activationUrl);
-      if (activationResponse.ok) {
-        const activationData = await activationResponse.json();
-        
+      const activationData = await GameDataSource.load('traitActivations', this.viaBackground)
+        .catch(error => {
+          logger.warn('Trait activation levels unavailable', { error: error.message });
+          return null;
+        });
+
+      if (activationData) {
+        this.activationData = activationData;
+
         // Create lookup maps
         this.traitMap.clear();
         this.activationMap.clear();
@@ -78,6 +82,16 @@ class TraitsDataManager {
     }
   }
 
+  /**
+   * Discard loaded data and load it again (e.g. after the data set was swapped)
+   * @returns {Promise<boolean>} Whether data was loaded successfully
+   */
+  async reload() {
+    this.loadPromise = null;
+    this.isLoaded = false;
+    return this.loadData();
+  }
+
   /**
    * Get trait by key
    * @param {string} key - Trait key
@@ -1,23 +1,37 @@
 /**
  * Video Detection Utility
- * Handles finding and validating Twitch video elements
+ * Handles finding and validating the stream's video element
  */
 
 /**
- * Video detector class for managing Twitch video element detection
+ * Video detector class for managing video element detection
+ * Site-specific selectors and URLs come from the adapter of the page's site
  */
 class VideoDetector {
-  constructor() {
+  /**
+   * @param {SiteAdapter|null} siteAdapter - Adapter of the page's site; Twitch's when null
+   */
+  constructor(siteAdapter = findSiteAdapter(window.location.hostname)) {
+    this.siteAdapter = siteAdapter || SITE_ADAPTERS[0];
     this.currentVideo = null;
     this.retryCount = 0;
     this.isMonitoring = false;
     this.lastTftStatus = false;
     this.lastStreamTitle = '';
     this.tftCheckInterval = null;
+    this.currentChannel = null;
+    this.streamStatusObserver = new StreamStatusObserver(this.siteAdapter);
+    this.tftVoter = new TftSignalVoter();
+    this.isHudSeen = false; // Intermissions only count once the game was on screen
+    this.hudMissingFrames = 0;
+    this.isIntermission = false;
+    this.adEndedAt = null;
+    this.adEndTimer = null;
+    this.lastInterruption = null;
   }
 
   /**
-   * Find the main video element on Twitch
+   * Find the main video element on the page
    * @returns {HTMLVideoElement|null} Video element or null if not found
    */
   findVideoElement() {
@@ -25,7 +39,7 @@ class VideoDetector {
       logger.debug('Searching for video element with multiple selectors...');
       
       // Try multiple selectors
-      for (const selector of CONFIG.TWITCH.VIDEO_SELECTORS) {
+      for (const selector of this.siteAdapter.getVideoSelectors()) {
         const videoElement = document.querySelector(selector);
         logger.debug('Trying selector', { selector, found: !!videoElement });
         
@@ -109,37 +123,17 @@ class VideoDetector {
 
   /**
    * Check if current page is a TFT stream
+   * The category and title vote together with the HUD seen in recent frames
    * @returns {boolean} Whether this appears to be a TFT stream
    */
   isTftStream() {
     try {
-      logger.debug('Starting TFT stream detection...');
-      
-      // Method 1: Check game category (most reliable)
-      const gameLink = document.querySelector('[data-a-target="stream-game-link"]');
-      const gameText = gameLink?.textContent?.toLowerCase() || '';
-      const gameHref = gameLink?.href?.toLowerCase() || '';
-      
-      const isTftByCategory = CONFIG.TWITCH.TFT_KEYWORDS.some(keyword => 
-        gameText.includes(keyword) || gameHref.includes(keyword.replace(/\s+/g, '-'))
-      );
-      
-      // Method 2: Check stream title (fallback)
-      const titleElement = document.querySelector(CONFIG.TWITCH.STREAM_TITLE_SELECTOR);
-      const title = titleElement?.textContent?.toLowerCase() || '';
-      
-      const isTftByTitle = CONFIG.TWITCH.TFT_KEYWORDS.some(keyword => 
-        title.includes(keyword)
-      );
-
-      const isTft = isTftByCategory || isTftByTitle;
-
-      logger.info('TFT detection results', {
-        gameText: gameText,
-        gameHref: gameHref,
-        title: title,
-        isTftByCategory: isTftByCategory,
-        isTftByTitle: isTftByTitle,
+      this.tftVoter.setMetadata(this.getMetadataSignals());
+      const isTft = this.tftVoter.isTft();
+
+      logger.debug('TFT detection results', {
+        votes: this.tftVoter.getVotes(),
+        confidence: this.tftVoter.getConfidence(),
         finalResult: isTft
       });
 
@@ -150,6 +144,144 @@ class VideoDetector {
     }
   }
 
+  /**
+   * Get the combined confidence that the current page is a TFT stream
+   * @returns {number} Confidence 0-1
+   */
+  getTftConfidence() {
+    this.tftVoter.setMetadata(this.getMetadataSignals());
+    return this.tftVoter.getConfidence();
+  }
+
+  /**
+   * Record how much a frame looked like the TFT HUD
+   * Once the HUD has been seen, frames without it start an intermission (BRB screen,
+   * scene change); they don't vote on the TFT status, and the HUD's return ends it
+   * @param {number} score - Score from HudLayoutClassifier, 0-1
+   */
+  addVisualScore(score) {
+    // Ad frames say nothing about the stream
+    if (this.isAdPlaying()) return;
+
+    if (score >= CONFIG.STREAM_MONITORING.HUD_VISIBLE_SCORE) {
+      this.isHudSeen = true;
+      this.hudMissingFrames = 0;
+      this.isIntermission = false;
+    } else if (this.isHudSeen) {
+      this.hudMissingFrames++;
+      this.isIntermission = this.hudMissingFrames >= CONFIG.STREAM_MONITORING.INTERMISSION_FRAMES;
+    }
+
+    if (!this.isIntermission) {
+      this.tftVoter.addVisualScore(score);
+    }
+  }
+
+  /**
+   * Check if the site is playing an ad over the stream
+   * @returns {boolean} Whether an ad overlay is on the page
+   */
+  isAdPlaying() {
+    try {
+      const adSelector = this.siteAdapter.getAdSelector();
+      return !!adSelector && !!document.querySelector(adSelector);
+    } catch (error) {
+      logger.error('Error checking for ads', error);
+      return false;
+    }
+  }
+
+  /**
+   * Get what is keeping the game off screen, if anything
+   * An ad counts until AD_DETECTION_DELAY after it ends, while the stream comes back
+   * @returns {string|null} 'ad', 'intermission' or null
+   */
+  getInterruption() {
+    if (this.isAdPlaying()) {
+      this.adEndedAt = null;
+      return 'ad';
+    }
+
+    if (this.lastInterruption === 'ad' && this.adEndedAt === null) {
+      this.adEndedAt = Date.now();
+    }
+    if (this.adEndedAt !== null && Date.now() - this.adEndedAt < CONFIG.STREAM_MONITORING.AD_DETECTION_DELAY) {
+      return 'ad';
+    }
+    this.adEndedAt = null;
+
+    return this.isIntermission ? 'intermission' : null;
+  }
+
+  /**
+   * Check for ads and intermissions and notify when one starts or ends
+   * @param {Function} callback - Callback function
+   */
+  checkInterruption(callback) {
+    try {
+      const interruption = this.getInterruption();
+
+      // Look again once the post-ad delay is over
+      clearTimeout(this.adEndTimer);
+      if (this.adEndedAt !== null) {
+        const remaining = CONFIG.STREAM_MONITORING.AD_DETECTION_DELAY - (Date.now() - this.adEndedAt);
+        this.adEndTimer = setTimeout(() => this.checkInterruption(callback), Math.max(0, remaining));
+      }
+
+      if (interruption === this.lastInterruption) {
+        return;
+      }
+
+      logger.info('Stream interruption changed', { was: this.lastInterruption, now: interruption });
+      this.lastInterruption = interruption;
+
+      if (callback && typeof callback === 'function') {
+        callback(this.currentVideo, { interruptionChanged: true, interruption });
+      }
+    } catch (error) {
+      logger.error('Error checking stream interruption', error);
+    }
+  }
+
+  /**
+   * Forget the HUD history, e.g. after switching channels
+   * @private
+   */
+  resetHudHistory() {
+    this.tftVoter.resetVisual();
+    this.isHudSeen = false;
+    this.hudMissingFrames = 0;
+    this.isIntermission = false;
+  }
+
+  /**
+   * Read the TFT signals from the stream's category and title
+   * @returns {object} Signals {category, title}; category is null when the page has no category link
+   */
+  getMetadataSignals() {
+    // Method 1: Check game category (most reliable)
+    const gameLink = document.querySelector(this.siteAdapter.getCategorySelector());
+    const gameText = gameLink?.textContent?.toLowerCase() || '';
+    const gameHref = gameLink?.href?.toLowerCase() || '';
+
+    const isTftByCategory = CONFIG.STREAM_MONITORING.TFT_KEYWORDS.some(keyword =>
+      gameText.includes(keyword) || gameHref.includes(keyword.replace(/\s+/g, '-'))
+    );
+
+    // Method 2: Check stream title (fallback)
+    const titleElement = document.querySelector(this.siteAdapter.getTitleSelector());
+    const title = titleElement?.textContent?.toLowerCase() || '';
+
+    const isTftByTitle = CONFIG.STREAM_MONITORING.TFT_KEYWORDS.some(keyword =>
+      title.includes(keyword)
+    );
+
+    return {
+      category: gameLink ? isTftByCategory : null,
+      title: isTftByTitle
+    };
+  }
+
   /**
    * Start monitoring for video element changes
    * @param {Function} callback - Callback when video state changes
@@ -174,7 +306,7 @@ class VideoDetector {
     // Set up DOM observer for dynamic content changes
     this.setupDomObserver(callback);
 
-    // Start periodic TFT stream checking
+    // Recheck TFT status whenever the stream info changes
     this.startTftMonitoring(callback);
   }
 
@@ -202,7 +334,12 @@ class VideoDetector {
       this.tftCheckInterval = null;
     }
 
+    this.streamStatusObserver.stop();
+    clearTimeout(this.adEndTimer);
+    this.adEndTimer = null;
+
     this.currentVideo = null;
+    this.currentChannel = null;
   }
 
   /**
@@ -210,6 +347,9 @@ class VideoDetector {
    * @param {Function} callback - Callback function
    */
   detectVideo(callback) {
+    // Twitch navigates between channels without reloading the page
+    this.checkChannelChange(callback);
+
     const video = this.findVideoElement();
     
     // Check if video changed
@@ -229,6 +369,26 @@ class VideoDetector {
     }
   }
 
+  /**
+   * Record the watched channel and notify when it changes
+   * @param {Function} callback - Callback function
+   */
+  checkChannelChange(callback) {
+    const channel = this.getChannelName();
+    if (channel === this.currentChannel) {
+      return;
+    }
+
+    logger.info('Channel changed', { was: this.currentChannel, now: channel });
+    this.currentChannel = channel;
+    // Frames from the previous channel say nothing about this one
+    this.resetHudHistory();
+
+    if (callback && typeof callback === 'function') {
+      callback(this.currentVideo, { channelChanged: true, channel });
+    }
+  }
+
   /**
    * Set up DOM observer to watch for video element changes
    * @param {Function} callback - Callback function
@@ -257,13 +417,25 @@ class VideoDetector {
   }
 
   /**
-   * Start periodic TFT stream monitoring
+   * Start TFT stream monitoring
+   * The category link, title, ad overlay and page navigations are observed so changes
+   * are reported as they happen; a slow poll catches anything the observers miss
    * @param {Function} callback - Callback function for status changes
    */
   startTftMonitoring(callback) {
-    logger.info('Starting periodic TFT stream monitoring');
-    
+    logger.info('Starting TFT stream monitoring');
+
+    this.streamStatusObserver.start(reason => {
+      // Channel changes shouldn't wait for the next video check
+      if (reason === 'navigation') {
+        this.checkChannelChange(callback);
+      }
+      this.checkInterruption(callback);
+      this.checkTftStreamStatus(callback);
+    });
+
     this.tftCheckInterval = setInterval(() => {
+      this.checkInterruption(callback);
       this.checkTftStreamStatus(callback);
     }, CONFIG.STREAM_MONITORING.TFT_CHECK_INTERVAL);
   }
@@ -314,7 +486,7 @@ class VideoDetector {
    */
   getCurrentStreamTitle() {
     try {
-      const titleElement = document.querySelector(CONFIG.TWITCH.STREAM_TITLE_SELECTOR);
+      const titleElement = document.querySelector(this.siteAdapter.getTitleSelector());
       return titleElement?.textContent?.trim() || '';
     } catch (error) {
       logger.error('Error getting stream title', error);
@@ -322,6 +494,44 @@ class VideoDetector {
     }
   }
 
+  /**
+   * Get the channel the current page belongs to
+   * @returns {string|null} Channel ID from the site adapter, e.g. a Twitch login, or null if unknown
+   */
+  getChannelName() {
+    try {
+      return this.siteAdapter.getChannelId();
+    } catch (error) {
+      logger.error('Error getting channel name', error);
+      return null;
+    }
+  }
+
+  /**
+   * Get what kind of playback the page shows
+   * @returns {object} Playback {type, id}: type is 'live', 'vod' or 'clip';
+   *   id is the VOD id, the clip slug or the channel login
+   */
+  getPlayback() {
+    return this.siteAdapter.getPlayback(this.currentChannel);
+  }
+
+  /**
+   * Get the adapter of the page's site
+   * @returns {SiteAdapter} Site adapter
+   */
+  getSiteAdapter() {
+    return this.siteAdapter;
+  }
+
+  /**
+   * Get the channel recorded by the last check
+   * @returns {string|null} Channel login
+   */
+  getCurrentChannel() {
+    return this.currentChannel;
+  }
+
   /**
    * Get current video element
    * @returns {HTMLVideoElement|null} Current video element
@@ -0,0 +1,63 @@
+/**
+ * Video Geometry
+ * Maps between video pixel coordinates (what the CV pipeline sees)
+ * and on-page coordinates (where the video is actually rendered)
+ */
+
+/**
+ * Get the on-screen rect of the video picture itself
+ * The element box can be larger than the picture when the player letterboxes
+ * (object-fit: contain), so the picture is fitted inside it
+ * @param {HTMLVideoElement} videoElement - Video element
+ * @returns {object} Viewport rect {left, top, width, height}
+ */
+function getVideoContentRect(videoElement) {
+  const elementRect = videoElement.getBoundingClientRect();
+  const { videoWidth, videoHeight } = videoElement;
+
+  if (!videoWidth || !videoHeight || getComputedStyle(videoElement).objectFit === 'fill') {
+    return {
+      left: elementRect.left,
+      top: elementRect.top,
+      width: elementRect.width,
+      height: elementRect.height
+    };
+  }
+
+  const scale = Math.min(elementRect.width / videoWidth, elementRect.height / videoHeight);
+  const width = videoWidth * scale;
+  const height = videoHeight * scale;
+
+  return {
+    left: elementRect.left + (elementRect.width - width) / 2,
+    top: elementRect.top + (elementRect.height - height) / 2,
+    width,
+    height
+  };
+}
+
+/**
+ * Map a region in video pixels to CSS pixels relative to a container
+ * @param {object} region - Region in video pixels {x, y, width, height}
+ * @param {HTMLVideoElement} videoElement - Video element the region came from
+ * @param {HTMLElement} container - Positioned container the result is relative to
+ * @returns {object} Container-relative rect {left, top, width, height}
+ */
+function mapVideoRegionToContainer(region, videoElement, container) {
+  const contentRect = getVideoContentRect(videoElement);
+  const containerRect = container.getBoundingClientRect();
+  const scaleX = contentRect.width / (videoElement.videoWidth || contentRect.width);
+  const scaleY = contentRect.height / (videoElement.videoHeight || contentRect.height);
+
+  return {
+    left: contentRect.left - containerRect.left + region.x * scaleX,
+    top: contentRect.top - containerRect.top + region.y * scaleY,
+    width: region.width * scaleX,
+    height: region.height * scaleY
+  };
+}
+
+const VideoGeometry = {
+  getContentRect: getVideoContentRect,
+  mapRegionToContainer: mapVideoRegionToContainer
+};
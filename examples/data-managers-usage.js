@@ -9,6 +9,9 @@ class TFTDataExample {
   constructor() {
     this.augmentsManager = new AugmentsDataManager();
     this.traitsManager = new TraitsDataManager();
+    this.championsManager = new ChampionsDataManager();
+    this.augmentAdvisor = new AugmentAdvisor(this.augmentsManager);
+    this.compositionAnalyzer = new CompositionAnalyzer(this.traitsManager, this.championsManager);
     this.isInitialized = false;
   }
 
@@ -20,12 +23,13 @@ class TFTDataExample {
       logger.info('Initializing TFT data managers...');
 
       // Load both datasets in parallel for faster startup
-      const [augmentsLoaded, traitsLoaded] = await Promise.all([
+      const [augmentsLoaded, traitsLoaded, championsLoaded] = await Promise.all([
         this.augmentsManager.loadData(),
-        this.traitsManager.loadData()
+        this.traitsManager.loadData(),
+        this.championsManager.loadData()
       ]);
 
-      if (!augmentsLoaded || !traitsLoaded) {
+      if (!augmentsLoaded || !traitsLoaded || !championsLoaded) {
         throw new Error('Failed to load TFT data');
       }
 
@@ -49,7 +53,7 @@ class TFTDataExample {
   }
 
   /**
-   * Example: Analyze detected augments from computer vision
+   * Example: Compare detected augments with the pick advisor (best first)
    */
   analyzeDetectedAugments(detectedAugmentKeys) {
     if (!this.isInitialized) {
@@ -57,101 +61,19 @@ class TFTDataExample {
       return [];
     }
 
-    const augmentAnalysis = [];
-
-    detectedAugmentKeys.forEach(augmentKey => {
-      const augment = this.augmentsManager.getAugment(augmentKey);
-      if (augment) {
-        augmentAnalysis.push({
-          key: augment.key,
-          title: augment.title,
-          description: augment.description,
-          tier: augment.tier,
-          powerLevel: augment.powerLevel,
-          image: this.augmentsManager.getAugmentImageUrl(augment),
-          tooltipData: this.augmentsManager.createTooltipData(augment)
-        });
-      }
-    });
-
-    // Sort by tier priority (Prismatic > Gold > Silver)
-    augmentAnalysis.sort((a, b) => {
-      const tierOrder = { 'Prismatic': 3, 'Gold': 2, 'Silver': 1 };
-      return (tierOrder[b.tier] || 0) - (tierOrder[a.tier] || 0);
-    });
-
-    return augmentAnalysis;
+    return this.augmentAdvisor.compare(detectedAugmentKeys);
   }
 
   /**
-   * Example: Analyze team composition for trait activation
+   * Example: Analyze team composition for trait activation and next breakpoints
    */
-  analyzeTeamComposition(champions) {
+  analyzeTeamComposition(championKeys) {
     if (!this.isInitialized) {
       logger.warn('Data managers not initialized');
-      return { traits: [], summary: null };
+      return { champions: [], traits: [], summary: null };
     }
 
-    // Count champions per trait
-    const traitCounts = {};
-    champions.forEach(champion => {
-      // Assuming each champion has a 'traits' array with trait keys
-      if (champion.traits) {
-        champion.traits.forEach(traitKey => {
-          traitCounts[traitKey] = (traitCounts[traitKey] || 0) + 1;
-        });
-      }
-    });
-
-    // Analyze trait activation
-    const traitAnalysis = [];
-    Object.entries(traitCounts).forEach(([traitKey, count]) => {
-      const trait = this.traitsManager.getTrait(traitKey);
-      if (trait) {
-        const effect = this.traitsManager.getTraitEffect(traitKey, count);
-        const progress = this.traitsManager.getActivationProgress(traitKey, count);
-        
-        traitAnalysis.push({
-          trait: trait,
-          count: count,
-          effect: effect,
-          progress: progress,
-          isActive: effect !== null,
-          tooltipData: this.traitsManager.createTooltipData(trait, count),
-          image: this.traitsManager.getTraitImageUrl(trait)
-        });
-      }
-    });
-
-    // Sort by activation status and type
-    traitAnalysis.sort((a, b) => {
-      // Active traits first
-      if (a.isActive && !b.isActive) return -1;
-      if (!a.isActive && b.isActive) return 1;
-      
-      // Then by type (class first, then origin)
-      if (a.trait.type !== b.trait.type) {
-        return a.trait.type === 'class' ? -1 : 1;
-      }
-      
-      // Finally by count (highest first)
-      return b.count - a.count;
-    });
-
-    // Create summary
-    const summary = {
-      totalChampions: champions.length,
-      activeTraits: traitAnalysis.filter(t => t.isActive).length,
-      inactiveTraits: traitAnalysis.filter(t => !t.isActive).length,
-      classTraits: traitAnalysis.filter(t => t.trait.type === 'class').length,
-      originTraits: traitAnalysis.filter(t => t.trait.type === 'origin').length,
-      maxTierTraits: traitAnalysis.filter(t => t.effect?.isMaxLevel).length
-    };
-
-    return {
-      traits: traitAnalysis,
-      summary: summary
-    };
+    return this.compositionAnalyzer.analyze(championKeys);
   }
 
   /**
@@ -332,11 +254,7 @@ async function initializeTFTExtension() {
   console.log('Detected augments:', augmentAnalysis);
 
   // Example: Analyze team composition
-  const teamChampions = [
-    { name: 'Jinx', traits: ['TFT14_Marksman', 'TFT14_AnimaSquad'] },
-    { name: 'Vi', traits: ['TFT14_Bruiser', 'TFT14_AnimaSquad'] },
-    // ... more champions
-  ];
+  const teamChampions = ['TFT14_Jinx', 'TFT14_Vi', 'TFT14_Vi']; // Copies count once
   const teamAnalysis = tftData.analyzeTeamComposition(teamChampions);
   console.log('Team analysis:', teamAnalysis);
 
@@ -0,0 +1,306 @@
+/**
+ * TFT Chrome Extension - Options Page Script
+ * Builds an editor for every setting in SETTINGS_SCHEMA and stores the
+ * values that differ from the CONFIG defaults as overrides
+ */
+
+const SECTION_TITLES = {
+  OVERLAY: 'Overlay',
+  CV: 'Computer Vision',
+  STREAM_MONITORING: 'Stream Detection',
+  LOGGING: 'Logging',
+  TFT_REGIONS: 'Detection Regions'
+};
+
+const REGION_FIELDS = ['name', 'x', 'y', 'width', 'height'];
+
+document.addEventListener('DOMContentLoaded', async () => {
+  // Get DOM elements
+  const elements = {
+    form: document.getElementById('settings-form'),
+    statusMessage: document.getElementById('status-message'),
+    resetBtn: document.getElementById('reset-settings'),
+    exportBtn: document.getElementById('export-settings'),
+    importBtn: document.getElementById('import-settings'),
+    importFile: document.getElementById('import-file')
+  };
+
+  // Field editors keyed by setting path, each {read(), write(value)}
+  const fields = {};
+
+  await settingsManager.load();
+  settingsManager.startWatching();
+  settingsManager.onChange(() => populateForm());
+
+  buildForm();
+  populateForm();
+  setupEventListeners();
+
+  /**
+   * Create one section per CONFIG group with an editor per setting
+   */
+  function buildForm() {
+    const sections = {};
+
+    Object.entries(SETTINGS_SCHEMA).forEach(([path, rule]) => {
+      const group = path.split('.')[0];
+
+      if (!sections[group]) {
+        sections[group] = document.createElement('section');
+        const title = document.createElement('h2');
+        title.textContent = SECTION_TITLES[group] || group;
+        sections[group].appendChild(title);
+        elements.form.appendChild(sections[group]);
+      }
+
+      const row = document.createElement('div');
+      row.className = `setting-item setting-${rule.type}`;
+
+      const label = document.createElement('label');
+      label.className = 'setting-label';
+      label.textContent = rule.label;
+      row.appendChild(label);
+
+      fields[path] = createEditor(rule, row);
+      sections[group].appendChild(row);
+    });
+  }
+
+  /**
+   * Create the editor for a schema type and append it to the row
+   * @returns {object} Editor {read(), write(value)}
+   */
+  function createEditor(rule, row) {
+    switch (rule.type) {
+      case 'number':
+        return createNumberEditor(rule, row);
+      case 'boolean':
+        return createCheckboxEditor(row);
+      case 'enum':
+        return createSelectEditor(rule, row);
+      case 'point':
+        return createPointEditor(rule, row);
+      case 'stringList':
+        return createListEditor(row);
+      case 'regions':
+        return createRegionsEditor(rule, row);
+      default:
+        return createTextEditor(row);
+    }
+  }
+
+  function createInput(type, parent, attributes = {}) {
+    const input = document.createElement('input');
+    input.type = type;
+    Object.assign(input, attributes);
+    parent.appendChild(input);
+    return input;
+  }
+
+  function createNumberEditor(rule, row) {
+    const input = createInput('number', row, { min: rule.min, max: rule.max });
+    return {
+      read: () => input.valueAsNumber,
+      write: value => { input.value = value; }
+    };
+  }
+
+  function createCheckboxEditor(row) {
+    const input = createInput('checkbox', row);
+    return {
+      read: () => input.checked,
+      write: value => { input.checked = value; }
+    };
+  }
+
+  function createSelectEditor(rule, row) {
+    const select = document.createElement('select');
+    rule.values.forEach(value => select.appendChild(new Option(value, value)));
+    row.appendChild(select);
+    return {
+      read: () => select.value,
+      write: value => { select.value = value; }
+    };
+  }
+
+  function createPointEditor(rule, row) {
+    const group = document.createElement('div');
+    group.className = 'point-inputs';
+    row.appendChild(group);
+
+    const x = createInput('number', group, { min: rule.min, max: rule.max, title: 'x' });
+    const y = createInput('number', group, { min: rule.min, max: rule.max, title: 'y' });
+    return {
+      read: () => ({ x: x.valueAsNumber, y: y.valueAsNumber }),
+      write: value => { x.value = value.x; y.value = value.y; }
+    };
+  }
+
+  function createListEditor(row) {
+    const textarea = document.createElement('textarea');
+    textarea.rows = 3;
+    textarea.placeholder = 'One entry per line';
+    row.appendChild(textarea);
+    return {
+      read: () => textarea.value.split('\n'),
+      write: value => { textarea.value = value.join('\n'); }
+    };
+  }
+
+  function createTextEditor(row) {
+    const input = createInput('text', row);
+    return {
+      read: () => input.value,
+      write: value => { input.value = value; }
+    };
+  }
+
+  /**
+   * Region rectangles are edited as a table, one row per region
+   */
+  function createRegionsEditor(rule, row) {
+    const table = document.createElement('table');
+    table.className = 'regions-table';
+    const header = table.createTHead().insertRow();
+    [...REGION_FIELDS, ''].forEach(name => {
+      header.appendChild(document.createElement('th')).textContent = name;
+    });
+    const body = table.createTBody();
+
+    const addButton = document.createElement('button');
+    addButton.type = 'button';
+    addButton.className = 'link-button';
+    addButton.textContent = 'Add region';
+    addButton.addEventListener('click', () => {
+      if (body.rows.length < rule.maxItems) {
+        addRegionRow(body, { name: 'region', x: 0, y: 0, width: 50, height: 50 });
+      }
+    });
+
+    row.append(table, addButton);
+    return {
+      read: () => Array.from(body.rows).map(readRegionRow),
+      write: regions => {
+        body.replaceChildren();
+        regions.forEach(region => addRegionRow(body, region));
+      }
+    };
+  }
+
+  function addRegionRow(body, region) {
+    const tableRow = body.insertRow();
+
+    REGION_FIELDS.forEach(key => {
+      const type = key === 'name' ? 'text' : 'number';
+      createInput(type, tableRow.insertCell(), { name: key, value: region[key], min: 0 });
+    });
+
+    const removeButton = document.createElement('button');
+    removeButton.type = 'button';
+    removeButton.className = 'link-button';
+    removeButton.textContent = 'Remove';
+    removeButton.addEventListener('click', () => tableRow.remove());
+    tableRow.insertCell().appendChild(removeButton);
+  }
+
+  function readRegionRow(tableRow) {
+    const region = {};
+    tableRow.querySelectorAll('input').forEach(input => {
+      region[input.name] = input.type === 'number' ? input.valueAsNumber : input.value;
+    });
+    return region;
+  }
+
+  /**
+   * Show the effective value (override or default) of every setting
+   * @param {boolean} useDefaults - Show the defaults instead
+   */
+  function populateForm(useDefaults = false) {
+    Object.entries(fields).forEach(([path, field]) => {
+      field.write(useDefaults ? settingsManager.getDefault(path) : settingsManager.getValue(CONFIG, path));
+    });
+  }
+
+  /**
+   * Collect form values, keeping only the ones that differ from the defaults
+   * @returns {object} Overrides keyed by setting path
+   */
+  function collectOverrides() {
+    const overrides = {};
+
+    Object.entries(fields).forEach(([path, field]) => {
+      // Invalid values are kept so save() can report them
+      const rawValue = field.read();
+      const result = validateSetting(path, rawValue);
+      const value = result.error ? rawValue : result.value;
+
+      if (JSON.stringify(value) !== JSON.stringify(settingsManager.getDefault(path))) {
+        overrides[path] = value;
+      }
+    });
+
+    return overrides;
+  }
+
+  /**
+   * Show a status message below the form
+   * @param {string} text - Message
+   * @param {string} status - 'success' or 'error'
+   */
+  function showStatus(text, status) {
+    elements.statusMessage.textContent = text;
+    elements.statusMessage.className = `status-message ${status}`;
+  }
+
+  /**
+   * Run a storage action and report its outcome
+   */
+  async function runAction(action, successText) {
+    try {
+      await action();
+      showStatus(successText, 'success');
+    } catch (error) {
+      logger.error('Settings action failed', error);
+      showStatus(error.message, 'error');
+    }
+  }
+
+  /**
+   * Download the current overrides as a JSON file
+   */
+  function exportSettings() {
+    const blob = new Blob([settingsManager.exportSettings()], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = 'tft-stream-assistant-settings.json';
+    link.click();
+    URL.revokeObjectURL(link.href);
+  }
+
+  /**
+   * Set up event listeners
+   */
+  function setupEventListeners() {
+    elements.form.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      await runAction(() => settingsManager.save(collectOverrides()), 'Settings saved');
+    });
+
+    elements.resetBtn.addEventListener('click', async () => {
+      await runAction(() => settingsManager.reset(), 'Defaults restored');
+      populateForm(true);
+    });
+
+    elements.exportBtn.addEventListener('click', exportSettings);
+
+    elements.importBtn.addEventListener('click', () => elements.importFile.click());
+
+    elements.importFile.addEventListener('change', async () => {
+      const [file] = elements.importFile.files;
+      if (!file) return;
+
+      await runAction(async () => settingsManager.importSettings(await file.text()), 'Settings imported');
+      elements.importFile.value = '';
+    });
+  }
+});
@@ -3,6 +3,9 @@
  * Handles popup UI interactions and status updates
  */
 
+// Hosts the content script runs on (the manifest's matches)
+const SUPPORTED_HOSTS = ['www.twitch.tv', 'clips.twitch.tv', 'www.youtube.com', 'kick.com'];
+
 document.addEventListener('DOMContentLoaded', async () => {
   // Get DOM elements
   const elements = {
@@ -13,10 +16,22 @@ document.addEventListener('DOMContentLoaded', async () => {
     testOverlayBtn: document.getElementById('test-overlay'),
     refreshBtn: document.getElementById('refresh-detection'),
     testCvBtn: document.getElementById('test-cv'),
+    calibrateBtn: document.getElementById('calibrate-regions'),
     videoResolution: document.getElementById('video-resolution'),
     pageUrl: document.getElementById('page-url'),
     detectedElements: document.getElementById('detected-elements'),
     lastDetection: document.getElementById('last-detection'),
+    gameStage: document.getElementById('game-stage'),
+    gameLevel: document.getElementById('game-level'),
+    gameGold: document.getElementById('game-gold'),
+    gameHealth: document.getElementById('game-health'),
+    profileChannel: document.getElementById('profile-channel'),
+    profileFields: document.getElementById('profile-fields'),
+    profileDetectors: document.querySelectorAll('#profile-detectors input'),
+    profilePanels: document.querySelectorAll('#profile-panels input'),
+    resetLayoutBtn: document.getElementById('reset-layout'),
+    profileOpacity: document.getElementById('profile-opacity'),
+    openSettings: document.getElementById('open-settings'),
     reportIssue: document.getElementById('report-issue'),
     viewLogs: document.getElementById('view-logs')
   };
@@ -43,9 +58,10 @@ document.addEventListener('DOMContentLoaded', async () => {
       // Update page URL
       elements.pageUrl.textContent = tab.url || 'Unknown';
 
-      // Check if on Twitch
-      if (!tab.url.includes('twitch.tv')) {
-        updateStatus('extension', 'inactive', 'Not on Twitch');
+      // Check if on a supported streaming site
+      const hostname = tab.url ? new URL(tab.url).hostname : '';
+      if (!SUPPORTED_HOSTS.includes(hostname)) {
+        updateStatus('extension', 'inactive', 'Not on a stream site');
         updateStatus('video', 'inactive', 'N/A');
         updateStatus('tft', 'inactive', 'N/A');
         return;
@@ -53,6 +69,7 @@ document.addEventListener('DOMContentLoaded', async () => {
 
       // Get extension status from content script
       await getExtensionStatus(tab.id);
+      await getChannelProfile(tab.id);
       
     } catch (error) {
       console.error('Error initializing popup:', error);
@@ -75,9 +92,13 @@ document.addEventListener('DOMContentLoaded', async () => {
         updateStatus('video', response.hasVideo ? 'active' : 'inactive',
                     response.hasVideo ? 'Detected' : 'Not found');
         updateStatus('tft', response.isTftStream ? 'active' : 'warning',
-                    response.isTftStream ? 'TFT Stream' : 'Non-TFT');
-        updateStatus('cv', response.cvReady ? 'active' : 'warning',
-                    response.cvReady ? 'Ready' : 'Loading');
+                    `${response.isTftStream ? 'TFT Stream' : 'Non-TFT'} (${Math.round(response.tftConfidence * 100)}%)`);
+        if (response.cvPausedReason) {
+          updateStatus('cv', 'warning', response.cvPausedReason === 'ad' ? 'Paused (ad)' : 'Paused (game hidden)');
+        } else {
+          updateStatus('cv', response.cvReady ? 'active' : 'warning',
+                      response.cvReady ? 'Ready' : 'Loading');
+        }
         
         // Update video resolution if available
         if (response.videoInfo) {
@@ -88,6 +109,7 @@ document.addEventListener('DOMContentLoaded', async () => {
         // Update CV information
         elements.detectedElements.textContent = response.detectedElements || '0';
         elements.lastDetection.textContent = response.lastDetection || 'None';
+        renderGameState(response.gameState);
       }
     } catch (error) {
       console.error('Error getting status:', error);
@@ -95,6 +117,70 @@ document.addEventListener('DOMContentLoaded', async () => {
     }
   }
 
+  /**
+   * Show the last HUD readout; fields not read yet show '-'
+   */
+  function renderGameState(gameState) {
+    const state = gameState || {};
+    const format = value => (value === null || value === undefined ? '-' : String(value));
+
+    elements.gameStage.textContent = state.stage ? state.stage.label : '-';
+    elements.gameLevel.textContent = state.xp
+      ? `${format(state.level)} (${state.xp.current}/${state.xp.needed} XP)`
+      : format(state.level);
+    elements.gameGold.textContent = format(state.gold);
+    elements.gameHealth.textContent = format(state.health);
+  }
+
+  /**
+   * Get the current channel's layout profile from the content script
+   */
+  async function getChannelProfile(tabId) {
+    try {
+      const response = await chrome.tabs.sendMessage(tabId, { action: 'getChannelProfile' });
+      renderChannelProfile(response?.channel, response?.profile);
+    } catch (error) {
+      console.error('Error getting channel profile:', error);
+      renderChannelProfile(null, null);
+    }
+  }
+
+  /**
+   * Show a channel profile; controls stay disabled without a channel
+   */
+  function renderChannelProfile(channel, profile) {
+    elements.profileChannel.textContent = channel || 'Unknown';
+    elements.profileFields.disabled = !channel || !profile;
+    if (!profile) return;
+
+    elements.profileDetectors.forEach(input => {
+      input.checked = profile.detectors[input.value] !== false;
+    });
+    elements.profilePanels.forEach(input => {
+      input.checked = profile.overlay.panels[input.value]?.visible !== false;
+    });
+    elements.profileOpacity.value = profile.overlay.opacity;
+  }
+
+  /**
+   * Send profile changes to the content script
+   */
+  async function updateChannelProfile(changes) {
+    try {
+      const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+      const response = await chrome.tabs.sendMessage(tab.id, { action: 'updateChannelProfile', changes });
+
+      if (!response.success) {
+        console.error('Error updating channel profile:', response.error);
+        return;
+      }
+
+      renderChannelProfile(response.channel, response.profile);
+    } catch (error) {
+      console.error('Error updating channel profile:', error);
+    }
+  }
+
   /**
    * Update status indicator
    */
@@ -148,6 +234,50 @@ document.addEventListener('DOMContentLoaded', async () => {
       }
     });
 
+    // Channel profile controls
+    elements.profileDetectors.forEach(input => {
+      input.addEventListener('change', () => {
+        updateChannelProfile({ detectors: { [input.value]: input.checked } });
+      });
+    });
+
+    elements.profilePanels.forEach(input => {
+      input.addEventListener('change', () => {
+        updateChannelProfile({ overlay: { panels: { [input.value]: { visible: input.checked } } } });
+      });
+    });
+
+    // Put every panel back in its default corner, size and state
+    elements.resetLayoutBtn.addEventListener('click', () => {
+      updateChannelProfile({ overlay: { panels: null } });
+    });
+
+    elements.profileOpacity.addEventListener('change', () => {
+      updateChannelProfile({ overlay: { opacity: Number(elements.profileOpacity.value) } });
+    });
+
+    // Calibrate regions button (closes the popup so the video can be edited)
+    elements.calibrateBtn.addEventListener('click', async () => {
+      try {
+        const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+        const response = await chrome.tabs.sendMessage(tab.id, { action: 'startCalibration' });
+
+        if (response.success) {
+          window.close();
+        } else {
+          console.error('Calibration unavailable:', response.error);
+        }
+      } catch (error) {
+        console.error('Error starting calibration:', error);
+      }
+    });
+
+    // Settings link
+    elements.openSettings.addEventListener('click', (e) => {
+      e.preventDefault();
+      chrome.runtime.openOptionsPage();
+    });
+
     // Report issue link
     elements.reportIssue.addEventListener('click', (e) => {
       e.preventDefault();
@@ -0,0 +1,180 @@
+/**
+ * Build the HUD glyph templates from real HUD crops
+ * Reads the gold and HUD labels of a replay ground truth file, splits each
+ * labeled readout into glyphs the way DigitReader does and averages every
+ * character's glyphs into a template. The result replaces the built-in
+ * generic font shapes (content-scripts/glyph-templates.js) per character
+ *
+ * Usage: node scripts/build-glyph-templates.js <ground-truth.json> [options]
+ *   --out <file>          Output file (default: CONFIG.DATA.GLYPH_TEMPLATES_PATH)
+ *   --min-samples <n>     Skip characters seen fewer times (default 3)
+ *
+ * Labels need the text they show: a `text` field, a numeric `value` (gold,
+ * level, health) or a stage `value` with a `label` such as "3-2"
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createExtensionContext, ROOT_DIR } = require('./replay/extension-context');
+const { loadFrameImage } = require('./replay-frames');
+
+// Share of a character's samples that must cover a cell for it to be ink
+const INK_COVERAGE = 0.5;
+
+/**
+ * Parse command line arguments
+ * @returns {object} Options
+ */
+function parseArgs(argv) {
+  const options = { truthPath: null, outPath: null, minSamples: 3 };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--out') options.outPath = argv[++i];
+    else if (arg === '--min-samples') options.minSamples = Number(argv[++i]);
+    else if (!options.truthPath) options.truthPath = arg;
+    else throw new Error(`Unknown argument: ${arg}`);
+  }
+
+  if (!options.truthPath) {
+    throw new Error('Usage: node scripts/build-glyph-templates.js <ground-truth.json> [--out file] [--min-samples 3]');
+  }
+
+  return options;
+}
+
+/**
+ * Get the text a label says its readout shows
+ * @returns {string|null} Text, or null for labels without one
+ */
+function getLabelText(label) {
+  if (typeof label.text === 'string') return label.text;
+  if (typeof label.value === 'number') return String(label.value);
+  if (typeof label.value?.label === 'string') return label.value.label;
+  return null;
+}
+
+/**
+ * Collect glyph measurements per character from the labeled readouts of a frame
+ * Readouts that don't split into one glyph per character are skipped
+ * @param {DigitReader} digitReader - Reader whose segmentation is used
+ * @param {Uint8Array} grayData - Grayscale frame
+ * @param {object} image - Frame {width, height, data}
+ * @param {Array} labels - Ground truth elements
+ * @param {Map} samples - Character -> coverage arrays, added to
+ * @returns {object} Counts {used, skipped}
+ */
+function collectGlyphSamples(digitReader, grayData, image, labels, samples) {
+  const counts = { used: 0, skipped: 0 };
+
+  labels.forEach(label => {
+    const text = getLabelText(label);
+    if (!['gold', 'hud'].includes(label.type) || !text) return;
+
+    const { mask, maskWidth, glyphs, lineBounds } = digitReader.findGlyphs(grayData, image.width, image.height, label);
+    if (glyphs.length !== text.length) {
+      counts.skipped++;
+      return;
+    }
+
+    glyphs.forEach((glyph, index) => {
+      const character = text[index];
+      if (!samples.has(character)) samples.set(character, []);
+      samples.get(character).push(digitReader.measureGlyph(mask, maskWidth, glyph, lineBounds));
+    });
+    counts.used++;
+  });
+
+  return counts;
+}
+
+/**
+ * Average each character's samples into template rows
+ * @param {Map} samples - Character -> coverage arrays
+ * @param {object} size - Template grid {width, height}
+ * @param {number} minSamples - Characters seen fewer times are left out
+ * @returns {object} {glyphs: character -> rows, sampleCounts: character -> count}
+ */
+function buildGlyphs(samples, size, minSamples) {
+  const glyphs = {};
+  const sampleCounts = {};
+
+  [...samples.keys()].sort().forEach(character => {
+    const characterSamples = samples.get(character);
+    sampleCounts[character] = characterSamples.length;
+    if (characterSamples.length < minSamples) return;
+
+    const rows = [];
+    for (let row = 0; row < size.height; row++) {
+      let line = '';
+      for (let column = 0; column < size.width; column++) {
+        const cell = row * size.width + column;
+        const coverage = characterSamples.reduce((sum, sample) => sum + sample[cell], 0) / characterSamples.length;
+        line += coverage >= INK_COVERAGE ? '#' : '.';
+      }
+      rows.push(line);
+    }
+    glyphs[character] = rows;
+  });
+
+  return { glyphs, sampleCounts };
+}
+
+/**
+ * Build glyph templates from labeled frames
+ * @param {object} extension - Extension context (createExtensionContext)
+ * @param {Array} frames - Frames {image: {width, height, data}, elements}
+ * @param {number} minSamples - Minimum samples per character
+ * @returns {object} {glyphs, sampleCounts, used, skipped}
+ */
+function buildGlyphTemplates(extension, frames, minSamples = 3) {
+  const digitReader = new (extension.get('DigitReader'))();
+  const processor = new (extension.get('SimpleCvProcessor'))();
+  const samples = new Map();
+  const totals = { used: 0, skipped: 0 };
+
+  frames.forEach(frame => {
+    const grayData = processor.convertToGrayscale(frame.image);
+    const counts = collectGlyphSamples(digitReader, grayData, frame.image, frame.elements || [], samples);
+    totals.used += counts.used;
+    totals.skipped += counts.skipped;
+  });
+
+  return { ...buildGlyphs(samples, extension.get('GLYPH_TEMPLATE_SIZE'), minSamples), ...totals };
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const truth = JSON.parse(fs.readFileSync(options.truthPath, 'utf8'));
+  const baseDir = path.dirname(path.resolve(options.truthPath));
+  const extension = createExtensionContext();
+  const outPath = options.outPath || path.join(ROOT_DIR, extension.get('CONFIG').DATA.GLYPH_TEMPLATES_PATH);
+
+  console.log(`🔤 Capturing HUD glyphs from ${truth.frames.length} frames in ${options.truthPath}`);
+
+  const frames = truth.frames.map(frame => ({ image: loadFrameImage(frame, baseDir), elements: frame.elements }));
+  const result = buildGlyphTemplates(extension, frames, options.minSamples);
+
+  console.log(`   Readouts used: ${result.used}, skipped (glyph count didn't match the label): ${result.skipped}`);
+  Object.entries(result.sampleCounts).forEach(([character, count]) => {
+    console.log(`   '${character}': ${count} samples${result.glyphs[character] ? '' : ' - too few, keeping the built-in shape'}`);
+  });
+
+  fs.mkdirSync(path.dirname(outPath), { recursive: true });
+  fs.writeFileSync(outPath, JSON.stringify({
+    source: path.basename(options.truthPath),
+    builtAt: new Date().toISOString(),
+    samples: result.sampleCounts,
+    glyphs: result.glyphs
+  }, null, 2));
+  console.log(`\n💾 ${Object.keys(result.glyphs).length} glyphs written to ${outPath}`);
+}
+
+if (require.main === module) {
+  main().catch(error => {
+    console.error('❌ Building glyph templates failed:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { buildGlyphTemplates, getLabelText };
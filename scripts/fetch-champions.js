@@ -0,0 +1,336 @@
+const fs = require('fs');
+const https = require('https');
+const path = require('path');
+
+/**
+ * TFT Set 14 Champions Fetcher using Community Dragon Data
+ * Collects cost, traits, ability text and base stats for every shop champion
+ * and downloads the portraits the shop reader matches against
+ * Source: https://raw.communitydragon.org/15.9/cdragon/tft/en_us.json
+ */
+
+class TFTChampionsCDragonFetcher {
+  constructor() {
+    this.cdragonsUrl = 'https://raw.communitydragon.org/15.9/cdragon/tft/en_us.json';
+    this.cdragonsGameUrl = 'https://raw.communitydragon.org/15.9/game';
+    this.outputDir = './assets/champions';
+    this.imagesDir = path.join(this.outputDir, 'images');
+    this.version = '15.9';
+  }
+
+  /**
+   * Download file from URL with retry logic
+   */
+  async downloadFile(url, filepath, retries = 3) {
+    return new Promise((resolve, reject) => {
+      const attempt = (retriesLeft) => {
+        https.get(url, (response) => {
+          if (response.statusCode === 200) {
+            const file = fs.createWriteStream(filepath);
+            response.pipe(file);
+            file.on('finish', () => {
+              file.close();
+              resolve();
+            });
+          } else if (response.statusCode >= 500 && retriesLeft > 0) {
+            response.resume();
+            console.log(`   Retrying download (${retriesLeft} attempts left): ${path.basename(filepath)}`);
+            setTimeout(() => attempt(retriesLeft - 1), 1000);
+          } else {
+            response.resume();
+            reject(new Error(`HTTP ${response.statusCode}: ${url}`));
+          }
+        }).on('error', (err) => {
+          if (retriesLeft > 0) {
+            console.log(`   Retrying download due to error (${retriesLeft} attempts left): ${err.message}`);
+            setTimeout(() => attempt(retriesLeft - 1), 1000);
+          } else {
+            reject(err);
+          }
+        });
+      };
+
+      attempt(retries);
+    });
+  }
+
+  /**
+   * Fetch JSON data from URL
+   */
+  async fetchJson(url) {
+    return new Promise((resolve, reject) => {
+      https.get(url, (response) => {
+        let data = '';
+
+        response.on('data', (chunk) => {
+          data += chunk;
+        });
+
+        response.on('end', () => {
+          try {
+            resolve(JSON.parse(data));
+          } catch (error) {
+            reject(new Error(`Failed to parse JSON from ${url}: ${error.message}`));
+          }
+        });
+      }).on('error', reject);
+    });
+  }
+
+  /**
+   * Fetch Community Dragon data
+   */
+  async fetchCDragonData() {
+    console.log('📥 Fetching Community Dragon TFT data...');
+    console.log(`   URL: ${this.cdragonsUrl}`);
+
+    try {
+      const data = await this.fetchJson(this.cdragonsUrl);
+      console.log('   ✅ Community Dragon data fetched successfully');
+      return data;
+    } catch (error) {
+      throw new Error(`Failed to fetch Community Dragon data: ${error.message}`);
+    }
+  }
+
+  /**
+   * Clean and format ability description
+   */
+  cleanDescription(desc) {
+    if (!desc) return '';
+
+    return desc
+      .replace(/<br\s*\/?>/gi, ' ')  // Line breaks become spaces
+      .replace(/<[^>]*>/g, '')       // Remove HTML tags
+      .replace(/%i:[^%]*%/g, '')     // Remove inline stat icons
+      .replace(/\s+/g, ' ')          // Normalize whitespace
+      .replace(/@([\w.]+)(\*\d+)?@/g, (match, name) => `{${name}}`)
+      .trim();
+  }
+
+  /**
+   * Turn a Community Dragon asset path into its downloadable PNG URL
+   * e.g. ASSETS/Characters/TFT14_Jax/HUD/TFT14_Jax_Square.TFT_Set14.tex
+   */
+  getAssetUrl(assetPath) {
+    return `${this.cdragonsGameUrl}/${assetPath.toLowerCase().replace(/\.(tex|dds)$/, '.png')}`;
+  }
+
+  /**
+   * Keep the ability values per star level (index 1-3 of the Community Dragon arrays)
+   */
+  processAbilityVariables(variables = []) {
+    const values = {};
+
+    variables.forEach(variable => {
+      if (!variable.name || !Array.isArray(variable.value)) return;
+      values[variable.name] = variable.value.slice(1, 4).map(value =>
+        typeof value === 'number' ? Math.round(value * 1000) / 1000 : value
+      );
+    });
+
+    return values;
+  }
+
+  /**
+   * Process champion data from Community Dragon
+   * @param {object} championData - Champion entry from the set
+   * @param {Map} traitKeysByName - Trait display name -> trait key
+   */
+  processChampionData(championData, traitKeysByName) {
+    const ability = championData.ability || {};
+    const description = this.cleanDescription(ability.desc);
+    const stats = championData.stats || {};
+
+    // The shop card shows the tile art; the square icon is the fallback
+    const portraitPath = championData.tileIcon || championData.squareIcon || null;
+    const imageName = portraitPath ? `${championData.apiName}.png` : null;
+
+    return {
+      key: championData.apiName,
+      name: championData.name,
+      cost: championData.cost,
+      traits: championData.traits.map(traitName => traitKeysByName.get(traitName) || traitName),
+      traitNames: championData.traits,
+      image: imageName,
+      imageSource: portraitPath,
+      ability: {
+        name: ability.name || '',
+        description: description,
+        variables: this.processAbilityVariables(ability.variables)
+      },
+      stats: {
+        hp: stats.hp,
+        mana: stats.mana,
+        initialMana: stats.initialMana,
+        damage: stats.damage,
+        armor: stats.armor,
+        magicResist: stats.magicResist,
+        attackSpeed: stats.attackSpeed,
+        range: stats.range,
+        critChance: stats.critChance
+      },
+      source: 'community-dragon',
+      searchText: `${championData.name} ${championData.traits.join(' ')} ${ability.name || ''}`.toLowerCase()
+    };
+  }
+
+  /**
+   * Download champion portraits
+   */
+  async downloadImages(champions) {
+    console.log('🖼️  Downloading champion portraits...');
+
+    if (!fs.existsSync(this.imagesDir)) {
+      fs.mkdirSync(this.imagesDir, { recursive: true });
+    }
+
+    let downloaded = 0;
+    let skipped = 0;
+    let failed = 0;
+
+    for (const champion of champions) {
+      if (!champion.image) continue;
+
+      const imagePath = path.join(this.imagesDir, champion.image);
+
+      // Skip if image already exists
+      if (fs.existsSync(imagePath)) {
+        skipped++;
+        continue;
+      }
+
+      try {
+        await this.downloadFile(this.getAssetUrl(champion.imageSource), imagePath);
+        downloaded++;
+
+        if (downloaded % 10 === 0) {
+          console.log(`   Downloaded ${downloaded} portraits...`);
+        }
+      } catch (error) {
+        failed++;
+        console.warn(`   ⚠️  Failed to download ${champion.image}: ${error.message}`);
+      }
+    }
+
+    console.log(`   ✅ Downloaded: ${downloaded}, Skipped: ${skipped}, Failed: ${failed}`);
+  }
+
+  /**
+   * Generate statistics
+   */
+  generateStats(champions) {
+    const costBreakdown = champions.reduce((acc, champion) => {
+      acc[champion.cost] = (acc[champion.cost] || 0) + 1;
+      return acc;
+    }, {});
+
+    return {
+      version: this.version,
+      dataSource: 'community-dragon',
+      sourceUrl: this.cdragonsUrl,
+      setNumber: 14,
+      setName: 'Cyber City',
+      totalChampions: champions.length,
+      lastUpdated: new Date().toISOString(),
+      costBreakdown: costBreakdown
+    };
+  }
+
+  /**
+   * Save champions data to files
+   */
+  async saveData(champions) {
+    console.log('💾 Saving data files...');
+
+    if (!fs.existsSync(this.outputDir)) {
+      fs.mkdirSync(this.outputDir, { recursive: true });
+    }
+
+    const stats = this.generateStats(champions);
+
+    // Main data file with full information (download-only fields dropped)
+    const mainData = {
+      ...stats,
+      champions: champions.map(({ imageSource, ...champion }) => champion)
+    };
+
+    const mainPath = path.join(this.outputDir, 'tft-set14-champions.json');
+    fs.writeFileSync(mainPath, JSON.stringify(mainData, null, 2));
+    console.log(`   ✅ Saved main data: ${mainPath}`);
+
+    // Quick reference file with essential data only
+    const quickRef = champions.map(champion => ({
+      key: champion.key,
+      name: champion.name,
+      cost: champion.cost,
+      traits: champion.traits,
+      image: champion.image
+    }));
+
+    const quickRefPath = path.join(this.outputDir, 'champions-quick-reference.json');
+    fs.writeFileSync(quickRefPath, JSON.stringify(quickRef, null, 2));
+    console.log(`   ✅ Saved quick reference: ${quickRefPath}`);
+
+    return { mainPath, quickRefPath, stats };
+  }
+
+  /**
+   * Main execution function
+   */
+  async run() {
+    try {
+      console.log('🚀 TFT Set 14 Champions Fetcher (Community Dragon) Starting...\n');
+
+      const cdragonsData = await this.fetchCDragonData();
+
+      console.log('⚙️  Processing Set 14 champions...');
+      const set14 = cdragonsData.sets['14'];
+      if (!set14) {
+        throw new Error('Set 14 not found in Community Dragon data');
+      }
+
+      // Champions list their traits by display name; store the trait keys the extension uses
+      const traitKeysByName = new Map(set14.traits.map(trait => [trait.name, trait.apiName]));
+
+      // Shop champions only: summons, dummies and PvE units have no cost 1-5 or no traits
+      const shopChampions = set14.champions.filter(champion =>
+        champion.apiName.startsWith('TFT14_') &&
+        champion.cost >= 1 && champion.cost <= 5 &&
+        Array.isArray(champion.traits) && champion.traits.length > 0
+      );
+      console.log(`   Found ${shopChampions.length} TFT14 shop champions`);
+
+      const processedChampions = shopChampions.map(championData =>
+        this.processChampionData(championData, traitKeysByName)
+      );
+
+      // Sort by cost and name
+      processedChampions.sort((a, b) => a.cost - b.cost || a.name.localeCompare(b.name));
+
+      await this.downloadImages(processedChampions);
+
+      const { stats } = await this.saveData(processedChampions);
+
+      console.log('\n🎉 Community Dragon fetch completed successfully!');
+      console.log(`   Total Champions: ${stats.totalChampions}`);
+      console.log(`   Cost Breakdown:`);
+      Object.entries(stats.costBreakdown).forEach(([cost, count]) => {
+        console.log(`     ${cost}-cost: ${count}`);
+      });
+      console.log(`   Files saved to: ${this.outputDir}`);
+
+    } catch (error) {
+      console.error('❌ Error:', error.message);
+      process.exit(1);
+    }
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  const fetcher = new TFTChampionsCDragonFetcher();
+  fetcher.run();
+}
+
+module.exports = TFTChampionsCDragonFetcher;
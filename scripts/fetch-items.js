@@ -0,0 +1,342 @@
+const fs = require('fs');
+const https = require('https');
+const path = require('path');
+
+/**
+ * TFT Set 14 Items Fetcher using Community Dragon Data
+ * Collects components, completed items, emblems, artifacts and radiant items
+ * with their recipes and downloads the item icons
+ * Source: https://raw.communitydragon.org/15.9/cdragon/tft/en_us.json
+ */
+
+// The base components every craftable recipe is built from
+const COMPONENT_KEYS = [
+  'TFT_Item_BFSword',
+  'TFT_Item_RecurveBow',
+  'TFT_Item_NeedlesslyLargeRod',
+  'TFT_Item_TearOfTheGoddess',
+  'TFT_Item_ChainVest',
+  'TFT_Item_NegatronCloak',
+  'TFT_Item_GiantsBelt',
+  'TFT_Item_SparringGloves',
+  'TFT_Item_Spatula',
+  'TFT_Item_FryingPan'
+];
+
+class TFTItemsCDragonFetcher {
+  constructor() {
+    this.cdragonsUrl = 'https://raw.communitydragon.org/15.9/cdragon/tft/en_us.json';
+    this.cdragonsGameUrl = 'https://raw.communitydragon.org/15.9/game';
+    this.outputDir = './assets/items';
+    this.imagesDir = path.join(this.outputDir, 'images');
+    this.version = '15.9';
+  }
+
+  /**
+   * Download file from URL with retry logic
+   */
+  async downloadFile(url, filepath, retries = 3) {
+    return new Promise((resolve, reject) => {
+      const attempt = (retriesLeft) => {
+        https.get(url, (response) => {
+          if (response.statusCode === 200) {
+            const file = fs.createWriteStream(filepath);
+            response.pipe(file);
+            file.on('finish', () => {
+              file.close();
+              resolve();
+            });
+          } else if (response.statusCode >= 500 && retriesLeft > 0) {
+            response.resume();
+            console.log(`   Retrying download (${retriesLeft} attempts left): ${path.basename(filepath)}`);
+            setTimeout(() => attempt(retriesLeft - 1), 1000);
+          } else {
+            response.resume();
+            reject(new Error(`HTTP ${response.statusCode}: ${url}`));
+          }
+        }).on('error', (err) => {
+          if (retriesLeft > 0) {
+            console.log(`   Retrying download due to error (${retriesLeft} attempts left): ${err.message}`);
+            setTimeout(() => attempt(retriesLeft - 1), 1000);
+          } else {
+            reject(err);
+          }
+        });
+      };
+
+      attempt(retries);
+    });
+  }
+
+  /**
+   * Fetch JSON data from URL
+   */
+  async fetchJson(url) {
+    return new Promise((resolve, reject) => {
+      https.get(url, (response) => {
+        let data = '';
+
+        response.on('data', (chunk) => {
+          data += chunk;
+        });
+
+        response.on('end', () => {
+          try {
+            resolve(JSON.parse(data));
+          } catch (error) {
+            reject(new Error(`Failed to parse JSON from ${url}: ${error.message}`));
+          }
+        });
+      }).on('error', reject);
+    });
+  }
+
+  /**
+   * Fetch Community Dragon data
+   */
+  async fetchCDragonData() {
+    console.log('📥 Fetching Community Dragon TFT data...');
+    console.log(`   URL: ${this.cdragonsUrl}`);
+
+    try {
+      const data = await this.fetchJson(this.cdragonsUrl);
+      console.log('   ✅ Community Dragon data fetched successfully');
+      return data;
+    } catch (error) {
+      throw new Error(`Failed to fetch Community Dragon data: ${error.message}`);
+    }
+  }
+
+  /**
+   * Clean and format item description
+   */
+  cleanDescription(desc) {
+    if (!desc) return '';
+
+    return desc
+      .replace(/<br\s*\/?>/gi, ' ')  // Line breaks become spaces
+      .replace(/<[^>]*>/g, '')       // Remove HTML tags
+      .replace(/%i:[^%]*%/g, '')     // Remove inline stat icons
+      .replace(/\s+/g, ' ')          // Normalize whitespace
+      .replace(/@([\w.]+)(\*\d+)?@/g, (match, name) => `{${name}}`)
+      .trim();
+  }
+
+  /**
+   * Turn a Community Dragon asset path into its downloadable PNG URL
+   */
+  getAssetUrl(assetPath) {
+    return `${this.cdragonsGameUrl}/${assetPath.toLowerCase().replace(/\.(tex|dds)$/, '.png')}`;
+  }
+
+  /**
+   * Determine item category from its key and recipe
+   * @returns {string|null} 'component', 'completed', 'emblem', 'artifact', 'radiant' or null (not a Set 14 item)
+   */
+  determineCategory(itemData) {
+    const key = itemData.apiName;
+    const composition = itemData.composition || [];
+
+    if (COMPONENT_KEYS.includes(key)) {
+      return 'component';
+    }
+    if (/^TFT14_Item_\w+EmblemItem$/.test(key)) {
+      return 'emblem';
+    }
+    if (key.startsWith('TFT_Item_Artifact_')) {
+      return 'artifact';
+    }
+    if (/^TFT5_Item_\w+Radiant$/.test(key)) {
+      return 'radiant';
+    }
+    if (key.startsWith('TFT_Item_') && composition.length === 2 &&
+      composition.every(component => COMPONENT_KEYS.includes(component))) {
+      return 'completed';
+    }
+
+    return null;
+  }
+
+  /**
+   * Process item data from Community Dragon
+   */
+  processItemData(itemData, category) {
+    const description = this.cleanDescription(itemData.desc);
+    const composition = itemData.composition || [];
+
+    return {
+      key: itemData.apiName,
+      name: itemData.name,
+      category: category,
+      description: description,
+      // Only two-component recipes are craftable; everything else has none
+      components: composition.length === 2 ? composition : [],
+      effects: itemData.effects || {},
+      unique: Boolean(itemData.unique),
+      image: itemData.icon ? `${itemData.apiName}.png` : null,
+      imageSource: itemData.icon || null,
+      source: 'community-dragon',
+      searchText: `${itemData.name} ${description}`.toLowerCase()
+    };
+  }
+
+  /**
+   * Download item icons
+   */
+  async downloadImages(items) {
+    console.log('🖼️  Downloading item icons...');
+
+    if (!fs.existsSync(this.imagesDir)) {
+      fs.mkdirSync(this.imagesDir, { recursive: true });
+    }
+
+    let downloaded = 0;
+    let skipped = 0;
+    let failed = 0;
+
+    for (const item of items) {
+      if (!item.image) continue;
+
+      const imagePath = path.join(this.imagesDir, item.image);
+
+      // Skip if image already exists
+      if (fs.existsSync(imagePath)) {
+        skipped++;
+        continue;
+      }
+
+      try {
+        await this.downloadFile(this.getAssetUrl(item.imageSource), imagePath);
+        downloaded++;
+
+        if (downloaded % 10 === 0) {
+          console.log(`   Downloaded ${downloaded} icons...`);
+        }
+      } catch (error) {
+        failed++;
+        console.warn(`   ⚠️  Failed to download ${item.image}: ${error.message}`);
+      }
+    }
+
+    console.log(`   ✅ Downloaded: ${downloaded}, Skipped: ${skipped}, Failed: ${failed}`);
+  }
+
+  /**
+   * Generate statistics
+   */
+  generateStats(items) {
+    const categoryBreakdown = items.reduce((acc, item) => {
+      acc[item.category] = (acc[item.category] || 0) + 1;
+      return acc;
+    }, {});
+
+    return {
+      version: this.version,
+      dataSource: 'community-dragon',
+      sourceUrl: this.cdragonsUrl,
+      setNumber: 14,
+      setName: 'Cyber City',
+      totalItems: items.length,
+      lastUpdated: new Date().toISOString(),
+      categoryBreakdown: categoryBreakdown
+    };
+  }
+
+  /**
+   * Save items data to files
+   */
+  async saveData(items) {
+    console.log('💾 Saving data files...');
+
+    if (!fs.existsSync(this.outputDir)) {
+      fs.mkdirSync(this.outputDir, { recursive: true });
+    }
+
+    const stats = this.generateStats(items);
+
+    // Main data file with full information (download-only fields dropped)
+    const mainData = {
+      ...stats,
+      items: items.map(({ imageSource, ...item }) => item)
+    };
+
+    const mainPath = path.join(this.outputDir, 'tft-set14-items.json');
+    fs.writeFileSync(mainPath, JSON.stringify(mainData, null, 2));
+    console.log(`   ✅ Saved main data: ${mainPath}`);
+
+    // Quick reference file with essential data only
+    const quickRef = items.map(item => ({
+      key: item.key,
+      name: item.name,
+      category: item.category,
+      components: item.components
+    }));
+
+    const quickRefPath = path.join(this.outputDir, 'items-quick-reference.json');
+    fs.writeFileSync(quickRefPath, JSON.stringify(quickRef, null, 2));
+    console.log(`   ✅ Saved quick reference: ${quickRefPath}`);
+
+    return { mainPath, quickRefPath, stats };
+  }
+
+  /**
+   * Main execution function
+   */
+  async run() {
+    try {
+      console.log('🚀 TFT Set 14 Items Fetcher (Community Dragon) Starting...\n');
+
+      const cdragonsData = await this.fetchCDragonData();
+
+      // Items are shared across sets; keep the categories Set 14 uses
+      console.log('⚙️  Processing Set 14 items...');
+      const processedItems = [];
+      const seenKeys = new Set();
+
+      cdragonsData.items.forEach(itemData => {
+        if (!itemData.apiName || seenKeys.has(itemData.apiName)) return;
+
+        const category = this.determineCategory(itemData);
+        if (!category) return;
+
+        seenKeys.add(itemData.apiName);
+        processedItems.push(this.processItemData(itemData, category));
+      });
+
+      const missingComponents = COMPONENT_KEYS.filter(key => !seenKeys.has(key));
+      if (missingComponents.length > 0) {
+        throw new Error(`Components missing from Community Dragon data: ${missingComponents.join(', ')}`);
+      }
+
+      // Sort by category and name
+      const categoryOrder = { component: 1, completed: 2, emblem: 3, artifact: 4, radiant: 5 };
+      processedItems.sort((a, b) =>
+        categoryOrder[a.category] - categoryOrder[b.category] || a.name.localeCompare(b.name)
+      );
+
+      await this.downloadImages(processedItems);
+
+      const { stats } = await this.saveData(processedItems);
+
+      console.log('\n🎉 Community Dragon fetch completed successfully!');
+      console.log(`   Total Items: ${stats.totalItems}`);
+      console.log(`   Category Breakdown:`);
+      Object.entries(stats.categoryBreakdown).forEach(([category, count]) => {
+        console.log(`     ${category}: ${count}`);
+      });
+      console.log(`   Files saved to: ${this.outputDir}`);
+
+    } catch (error) {
+      console.error('❌ Error:', error.message);
+      process.exit(1);
+    }
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  const fetcher = new TFTItemsCDragonFetcher();
+  fetcher.run();
+}
+
+module.exports = TFTItemsCDragonFetcher;
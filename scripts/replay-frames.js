@@ -0,0 +1,317 @@
+/**
+ * Offline frame replay harness for the CV pipeline
+ * Feeds labeled screenshots through SimpleCvProcessor and reports
+ * precision and recall per element type against ground truth, plus how
+ * well the HUD layout classifier tells TFT frames from others
+ *
+ * Usage: node scripts/replay-frames.js <ground-truth.json> [options]
+ *   --iou <n>            Minimum overlap for a detection to match a label (default 0.5)
+ *   --min-precision <n>  Exit with code 1 if any type's precision is lower
+ *   --min-recall <n>     Exit with code 1 if any type's recall is lower
+ *   --report <file>      Also write the full report as JSON
+ *   --verbose            Print every unmatched detection and label
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createExtensionContext } = require('./replay/extension-context');
+const { decodePng } = require('./replay/png-decoder');
+
+/**
+ * Parse command line arguments
+ * @returns {object} Options
+ */
+function parseArgs(argv) {
+  const options = { truthPath: null, iou: 0.5, minPrecision: null, minRecall: null, reportPath: null, verbose: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--iou') options.iou = Number(argv[++i]);
+    else if (arg === '--min-precision') options.minPrecision = Number(argv[++i]);
+    else if (arg === '--min-recall') options.minRecall = Number(argv[++i]);
+    else if (arg === '--report') options.reportPath = argv[++i];
+    else if (arg === '--verbose') options.verbose = true;
+    else if (!options.truthPath) options.truthPath = arg;
+    else throw new Error(`Unknown argument: ${arg}`);
+  }
+
+  if (!options.truthPath) {
+    throw new Error('Usage: node scripts/replay-frames.js <ground-truth.json> [--iou 0.5] [--min-recall 0.8]');
+  }
+
+  return options;
+}
+
+/**
+ * Load a frame as RGBA pixels
+ * PNG screenshots are decoded; anything else is read as raw RGBA
+ * (e.g. ffmpeg -pix_fmt rgba -f rawvideo), which needs width and height in the label
+ * @param {object} frame - Ground truth frame entry
+ * @param {string} baseDir - Directory image paths are relative to
+ * @returns {object} Image {width, height, data}
+ */
+function loadFrameImage(frame, baseDir) {
+  const contents = fs.readFileSync(path.resolve(baseDir, frame.image));
+
+  if (frame.image.toLowerCase().endsWith('.png')) {
+    return decodePng(contents);
+  }
+
+  if (!frame.width || !frame.height || contents.length !== frame.width * frame.height * 4) {
+    throw new Error(`${frame.image}: raw frames need width and height matching the file size`);
+  }
+
+  return { width: frame.width, height: frame.height, data: new Uint8ClampedArray(contents) };
+}
+
+/**
+ * Create the processor with recognizers, like TftExtension does
+ * @returns {Promise<object>} SimpleCvProcessor instance
+ */
+async function createProcessor(extension) {
+  const AugmentsDataManager = extension.get('AugmentsDataManager');
+  const TraitsDataManager = extension.get('TraitsDataManager');
+  const AugmentRecognizer = extension.get('AugmentRecognizer');
+  const TraitRecognizer = extension.get('TraitRecognizer');
+  const ChampionsDataManager = extension.get('ChampionsDataManager');
+  const ShopReader = extension.get('ShopReader');
+  const HudReader = extension.get('HudReader');
+  const HudLayoutClassifier = extension.get('HudLayoutClassifier');
+  const SimpleCvProcessor = extension.get('SimpleCvProcessor');
+
+  const augmentRecognizer = new AugmentRecognizer(new AugmentsDataManager({ viaBackground: false }));
+  const traitRecognizer = new TraitRecognizer(new TraitsDataManager({ viaBackground: false }));
+  const shopReader = new ShopReader(new ChampionsDataManager({ viaBackground: false }));
+  const hudReader = new HudReader();
+  await Promise.all([
+    augmentRecognizer.loadTemplates(),
+    traitRecognizer.loadTemplates(),
+    shopReader.loadTemplates(),
+    hudReader.loadTemplates()
+  ]);
+
+  return new SimpleCvProcessor({
+    augmentRecognizer,
+    traitRecognizer,
+    shopReader,
+    hudReader,
+    hudLayoutClassifier: new HudLayoutClassifier()
+  });
+}
+
+/**
+ * Greedily pair detections with labels of the same type by best overlap
+ * @returns {object} {matches, unmatchedDetections, unmatchedLabels}
+ */
+function matchElements(detections, labels, iouThreshold, computeOverlap) {
+  const pairs = [];
+
+  detections.forEach((detection, d) => {
+    labels.forEach((label, l) => {
+      if (detection.type !== label.type) return;
+      const overlap = computeOverlap(detection, label);
+      if (overlap >= iouThreshold) pairs.push({ d, l, overlap });
+    });
+  });
+
+  pairs.sort((a, b) => b.overlap - a.overlap);
+  const usedDetections = new Set();
+  const usedLabels = new Set();
+  const matches = [];
+
+  pairs.forEach(({ d, l, overlap }) => {
+    if (usedDetections.has(d) || usedLabels.has(l)) return;
+    usedDetections.add(d);
+    usedLabels.add(l);
+    matches.push({ detection: detections[d], label: labels[l], overlap });
+  });
+
+  return {
+    matches,
+    unmatchedDetections: detections.filter((_, d) => !usedDetections.has(d)),
+    unmatchedLabels: labels.filter((_, l) => !usedLabels.has(l))
+  };
+}
+
+/**
+ * Add one frame's results to the per-type totals
+ */
+function accumulate(totals, result) {
+  const typeTotals = type => {
+    totals[type] = totals[type] || { truePositives: 0, falsePositives: 0, falseNegatives: 0, keyed: 0, keyCorrect: 0 };
+    return totals[type];
+  };
+
+  result.matches.forEach(({ detection, label }) => {
+    const entry = typeTotals(label.type);
+    entry.truePositives++;
+
+    // Recognized elements (augments, traits) are also checked for the right key,
+    // HUD readouts (gold, hud) for the right value
+    if (label.key) {
+      entry.keyed++;
+      if (detection.key === label.key) entry.keyCorrect++;
+    } else if (label.value !== undefined) {
+      entry.keyed++;
+      if (JSON.stringify(detection.value) === JSON.stringify(label.value)) entry.keyCorrect++;
+    }
+  });
+  result.unmatchedDetections.forEach(detection => typeTotals(detection.type).falsePositives++);
+  result.unmatchedLabels.forEach(label => typeTotals(label.type).falseNegatives++);
+}
+
+/**
+ * Turn totals into precision/recall per type
+ * @returns {object} Metrics keyed by element type
+ */
+function computeMetrics(totals) {
+  const metrics = {};
+
+  Object.entries(totals).forEach(([type, t]) => {
+    const detected = t.truePositives + t.falsePositives;
+    const labeled = t.truePositives + t.falseNegatives;
+
+    metrics[type] = {
+      ...t,
+      precision: detected > 0 ? t.truePositives / detected : null,
+      recall: labeled > 0 ? t.truePositives / labeled : null,
+      keyAccuracy: t.keyed > 0 ? t.keyCorrect / t.keyed : null
+    };
+  });
+
+  return metrics;
+}
+
+/**
+ * Print the metrics table
+ */
+function printMetrics(metrics) {
+  const format = value => (value === null ? '   -  ' : `${(value * 100).toFixed(1).padStart(5)}%`);
+
+  console.log('\n📊 Detection quality by element type:');
+  console.log('   type        TP    FP    FN   precision  recall   key acc.');
+
+  Object.entries(metrics).sort().forEach(([type, m]) => {
+    console.log(`   ${type.padEnd(10)} ${String(m.truePositives).padStart(4)}  ${String(m.falsePositives).padStart(4)}  ` +
+      `${String(m.falseNegatives).padStart(4)}    ${format(m.precision)}   ${format(m.recall)}   ${format(m.keyAccuracy)}`);
+  });
+}
+
+/**
+ * Print how many frames labeled with isTft the HUD layout score classified correctly
+ * A frame counts as TFT when its score alone would reach the confidence threshold
+ */
+function printHudLayoutAccuracy(frames, threshold) {
+  const labeled = frames.filter(frame => typeof frame.isTft === 'boolean' && frame.hudScore !== null);
+  if (labeled.length === 0) return;
+
+  const correct = labeled.filter(frame => (frame.hudScore >= threshold) === frame.isTft).length;
+  console.log(`\n🖥️  HUD layout: ${correct}/${labeled.length} frames classified correctly (threshold ${threshold})`);
+}
+
+/**
+ * Check the metrics against the --min-precision / --min-recall gates
+ * @returns {Array} Failure messages
+ */
+function checkThresholds(metrics, options) {
+  const failures = [];
+
+  Object.entries(metrics).forEach(([type, m]) => {
+    if (options.minPrecision !== null && m.precision !== null && m.precision < options.minPrecision) {
+      failures.push(`${type} precision ${m.precision.toFixed(3)} < ${options.minPrecision}`);
+    }
+    if (options.minRecall !== null && m.recall !== null && m.recall < options.minRecall) {
+      failures.push(`${type} recall ${m.recall.toFixed(3)} < ${options.minRecall}`);
+    }
+  });
+
+  return failures;
+}
+
+/**
+ * Replay one labeled frame
+ * @returns {Promise<object>} Frame report
+ */
+async function replayFrame(processor, extension, frame, baseDir, options) {
+  const image = loadFrameImage(frame, baseDir);
+
+  // Frames can carry a channel profile so calibrated layouts are replayed as well
+  processor.setCalibratedRegions(frame.profile?.regions || null);
+  processor.setEnabledDetectors(frame.profile?.detectors || null);
+
+  const startTime = performance.now();
+  const detections = await processor.detectTftElements({
+    imageData: image,
+    width: image.width,
+    height: image.height
+  });
+  const processingTime = performance.now() - startTime;
+
+  const computeOverlap = extension.get('RegionUtils').computeOverlap;
+  const result = matchElements(detections, frame.elements || [], options.iou, computeOverlap);
+
+  if (options.verbose) {
+    result.unmatchedDetections.forEach(d => console.log(`   ➕ ${frame.image}: unexpected ${d.type} ${d.id} at ${d.x},${d.y} ${d.width}x${d.height}`));
+    result.unmatchedLabels.forEach(l => console.log(`   ➖ ${frame.image}: missed ${l.type} at ${l.x},${l.y} ${l.width}x${l.height}`));
+  }
+
+  const hudScore = processor.lastHudLayout ? processor.lastHudLayout.score : null;
+  return { image: frame.image, processingTime, detections: detections.length, hudScore, ...result };
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const truth = JSON.parse(fs.readFileSync(options.truthPath, 'utf8'));
+  const baseDir = path.dirname(path.resolve(options.truthPath));
+
+  console.log(`🎞️  Replaying ${truth.frames.length} frames from ${options.truthPath}`);
+
+  const extension = createExtensionContext();
+  const processor = await createProcessor(extension);
+  const totals = {};
+  const frames = [];
+
+  for (const frame of truth.frames) {
+    try {
+      const report = await replayFrame(processor, extension, frame, baseDir, options);
+      accumulate(totals, report);
+      frames.push({
+        image: report.image,
+        detections: report.detections,
+        processingTime: report.processingTime,
+        hudScore: report.hudScore,
+        isTft: frame.isTft
+      });
+      console.log(`   ${frame.image}: ${report.detections} detections, ${report.matches.length}/${(frame.elements || []).length} labels matched, ` +
+        `HUD ${report.hudScore === null ? '-' : report.hudScore.toFixed(2)} (${Math.round(report.processingTime)}ms)`);
+    } catch (error) {
+      console.error(`❌ ${frame.image}: ${error.message}`);
+      process.exitCode = 1;
+    }
+  }
+
+  const metrics = computeMetrics(totals);
+  printMetrics(metrics);
+  printHudLayoutAccuracy(frames, extension.get('CONFIG').STREAM_MONITORING.TFT_CONFIDENCE_THRESHOLD);
+
+  if (options.reportPath) {
+    fs.writeFileSync(options.reportPath, JSON.stringify({ iou: options.iou, metrics, frames }, null, 2));
+    console.log(`\n💾 Report written to ${options.reportPath}`);
+  }
+
+  const failures = checkThresholds(metrics, options);
+  if (failures.length > 0) {
+    console.error('\n❌ Quality gates failed:');
+    failures.forEach(failure => console.error(`   ${failure}`));
+    process.exitCode = 1;
+  }
+}
+
+if (require.main === module) {
+  main().catch(error => {
+    console.error('❌ Replay failed:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { matchElements, computeMetrics, loadFrameImage };
@@ -0,0 +1,132 @@
+/**
+ * Extension context for the frame replay harness
+ * Loads the content scripts into a Node vm context with just enough browser
+ * shims (canvas, fetch, createImageBitmap, chrome.runtime) for the CV pipeline
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { decodePng } = require('./png-decoder');
+
+const ROOT_DIR = path.resolve(__dirname, '..', '..');
+const EXTENSION_URL_PREFIX = 'chrome-extension://replay/';
+
+// Content scripts that start the extension or need a live page are not loaded
+const SKIPPED_SCRIPTS = ['content-scripts/main.js'];
+
+/**
+ * 2D context shim backed by an RGBA buffer
+ * Only supports what template loading needs: drawing a bitmap at 0,0 and reading it back
+ */
+class CanvasContextShim {
+  constructor(canvas) {
+    this.canvas = canvas;
+    this.data = null;
+  }
+
+  drawImage(image, x = 0, y = 0) {
+    if (x !== 0 || y !== 0) {
+      throw new Error('Canvas shim only draws images at 0,0');
+    }
+    this.data = new Uint8ClampedArray(this.canvas.width * this.canvas.height * 4);
+    this.data.set(image.data.subarray(0, this.data.length));
+  }
+
+  getImageData(x, y, width, height) {
+    if (x !== 0 || y !== 0 || width !== this.canvas.width || height !== this.canvas.height) {
+      throw new Error('Canvas shim only reads back the whole canvas');
+    }
+    return { width, height, data: this.data || new Uint8ClampedArray(width * height * 4) };
+  }
+}
+
+class CanvasShim {
+  constructor() {
+    this.width = 300;
+    this.height = 150;
+    this.context = new CanvasContextShim(this);
+  }
+
+  getContext() {
+    return this.context;
+  }
+
+  remove() {}
+}
+
+/**
+ * fetch() shim that serves extension URLs from the repository
+ * @param {string} url - URL produced by chrome.runtime.getURL
+ * @returns {Promise<object>} Response-like object
+ */
+async function fetchExtensionResource(url) {
+  const relativePath = url.startsWith(EXTENSION_URL_PREFIX) ? url.slice(EXTENSION_URL_PREFIX.length) : url;
+  const filePath = path.join(ROOT_DIR, relativePath);
+
+  if (!fs.existsSync(filePath)) {
+    return { ok: false, status: 404 };
+  }
+
+  const contents = fs.readFileSync(filePath);
+  return {
+    ok: true,
+    status: 200,
+    json: async () => JSON.parse(contents.toString('utf8')),
+    blob: async () => contents
+  };
+}
+
+/**
+ * createImageBitmap() shim; PNG only
+ * @param {Buffer} blob - PNG file contents from the fetch shim
+ * @returns {Promise<object>} Bitmap {width, height, data, close()}
+ */
+async function createImageBitmapShim(blob) {
+  const image = decodePng(blob);
+  return { ...image, close() {} };
+}
+
+/**
+ * Create a vm context with the extension's content scripts loaded
+ * @param {object} options - {logLevel}
+ * @returns {object} {context, get(name)} where get() reads a top-level binding
+ */
+function createExtensionContext(options = {}) {
+  const context = vm.createContext({
+    console,
+    performance,
+    fetch: fetchExtensionResource,
+    createImageBitmap: createImageBitmapShim,
+    document: { createElement: () => new CanvasShim() },
+    chrome: {
+      runtime: {
+        getURL: resourcePath => EXTENSION_URL_PREFIX + resourcePath,
+        sendMessage: async () => {
+          throw new Error('No background service worker in replay');
+        }
+      },
+      storage: { onChanged: { addListener() {}, removeListener() {} } }
+    }
+  });
+
+  const manifest = JSON.parse(fs.readFileSync(path.join(ROOT_DIR, 'manifest.json'), 'utf8'));
+  const scripts = manifest.content_scripts[0].js.filter(script => !SKIPPED_SCRIPTS.includes(script));
+
+  scripts.forEach(script => {
+    const source = fs.readFileSync(path.join(ROOT_DIR, script), 'utf8');
+    vm.runInContext(source, context, { filename: script });
+
+    // Quiet the pipeline's logging before anything else logs
+    if (script.endsWith('config.js')) {
+      vm.runInContext(`CONFIG.LOGGING.LEVEL = ${JSON.stringify(options.logLevel || 'warn')};`, context);
+    }
+  });
+
+  return {
+    context,
+    get: name => vm.runInContext(name, context)
+  };
+}
+
+module.exports = { createExtensionContext, ROOT_DIR };
@@ -0,0 +1,95 @@
+/**
+ * Frame drawing helpers for tests that build frames from the bundled art
+ * Frames are {width, height, data} with RGBA data, like decoded screenshots,
+ * and go through SimpleCvProcessor.convertToGrayscale like captured ones
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ROOT_DIR } = require('./extension-context');
+const { decodePng } = require('./png-decoder');
+
+/**
+ * Create a frame filled with one color
+ * @param {number} width - Frame width
+ * @param {number} height - Frame height
+ * @param {Array} color - Background [r, g, b]
+ * @returns {object} Frame {width, height, data}
+ */
+function createFrame(width, height, color = [0, 0, 0]) {
+  const frame = { width, height, data: new Uint8ClampedArray(width * height * 4) };
+  fillRegion(frame, { x: 0, y: 0, width, height }, color);
+  return frame;
+}
+
+/**
+ * Fill a frame region with a color, optionally only a ring of some thickness
+ * @param {object} frame - Frame to draw on
+ * @param {object} region - Region in frame pixels
+ * @param {Array} color - Fill [r, g, b]
+ * @param {number|null} ringThickness - Ring width in pixels; null fills the whole region
+ */
+function fillRegion(frame, region, color, ringThickness = null) {
+  for (let y = region.y; y < region.y + region.height; y++) {
+    for (let x = region.x; x < region.x + region.width; x++) {
+      const inRing = ringThickness === null ||
+        y < region.y + ringThickness || y >= region.y + region.height - ringThickness ||
+        x < region.x + ringThickness || x >= region.x + region.width - ringThickness;
+      if (inRing) {
+        frame.data.set([...color, 255], (y * frame.width + x) * 4);
+      }
+    }
+  }
+}
+
+/**
+ * Draw an image into a frame region, nearest-neighbor scaled and composited on black
+ * @param {object} frame - Frame to draw on
+ * @param {object} image - Decoded image {width, height, data}
+ * @param {object} region - Target region in frame pixels
+ */
+function drawImage(frame, image, region) {
+  for (let y = 0; y < region.height; y++) {
+    for (let x = 0; x < region.width; x++) {
+      const source = (Math.floor(y * image.height / region.height) * image.width +
+        Math.floor(x * image.width / region.width)) * 4;
+      const target = ((region.y + y) * frame.width + region.x + x) * 4;
+      const alpha = image.data[source + 3] / 255;
+
+      for (let channel = 0; channel < 3; channel++) {
+        frame.data[target + channel] = Math.round(image.data[source + channel] * alpha);
+      }
+      frame.data[target + 3] = 255;
+    }
+  }
+}
+
+/**
+ * Draw a '#'/'.' bitmap (e.g. a GLYPH_TEMPLATES entry) with square pixels
+ * @param {object} frame - Frame to draw on
+ * @param {Array<string>} rows - Bitmap rows, '#' for ink
+ * @param {number} x - Left edge in frame pixels
+ * @param {number} y - Top edge in frame pixels
+ * @param {number} scale - Frame pixels per bitmap pixel
+ * @param {Array} color - Ink [r, g, b]
+ */
+function drawBitmap(frame, rows, x, y, scale, color) {
+  rows.forEach((row, rowIndex) => {
+    [...row].forEach((cell, column) => {
+      if (cell === '#') {
+        fillRegion(frame, { x: x + column * scale, y: y + rowIndex * scale, width: scale, height: scale }, color);
+      }
+    });
+  });
+}
+
+/**
+ * Decode a PNG from the repository
+ * @param {string} relativePath - Path from the repository root
+ * @returns {object} Image {width, height, data}
+ */
+function loadImage(relativePath) {
+  return decodePng(fs.readFileSync(path.join(ROOT_DIR, relativePath)));
+}
+
+module.exports = { createFrame, fillRegion, drawImage, drawBitmap, loadImage };
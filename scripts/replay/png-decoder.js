@@ -0,0 +1,165 @@
+/**
+ * Minimal PNG decoder for the frame replay harness
+ * Supports 8-bit, non-interlaced images of every color type, which covers
+ * browser/OBS screenshots and the bundled icon assets
+ */
+
+const zlib = require('zlib');
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// Channels per pixel by color type
+const CHANNELS = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+
+/**
+ * Split a PNG file into its header, palette and compressed image data
+ * @param {Buffer} buffer - PNG file contents
+ * @returns {object} {header, palette, transparency, compressed}
+ */
+function readChunks(buffer) {
+  if (!buffer.subarray(0, 8).equals(PNG_SIGNATURE)) {
+    throw new Error('Not a PNG file');
+  }
+
+  const result = { header: null, palette: null, transparency: null, dataChunks: [] };
+  let offset = 8;
+
+  while (offset < buffer.length) {
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.toString('ascii', offset + 4, offset + 8);
+    const data = buffer.subarray(offset + 8, offset + 8 + length);
+    offset += length + 12; // length + type + data + CRC
+
+    if (type === 'IHDR') {
+      result.header = {
+        width: data.readUInt32BE(0),
+        height: data.readUInt32BE(4),
+        bitDepth: data[8],
+        colorType: data[9],
+        interlace: data[12]
+      };
+    } else if (type === 'PLTE') {
+      result.palette = data;
+    } else if (type === 'tRNS') {
+      result.transparency = data;
+    } else if (type === 'IDAT') {
+      result.dataChunks.push(data);
+    } else if (type === 'IEND') {
+      break;
+    }
+  }
+
+  return { ...result, compressed: Buffer.concat(result.dataChunks) };
+}
+
+/**
+ * Paeth predictor from the PNG specification
+ */
+function paeth(left, up, upLeft) {
+  const estimate = left + up - upLeft;
+  const distLeft = Math.abs(estimate - left);
+  const distUp = Math.abs(estimate - up);
+  const distUpLeft = Math.abs(estimate - upLeft);
+
+  if (distLeft <= distUp && distLeft <= distUpLeft) return left;
+  return distUp <= distUpLeft ? up : upLeft;
+}
+
+/**
+ * Reverse the per-scanline filters
+ * @param {Buffer} raw - Inflated data (filter byte + scanline per row)
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {number} bytesPerPixel - Bytes per pixel
+ * @returns {Uint8Array} Unfiltered pixel bytes
+ */
+function unfilter(raw, width, height, bytesPerPixel) {
+  const stride = width * bytesPerPixel;
+  const pixels = new Uint8Array(stride * height);
+
+  for (let y = 0; y < height; y++) {
+    const filter = raw[y * (stride + 1)];
+    const source = y * (stride + 1) + 1;
+    const row = y * stride;
+
+    for (let x = 0; x < stride; x++) {
+      const left = x >= bytesPerPixel ? pixels[row + x - bytesPerPixel] : 0;
+      const up = y > 0 ? pixels[row - stride + x] : 0;
+      const upLeft = y > 0 && x >= bytesPerPixel ? pixels[row - stride + x - bytesPerPixel] : 0;
+      const value = raw[source + x];
+
+      switch (filter) {
+        case 0: pixels[row + x] = value; break;
+        case 1: pixels[row + x] = value + left; break;
+        case 2: pixels[row + x] = value + up; break;
+        case 3: pixels[row + x] = value + ((left + up) >> 1); break;
+        case 4: pixels[row + x] = value + paeth(left, up, upLeft); break;
+        default: throw new Error(`Unknown PNG filter type ${filter}`);
+      }
+    }
+  }
+
+  return pixels;
+}
+
+/**
+ * Expand decoded pixels of any color type to RGBA
+ */
+function toRgba(pixels, header, palette, transparency) {
+  const { width, height, colorType } = header;
+  const channels = CHANNELS[colorType];
+  const rgba = new Uint8ClampedArray(width * height * 4);
+
+  for (let i = 0; i < width * height; i++) {
+    const p = i * channels;
+    const o = i * 4;
+
+    if (colorType === 3) {
+      const index = pixels[p];
+      rgba[o] = palette[index * 3];
+      rgba[o + 1] = palette[index * 3 + 1];
+      rgba[o + 2] = palette[index * 3 + 2];
+      rgba[o + 3] = transparency && index < transparency.length ? transparency[index] : 255;
+    } else if (colorType === 0 || colorType === 4) {
+      rgba[o] = rgba[o + 1] = rgba[o + 2] = pixels[p];
+      rgba[o + 3] = colorType === 4 ? pixels[p + 1] : 255;
+    } else {
+      rgba[o] = pixels[p];
+      rgba[o + 1] = pixels[p + 1];
+      rgba[o + 2] = pixels[p + 2];
+      rgba[o + 3] = colorType === 6 ? pixels[p + 3] : 255;
+    }
+  }
+
+  return rgba;
+}
+
+/**
+ * Decode a PNG file to RGBA pixels
+ * @param {Buffer} buffer - PNG file contents
+ * @returns {object} Image {width, height, data} with RGBA data, like ImageData
+ */
+function decodePng(buffer) {
+  const { header, palette, transparency, compressed } = readChunks(buffer);
+
+  if (!header) {
+    throw new Error('PNG is missing its IHDR chunk');
+  }
+  if (header.bitDepth !== 8 || header.interlace !== 0 || !(header.colorType in CHANNELS)) {
+    throw new Error(`Unsupported PNG format (bit depth ${header.bitDepth}, color type ${header.colorType}, interlace ${header.interlace})`);
+  }
+  if (header.colorType === 3 && !palette) {
+    throw new Error('Palette PNG is missing its PLTE chunk');
+  }
+
+  const raw = zlib.inflateSync(compressed);
+  const pixels = unfilter(raw, header.width, header.height, CHANNELS[header.colorType]);
+
+  return {
+    width: header.width,
+    height: header.height,
+    data: toRgba(pixels, header, palette, transparency)
+  };
+}
+
+module.exports = { decodePng };
@@ -0,0 +1,71 @@
+/**
+ * ChampionsDataManager: loading the generated data set, and running without it
+ * Run with: node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createExtensionContext } = require('../scripts/replay/extension-context');
+
+const FIXTURE_PATH = 'tests/fixtures/tft-set14-champions.json';
+
+// Values from the vm context have its own prototypes; compare them as plain data
+const plain = value => JSON.parse(JSON.stringify(value));
+
+/**
+ * Load the content scripts with the champions data set at a path
+ * @param {string} championsPath - Extension-relative path of the data set
+ */
+function createContext(championsPath) {
+  const extension = createExtensionContext({ logLevel: 'error' });
+  extension.get('CONFIG').DATA.CHAMPIONS_PATH = championsPath;
+  return extension;
+}
+
+test('loads and indexes the champions data set', async () => {
+  const { get } = createContext(FIXTURE_PATH);
+  const manager = new (get('ChampionsDataManager'))();
+
+  assert.strictEqual(await manager.loadData(), true);
+  assert.strictEqual(manager.getLoadError(), null);
+  assert.strictEqual(manager.getChampion('TFT14_Darius').cost, 2);
+  assert.deepStrictEqual(
+    plain(manager.getChampionsByTrait('TFT14_Bruiser').map(champion => champion.key)),
+    ['TFT14_Alistar', 'TFT14_Darius']
+  );
+});
+
+test('runs without champion data when the data set is not bundled', async () => {
+  const { get } = createContext('assets/champions/missing-champions.json');
+  const manager = new (get('ChampionsDataManager'))();
+
+  assert.strictEqual(await manager.loadData(), false);
+  assert.strictEqual(manager.isDataLoaded(), false);
+  assert.match(manager.getLoadError(), /404/);
+
+  // Lookups answer "nothing" instead of throwing
+  assert.strictEqual(manager.getChampion('TFT14_Darius'), null);
+  assert.deepStrictEqual(plain(manager.getAllChampions()), []);
+  assert.deepStrictEqual(plain(manager.getChampionsByTrait('TFT14_Bruiser')), []);
+  assert.deepStrictEqual(plain(manager.searchChampions('darius')), []);
+  assert.strictEqual(manager.getStats(), null);
+
+  // Everything built on champions stays off
+  const shopReader = new (get('ShopReader'))(manager);
+  assert.strictEqual(await shopReader.loadTemplates(), 0);
+
+  const traitsManager = new (get('TraitsDataManager'))();
+  await traitsManager.loadData();
+  const tooltipBuilder = new (get('ElementTooltipBuilder'))(null, traitsManager, manager);
+  assert.strictEqual(tooltipBuilder.buildChampionTooltip({ type: 'shop_slot', key: 'TFT14_Darius' }), null);
+});
+
+test('reload clears the previous load error', async () => {
+  const { get } = createContext('assets/champions/missing-champions.json');
+  const manager = new (get('ChampionsDataManager'))();
+  await manager.loadData();
+
+  get('CONFIG').DATA.CHAMPIONS_PATH = FIXTURE_PATH;
+  assert.strictEqual(await manager.reload(), true);
+  assert.strictEqual(manager.getLoadError(), null);
+});
@@ -0,0 +1,79 @@
+/**
+ * ChannelProfileStore: calibrated regions are checked before they are stored,
+ * and panel visibility is kept per panel
+ * Run with: node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createExtensionContext } = require('../scripts/replay/extension-context');
+
+// Values from the vm context have its own prototypes; compare them as plain data
+const plain = value => JSON.parse(JSON.stringify(value));
+
+const SHOP_REGION = { x: 0.25, y: 0.86, width: 0.5, height: 0.13, name: 'shop' };
+
+/**
+ * Create a store backed by an in-memory chrome.storage.local
+ * @returns {object} {store, stored: () => stored profiles}
+ */
+function createStore() {
+  const { context, get } = createExtensionContext({ logLevel: 'error' });
+  let stored = {};
+  context.chrome.storage.local = {
+    get: async key => ({ [key]: stored[key] }),
+    set: async value => {
+      stored = { ...stored, ...value };
+    }
+  };
+
+  return {
+    store: new (get('ChannelProfileStore'))(),
+    stored: () => plain(stored[get('CHANNEL_PROFILES_STORAGE_KEY')] || {})
+  };
+}
+
+test('stores calibrated regions of known groups', async () => {
+  const { store, stored } = createStore();
+
+  const profile = await store.updateProfile('streamer', { regions: { SHOP: [SHOP_REGION] } });
+
+  assert.deepStrictEqual(plain(profile.regions), { SHOP: [SHOP_REGION] });
+  assert.deepStrictEqual(stored().streamer.regions, { SHOP: [SHOP_REGION] });
+});
+
+test('rejects regions of unknown groups or outside the frame', async () => {
+  const { store, stored } = createStore();
+  const invalidChanges = [
+    { regions: { BOARD: [SHOP_REGION] } },
+    { regions: { SHOP: [] } },
+    { regions: { SHOP: [{ ...SHOP_REGION, x: 0.75 }] } },
+    { regions: { SHOP: [{ ...SHOP_REGION, width: -0.5 }] } },
+    { regions: { SHOP: [{ x: 120, y: 300, width: 320, height: 50, name: 'shop' }] } },
+    { regions: [SHOP_REGION] }
+  ];
+
+  for (const changes of invalidChanges) {
+    await assert.rejects(store.updateProfile('streamer', changes), /Invalid channel profile: regions/);
+  }
+  assert.deepStrictEqual(stored(), {});
+});
+
+test('stores the timeline panel visibility with the other panels', async () => {
+  const { store, stored } = createStore();
+
+  const profile = await store.updateProfile('streamer', { overlay: { panels: { timeline: { visible: false } } } });
+
+  assert.strictEqual(profile.overlay.panels.timeline.visible, false);
+  assert.deepStrictEqual(stored().streamer.overlay.panels, { timeline: { visible: false } });
+  await assert.rejects(store.updateProfile('streamer', { detectors: { timeline: false } }), /detectors/);
+});
+
+test('resets calibrated regions to the built-in search areas', async () => {
+  const { store } = createStore();
+  await store.updateProfile('streamer', { regions: { SHOP: [SHOP_REGION] } });
+
+  const profile = await store.updateProfile('streamer', { regions: null });
+
+  assert.strictEqual(profile.regions, null);
+});
@@ -0,0 +1,133 @@
+/**
+ * CompositionAnalyzer: the board's traits read from the trait tracker, and
+ * a board given as champions
+ * Run with: node --test tests/
+ *
+ * The tracker is drawn with the bundled trait icons and counters in the
+ * built-in glyphs, and read by the real TraitRecognizer
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createExtensionContext } = require('../scripts/replay/extension-context');
+const { createFrame, drawImage, drawBitmap, loadImage } = require('../scripts/replay/frame-drawing');
+
+const FRAME_WIDTH = 640;
+const FRAME_HEIGHT = 360;
+
+// Tracker rows inside CONFIG.TFT_REGIONS.TRAITS, one icon height (5% of 360) each
+const ICON_SIZE = 18;
+const TRACKER = [
+  { key: 'TFT14_Bruiser', counter: '4/6', y: 90 },
+  { key: 'TFT14_Suits', counter: '3/4', y: 120 },
+  { key: 'TFT14_Marksman', counter: '1/2', y: 150 }
+];
+
+// Values from the vm context have its own prototypes; compare them as plain data
+const plain = value => JSON.parse(JSON.stringify(value));
+
+/**
+ * Draw the trait tracker: each trait icon with its unit counter to the right
+ * @returns {object} Frame {width, height, data}
+ */
+function drawTracker(get, traitsManager) {
+  const frame = createFrame(FRAME_WIDTH, FRAME_HEIGHT, [12, 14, 20]);
+  const glyphs = get('GLYPH_TEMPLATES');
+  const glyphScale = 2;
+
+  TRACKER.forEach(row => {
+    const icon = loadImage(`assets/traits/images/${traitsManager.getTrait(row.key).image}`);
+    drawImage(frame, icon, { x: 0, y: row.y, width: ICON_SIZE, height: ICON_SIZE });
+
+    [...row.counter].forEach((character, index) => {
+      drawBitmap(frame, glyphs[character], ICON_SIZE + 1 + index * 12, row.y + 2, glyphScale, [235, 235, 235]);
+    });
+  });
+
+  return frame;
+}
+
+/**
+ * Load the content scripts with the traits data and the trait icon templates
+ */
+async function createPipeline() {
+  const { get } = createExtensionContext({ logLevel: 'error' });
+  get('CONFIG').DATA.CHAMPIONS_PATH = 'tests/fixtures/tft-set14-champions.json';
+
+  const traitsManager = new (get('TraitsDataManager'))();
+  const championsManager = new (get('ChampionsDataManager'))();
+  const traitRecognizer = new (get('TraitRecognizer'))(traitsManager);
+  await Promise.all([championsManager.loadData(), traitRecognizer.loadTemplates()]);
+
+  return {
+    get,
+    traitsManager,
+    processor: new (get('SimpleCvProcessor'))({ traitRecognizer }),
+    tracker: new (get('GameStateTracker'))(),
+    analyzer: new (get('CompositionAnalyzer'))(traitsManager, championsManager)
+  };
+}
+
+test('breaks down the traits read from the trait tracker', async () => {
+  const { get, traitsManager, processor, tracker, analyzer } = await createPipeline();
+  const frame = drawTracker(get, traitsManager);
+  const gray = processor.convertToGrayscale(frame);
+
+  const elements = processor.detectTraitTracker(gray, FRAME_WIDTH, FRAME_HEIGHT);
+  assert.deepStrictEqual(
+    Array.from(elements, element => [element.key, element.count]),
+    [['TFT14_Bruiser', 4], ['TFT14_Suits', 3], ['TFT14_Marksman', 1]]
+  );
+
+  for (let timestamp = 0; timestamp < get('CONFIG').GAME_STATE.CONFIRM_FRAMES; timestamp++) {
+    tracker.update({ elements, timestamp });
+  }
+
+  const analysis = analyzer.analyzeTraits(tracker.getState().traits);
+  assert.deepStrictEqual(
+    plain(analysis.traits.map(trait => [trait.name, trait.count, trait.effect?.tierName ?? null, trait.progress.next])),
+    [['Bruiser', 4, 'Silver', 6], ['Cypher', 3, 'Bronze', 4], ['Marksman', 1, null, 2]]
+  );
+  assert.deepStrictEqual(plain(analysis.summary), {
+    totalChampions: null,
+    activeTraits: 2,
+    inactiveTraits: 1,
+    maxTierTraits: 0,
+    oneAway: ['TFT14_Suits', 'TFT14_Marksman']
+  });
+});
+
+test('counts copies of a champion once towards its traits', async () => {
+  const { analyzer } = await createPipeline();
+
+  const analysis = analyzer.analyze(['TFT14_Alistar', 'TFT14_Darius', 'TFT14_Darius', 'TFT14_Shaco']);
+
+  assert.deepStrictEqual(plain(analysis.champions), ['TFT14_Alistar', 'TFT14_Darius', 'TFT14_Shaco']);
+  assert.deepStrictEqual(
+    plain(analysis.traits.map(trait => [trait.key, trait.count, trait.isActive])),
+    [
+      ['TFT14_Bruiser', 2, true],
+      ['TFT14_Mob', 2, false],
+      ['TFT14_Immortal', 1, false],
+      ['TFT14_Strong', 1, false]
+    ]
+  );
+  assert.strictEqual(analysis.summary.totalChampions, 3);
+});
+
+test('has nothing to analyze without the data sets', async () => {
+  const { get } = createExtensionContext({ logLevel: 'error' });
+  get('CONFIG').DATA.TRAITS_PATH = 'assets/traits/missing-traits.json';
+  get('CONFIG').LOGGING.ENABLED = false;
+  get('logger').applyConfig();
+
+  const traitsManager = new (get('TraitsDataManager'))();
+  await traitsManager.loadData();
+  const analyzer = new (get('CompositionAnalyzer'))(traitsManager, new (get('ChampionsDataManager'))());
+
+  assert.deepStrictEqual(
+    plain(analyzer.analyzeTraits([{ key: 'TFT14_Bruiser', count: 4 }])),
+    { champions: [], traits: [], summary: null }
+  );
+  assert.deepStrictEqual(plain(analyzer.analyze(['TFT14_Darius'])), { champions: [], traits: [], summary: null });
+});
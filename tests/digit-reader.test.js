@@ -0,0 +1,128 @@
+/**
+ * DigitReader: reading HUD counters with the built-in glyphs and with glyphs
+ * captured from labeled HUD crops by scripts/build-glyph-templates.js
+ * Run with: node --test tests/
+ *
+ * The crops are rendered in a bold seven-segment font, not the generic
+ * shapes of content-scripts/glyph-templates.js, like the game's own HUD font
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createExtensionContext } = require('../scripts/replay/extension-context');
+const { createFrame, fillRegion } = require('../scripts/replay/frame-drawing');
+const { buildGlyphTemplates } = require('../scripts/build-glyph-templates');
+
+// Segments on a 6x10 grid with 2 pixel strokes: [x, y, width, height]
+const SEGMENTS = {
+  a: [0, 0, 6, 2], b: [4, 0, 2, 5], c: [4, 5, 2, 5], d: [0, 8, 6, 2],
+  e: [0, 5, 2, 5], f: [0, 0, 2, 5], g: [0, 4, 6, 2]
+};
+
+const HUD_FONT = {
+  0: 'abcdef', 1: 'bc', 2: 'abged', 3: 'abgcd', 4: 'fgbc',
+  5: 'afgcd', 6: 'afgedc', 7: 'abc', 8: 'abcdefg', 9: 'abcdfg', '-': 'g'
+};
+
+const FONT_CELL = { width: 6, height: 10 };
+const FRAME_WIDTH = 200;
+const FRAME_HEIGHT = 80;
+const GOLD_REGION = { x: 20, y: 10, width: 120, height: 30 };
+const STAGE_REGION = { x: 20, y: 45, width: 120, height: 30 };
+
+/**
+ * Render a labeled HUD frame: bright text in the gold and stage regions on a dark background
+ * @param {number} gold - Gold counter value
+ * @param {string} stage - Stage readout, e.g. '3-2'
+ * @param {number} scale - Pixels per font cell
+ */
+function renderHudFrame(gold, stage, scale) {
+  const image = createFrame(FRAME_WIDTH, FRAME_HEIGHT, [18, 20, 28]);
+
+  const drawText = (text, region) => {
+    let penX = region.x + 4;
+    const top = region.y + Math.floor((region.height - FONT_CELL.height * scale) / 2);
+
+    [...text].forEach(character => {
+      const segments = [...HUD_FONT[character]].map(name => SEGMENTS[name]);
+      // '1' only uses its right strokes; the game's font draws it narrow too
+      const left = Math.min(...segments.map(([x]) => x));
+      const right = Math.max(...segments.map(([x, , width]) => x + width));
+
+      segments.forEach(([x, y, width, height]) => {
+        fillRegion(image, {
+          x: penX + (x - left) * scale,
+          y: top + y * scale,
+          width: width * scale,
+          height: height * scale
+        }, [240, 226, 170]);
+      });
+      penX += (right - left + 2) * scale;
+    });
+  };
+
+  drawText(String(gold), GOLD_REGION);
+  drawText(stage, STAGE_REGION);
+
+  return {
+    image,
+    elements: [
+      { type: 'gold', ...GOLD_REGION, value: gold },
+      { type: 'hud', ...STAGE_REGION, value: { label: stage } }
+    ]
+  };
+}
+
+/**
+ * Read both counters of a frame
+ * @returns {Array<string>} [gold text, stage text]
+ */
+function readFrame(extension, digitReader, frame) {
+  const { width, height } = frame.image;
+  const gray = new (extension.get('SimpleCvProcessor'))().convertToGrayscale(frame.image);
+
+  return frame.elements.map(element => digitReader.readText(gray, width, height, element).text);
+}
+
+// Labeled crops covering every character at least three times
+const TRAINING_FRAMES = [
+  [10, '1-1'], [23, '2-5'], [34, '3-2'], [45, '4-7'], [56, '5-3'],
+  [67, '6-4'], [78, '7-6'], [89, '2-1'], [90, '3-6'], [102, '4-2'], [98, '1-8']
+];
+
+test('reads with the built-in glyphs when no captured glyphs are bundled', async () => {
+  const { get } = createExtensionContext({ logLevel: 'error' });
+  const digitReader = new (get('DigitReader'))();
+
+  assert.strictEqual(await digitReader.loadTemplates(), 0);
+  assert.strictEqual(digitReader.templates.length, Object.keys(get('GLYPH_TEMPLATES')).length);
+});
+
+test('reads a HUD frame with glyphs captured from labeled crops', async () => {
+  const extension = createExtensionContext({ logLevel: 'error' });
+  const built = buildGlyphTemplates(
+    extension,
+    TRAINING_FRAMES.map(([gold, stage]) => renderHudFrame(gold, stage, 2))
+  );
+
+  assert.strictEqual(built.skipped, 0);
+  assert.deepStrictEqual(Object.keys(built.glyphs).sort(), Object.keys(HUD_FONT).sort());
+
+  // Bundle the captured glyphs where the extension looks for them
+  const glyphsPath = extension.get('CONFIG').DATA.GLYPH_TEMPLATES_PATH;
+  const repoFetch = extension.context.fetch;
+  extension.context.fetch = async url => url.endsWith(glyphsPath)
+    ? { ok: true, status: 200, json: async () => ({ glyphs: built.glyphs }) }
+    : repoFetch(url);
+
+  const digitReader = new (extension.get('DigitReader'))();
+  assert.strictEqual(await digitReader.loadTemplates(), Object.keys(HUD_FONT).length);
+
+  // A frame not used for capturing, drawn at a different size
+  const frame = renderHudFrame(148, '5-9', 3);
+  assert.deepStrictEqual(readFrame(extension, digitReader, frame), ['148', '5-9']);
+
+  // The generic shapes don't read this font
+  const builtInReader = new (extension.get('DigitReader'))();
+  assert.notDeepStrictEqual(readFrame(extension, builtInReader, frame), ['148', '5-9']);
+});
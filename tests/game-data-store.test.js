@@ -0,0 +1,61 @@
+/**
+ * GameDataStore: readiness with optional data sets missing, and data set switching
+ * Run with: node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { createExtensionContext, ROOT_DIR } = require('../scripts/replay/extension-context');
+
+const MISSING_CHAMPIONS_PATH = 'assets/champions/missing-champions.json';
+const MISSING_ITEMS_PATH = 'assets/items/missing-items.json';
+
+/**
+ * Load the content scripts plus the background's data store, without the optional data sets
+ */
+function createStore() {
+  const extension = createExtensionContext({ logLevel: 'error' });
+  const storePath = path.join(ROOT_DIR, 'background/game-data-store.js');
+  vm.runInContext(fs.readFileSync(storePath, 'utf8'), extension.context, { filename: storePath });
+
+  const config = extension.get('CONFIG');
+  config.DATA.CHAMPIONS_PATH = MISSING_CHAMPIONS_PATH;
+  config.DATA.ITEMS_PATH = MISSING_ITEMS_PATH;
+
+  return { store: new (extension.get('GameDataStore'))(), config, logger: extension.get('logger') };
+}
+
+test('is ready without the optional champions and items data sets', async () => {
+  const { store } = createStore();
+
+  assert.strictEqual(await store.ready(), true);
+  assert.strictEqual(store.championsManager.isDataLoaded(), false);
+  assert.strictEqual(store.itemsManager.isDataLoaded(), false);
+  assert.match(store.itemsManager.getLoadError(), /404/);
+  assert.strictEqual(store.itemsManager.getItem('TFT_Item_BFSword'), null);
+  assert.ok(store.getAugmentsByTier('Silver').length > 0);
+});
+
+test('is not ready without a required data set', async () => {
+  const { store, config, logger } = createStore();
+  config.DATA.TRAITS_PATH = 'assets/traits/missing-traits.json';
+  config.LOGGING.ENABLED = false; // The traits load error is expected
+  logger.applyConfig();
+
+  assert.strictEqual(await store.ready(), false);
+});
+
+test('switches only to bundled data files', async () => {
+  const { store, config } = createStore();
+  const augmentsPath = config.DATA.AUGMENTS_PATH;
+
+  await assert.rejects(store.reload({ augments: 'manifest.json' }), /Not a bundled augments data file/);
+  await assert.rejects(store.reload({ traits: 'assets/traits/tft-set14-traits.json', spells: 'x.json' }), /Unknown data set/);
+  assert.strictEqual(config.DATA.AUGMENTS_PATH, augmentsPath);
+  assert.strictEqual(config.DATA.TRAITS_PATH, 'assets/traits/tft-set14-traits.json');
+
+  assert.strictEqual(await store.reload({ augments: augmentsPath }), true);
+});
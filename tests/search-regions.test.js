@@ -0,0 +1,59 @@
+/**
+ * Detector search areas: the TFT_REGIONS settings, unless calibrated
+ * Run with: node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createExtensionContext } = require('../scripts/replay/extension-context');
+
+const FRAME_WIDTH = 960;
+const FRAME_HEIGHT = 540;
+const GROUPS = ['AUGMENTS', 'CHAMPIONS', 'SHOP'];
+
+// Values from the vm context have its own prototypes; compare them as plain data
+const plain = value => JSON.parse(JSON.stringify(value));
+
+/**
+ * Run the augment, champion and shop detectors on a blank frame
+ * @returns {object} Group -> searched areas {x, y, width, height}
+ */
+function getSearchedAreas(processor) {
+  const gray = new Uint8Array(FRAME_WIDTH * FRAME_HEIGHT);
+  processor.lastSearchAreas = [];
+  processor.detectAugmentSlots(gray, FRAME_WIDTH, FRAME_HEIGHT);
+  processor.detectChampionSlots(gray, FRAME_WIDTH, FRAME_HEIGHT);
+  processor.detectShopArea(gray, FRAME_WIDTH, FRAME_HEIGHT, null);
+
+  return Object.fromEntries(GROUPS.map(group => [
+    group,
+    processor.lastSearchAreas
+      .filter(area => area.group === group)
+      .map(({ x, y, width, height }) => ({ x, y, width, height }))
+  ]));
+}
+
+test('searches the configured regions, scaled to the frame', () => {
+  const { get } = createExtensionContext({ logLevel: 'error' });
+  const CONFIG = get('CONFIG');
+  CONFIG.TFT_REGIONS.SHOP = [{ x: 100, y: 300, width: 400, height: 50, name: 'shop' }];
+
+  const areas = getSearchedAreas(new (get('SimpleCvProcessor'))());
+
+  assert.deepStrictEqual(plain(areas.SHOP), [{ x: 150, y: 450, width: 600, height: 75 }]);
+  assert.deepStrictEqual(plain(areas.AUGMENTS), [
+    { x: 75, y: 75, width: 450, height: 150 },
+    { x: 600, y: 75, width: 300, height: 150 }
+  ]);
+  assert.strictEqual(areas.CHAMPIONS.length, CONFIG.TFT_REGIONS.CHAMPIONS.length);
+});
+
+test('searches calibrated regions over the configured ones', () => {
+  const { get } = createExtensionContext({ logLevel: 'error' });
+  const processor = new (get('SimpleCvProcessor'))();
+  processor.setCalibratedRegions({ SHOP: [{ x: 0.25, y: 0.8, width: 0.5, height: 0.2 }] });
+
+  const areas = getSearchedAreas(processor);
+
+  assert.deepStrictEqual(plain(areas.SHOP), [{ x: 240, y: 432, width: 480, height: 108 }]);
+});
@@ -0,0 +1,92 @@
+/**
+ * ShopReader: card costs from border colors and champions from their portraits
+ * Run with: node --test tests/
+ *
+ * The shop is drawn from real game art: augment icons from assets/augments/images
+ * stand in for the champion tiles, which scripts/fetch-champions.js downloads
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createExtensionContext } = require('../scripts/replay/extension-context');
+const { createFrame, fillRegion, drawImage, loadImage } = require('../scripts/replay/frame-drawing');
+
+const PORTRAITS = {
+  TFT14_Alistar: 'assets/augments/images/Backup-I.png',
+  TFT14_Darius: 'assets/augments/images/BRB-II.png',
+  TFT14_Shaco: 'assets/augments/images/Axiom-Arc-III.png',
+  TFT14_Rhaast: 'assets/augments/images/All-that-Shimmers-II.png'
+};
+
+// Slot contents left to right; null is a bought (empty) slot
+const SHOP = [
+  { key: 'TFT14_Darius', cost: 2 },
+  { key: 'TFT14_Alistar', cost: 1 },
+  null,
+  { key: 'TFT14_Rhaast', cost: 2 },
+  { key: 'TFT14_Shaco', cost: 1 }
+];
+
+const FRAME_WIDTH = 640;
+const FRAME_HEIGHT = 160;
+const SHOP_AREA = { x: 60, y: 40, width: 500, height: 100 };
+
+/**
+ * Draw a shop like the game does: portrait on top, name bar below, cost-colored border
+ */
+function drawShop(get, shopReader) {
+  const costColors = get('SHOP_COST_COLORS');
+  const frame = createFrame(FRAME_WIDTH, FRAME_HEIGHT, [12, 14, 20]);
+
+  shopReader.getSlotRegions(SHOP_AREA).forEach((region, slot) => {
+    const card = SHOP[slot];
+    if (!card) return;
+
+    const portraitHeight = Math.round(region.height * 0.75);
+    drawImage(frame, loadImage(PORTRAITS[card.key]), { ...region, height: portraitHeight });
+    fillRegion(frame, { ...region, y: region.y + portraitHeight, height: region.height - portraitHeight }, [30, 30, 36]);
+    fillRegion(frame, region, costColors[card.cost], Math.max(1, Math.round(region.width * 0.03)));
+  });
+
+  return { frame, gray: new (get('SimpleCvProcessor'))().convertToGrayscale(frame) };
+}
+
+/**
+ * Create a shop reader with the test portraits loaded
+ */
+async function createShopReader() {
+  const { get } = createExtensionContext({ logLevel: 'error' });
+  const shopReader = new (get('ShopReader'))();
+  const getURL = get('chrome').runtime.getURL;
+
+  const loaded = await shopReader.loadPortraits(
+    Object.entries(PORTRAITS).map(([key, file]) => ({ key, url: getURL(file) }))
+  );
+  assert.strictEqual(loaded, Object.keys(PORTRAITS).length);
+
+  return { shopReader, get };
+}
+
+test('reads the cost and champion of every filled shop slot', async () => {
+  const { shopReader, get } = await createShopReader();
+  const { frame, gray } = drawShop(get, shopReader);
+
+  const slots = shopReader.read(frame, gray, FRAME_WIDTH, FRAME_HEIGHT, SHOP_AREA);
+
+  assert.deepStrictEqual(
+    Array.from(slots, slot => ({ slot: slot.slot, key: slot.key, cost: slot.cost })),
+    SHOP.map((card, slot) => card && { slot, key: card.key, cost: card.cost }).filter(Boolean)
+  );
+  slots.forEach(slot => assert.ok(slot.matchConfidence >= 0.55, `slot ${slot.slot} matched weakly`));
+});
+
+test('reads costs only when no portraits are loaded', async () => {
+  const { shopReader, get } = await createShopReader();
+  const { frame, gray } = drawShop(get, shopReader);
+  shopReader.clearPortraits();
+
+  const slots = shopReader.read(frame, gray, FRAME_WIDTH, FRAME_HEIGHT, SHOP_AREA);
+
+  assert.strictEqual(shopReader.hasPortraits(), false);
+  assert.deepStrictEqual(Array.from(slots, slot => [slot.cost, slot.key]), [[2, null], [1, null], [2, null], [1, null]]);
+});
@@ -0,0 +1,99 @@
+/**
+ * Site-neutral settings: the overlay finds each site's player container, Kick
+ * channel pages need that container, and keyword overrides stored under the
+ * old Twitch path carry over
+ * Run with: node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createExtensionContext } = require('../scripts/replay/extension-context');
+
+// Values from the vm context have its own prototypes; compare them as plain data
+const plain = value => JSON.parse(JSON.stringify(value));
+
+/**
+ * Minimal element: only what OverlayManager.findVideoContainer touches
+ */
+function createElement(children = []) {
+  return {
+    style: {},
+    contains: element => children.includes(element)
+  };
+}
+
+test('places the overlay in the player container of each site', () => {
+  const { context, get } = createExtensionContext({ logLevel: 'error' });
+  const video = createElement();
+  const players = {
+    'www.twitch.tv': '[data-a-target="video-player"]',
+    'www.youtube.com': '#movie_player',
+    'kick.com': '#injected-channel-player'
+  };
+
+  Object.entries(players).forEach(([hostname, selector]) => {
+    const player = createElement([video]);
+    context.document.querySelector = query => (query === selector ? player : null);
+    context.getComputedStyle = () => ({ position: 'static' });
+
+    // Panels need a real DOM; the lookup only needs the adapter and the video
+    const overlayManager = { siteAdapter: get('findSiteAdapter')(hostname), videoElement: video };
+    const container = get('OverlayManager').prototype.findVideoContainer.call(overlayManager);
+
+    assert.strictEqual(container, player, hostname);
+    assert.strictEqual(player.style.position, 'relative');
+  });
+});
+
+test('treats Kick pages as video pages only with a video or the channel player', () => {
+  const { context, get } = createExtensionContext({ logLevel: 'error' });
+  const adapter = get('findSiteAdapter')('kick.com');
+  const cases = [
+    ['/xqc', true, true],
+    ['/xqc', false, false],
+    ['/browse', true, false],
+    ['/video/8a1c-vod', false, true],
+    ['/video', false, false],
+    ['/', true, false]
+  ];
+
+  cases.forEach(([pathname, hasPlayer, expected]) => {
+    context.window = { location: { pathname, href: `https://kick.com${pathname}`, search: '' } };
+    context.document.querySelector = query => (hasPlayer && query === '#injected-channel-player' ? createElement() : null);
+
+    assert.strictEqual(adapter.isVideoUrl(), expected, `${pathname} ${hasPlayer ? 'with' : 'without'} player`);
+  });
+});
+
+test('reads TFT keywords stored under the old Twitch path', async () => {
+  const { context, get } = createExtensionContext({ logLevel: 'error' });
+  let stored = { tftSettings: { 'TWITCH.TFT_KEYWORDS': ['tft', 'set 14'], 'LOGGING.LEVEL': 'warn' } };
+  context.chrome.storage.sync = {
+    get: async () => stored,
+    set: async value => {
+      stored = value;
+    }
+  };
+
+  const settingsManager = new (get('SettingsManager'))();
+  await settingsManager.load();
+
+  assert.deepStrictEqual(plain(get('CONFIG').STREAM_MONITORING.TFT_KEYWORDS), ['tft', 'set 14']);
+  assert.strictEqual(get('CONFIG').TWITCH.TFT_KEYWORDS, undefined);
+  assert.deepStrictEqual(plain(stored.tftSettings), {
+    'STREAM_MONITORING.TFT_KEYWORDS': ['tft', 'set 14'],
+    'LOGGING.LEVEL': 'warn'
+  });
+});
+
+test('keeps keywords stored under the new path over the old one', () => {
+  const { get } = createExtensionContext({ logLevel: 'error' });
+  const settingsManager = new (get('SettingsManager'))();
+
+  const { settings } = settingsManager.validate({
+    'TWITCH.TFT_KEYWORDS': ['old'],
+    'STREAM_MONITORING.TFT_KEYWORDS': ['new']
+  });
+
+  assert.deepStrictEqual(plain(settings), { 'STREAM_MONITORING.TFT_KEYWORDS': ['new'] });
+});
@@ -0,0 +1,108 @@
+/**
+ * StreamStatusObserver: which page mutations make it look for the watched nodes again
+ * Run with: node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createExtensionContext } = require('../scripts/replay/extension-context');
+
+/**
+ * Minimal element: only what the observer touches
+ * @param {string|null} selector - Selector the element matches
+ */
+function createElement(selector = null) {
+  return {
+    nodeType: 1,
+    isConnected: true,
+    matches: query => query === selector,
+    querySelector: () => null
+  };
+}
+
+/**
+ * Start an observer on a Twitch page with the category and title rendered and no ad
+ * @returns {object} {observer, adapter, page, mutate(addedNodes), queries()}
+ */
+function startObserver() {
+  const { context, get } = createExtensionContext({ logLevel: 'error' });
+  const adapter = get('findSiteAdapter')('www.twitch.tv');
+  const page = {
+    [adapter.getCategorySelector()]: createElement(adapter.getCategorySelector()),
+    [adapter.getTitleSelector()]: createElement(adapter.getTitleSelector())
+  };
+  const observers = [];
+  let queries = 0;
+
+  context.Node = { ELEMENT_NODE: 1 };
+  context.window = { addEventListener() {}, removeEventListener() {}, location: { href: '' } };
+  context.setTimeout = () => 0;
+  context.clearTimeout = () => {};
+  context.document.body = createElement();
+  context.document.querySelector = selector => {
+    queries++;
+    return page[selector] || null;
+  };
+  context.MutationObserver = class {
+    constructor(callback) {
+      this.callback = callback;
+      this.targets = [];
+      observers.push(this);
+    }
+
+    observe(target) {
+      this.targets.push(target);
+    }
+
+    disconnect() {
+      this.targets = [];
+    }
+  };
+
+  const observer = new (get('StreamStatusObserver'))(adapter);
+  observer.start(() => {});
+  const pageObserver = observers.find(candidate => candidate.targets.includes(context.document.body));
+
+  return {
+    observer,
+    adapter,
+    page,
+    mutate: (addedNodes = []) => pageObserver.callback([{ addedNodes }]),
+    queries: () => queries
+  };
+}
+
+test('leaves the watched nodes alone while unrelated parts of the page change', () => {
+  const { observer, mutate, queries } = startObserver();
+  const before = queries();
+
+  for (let i = 0; i < 10; i++) {
+    mutate([createElement('.chat-line')]);
+  }
+
+  assert.strictEqual(queries(), before);
+  assert.strictEqual([...observer.watchedNodes.values()].filter(Boolean).length, 2);
+});
+
+test('starts watching the ad overlay once the page adds it', () => {
+  const { observer, adapter, page, mutate } = startObserver();
+  const ad = createElement(adapter.getAdSelector());
+  page[adapter.getAdSelector()] = ad;
+
+  mutate([ad]);
+
+  assert.strictEqual(observer.watchedNodes.get(adapter.getAdSelector()), ad);
+  assert.ok(observer.nodeObserver.targets.includes(ad));
+});
+
+test('finds the category again after the page re-renders it', () => {
+  const { observer, adapter, page, mutate } = startObserver();
+  const selector = adapter.getCategorySelector();
+  page[selector].isConnected = false;
+  page[selector] = createElement(selector);
+
+  mutate();
+
+  assert.strictEqual(observer.watchedNodes.get(selector), page[selector]);
+  assert.ok(observer.nodeObserver.targets.includes(page[selector]));
+});